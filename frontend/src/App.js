@@ -1,7 +1,6 @@
-import { useState, useRef, useEffect } from "react";
+import { useState, useRef, useEffect, useMemo } from "react";
 import { BrowserRouter, Routes, Route } from "react-router-dom";
 import { FFmpeg } from "@ffmpeg/ffmpeg";
-import { fetchFile } from "@ffmpeg/util";
 import { motion, AnimatePresence } from "framer-motion";
 import Header from "./components/Layout/Header";
 import Sidebar from "./components/Layout/Sidebar";
@@ -11,20 +10,177 @@ import ControlPanel from "./components/Controls/ControlPanel";
 import MediaLibrary from "./components/MediaLibrary/MediaLibrary";
 import EffectsPanel from "./components/Effects/EffectsPanel";
 import ExportPanel from "./components/Export/ExportPanel";
+import MarkerList from "./components/Markers/MarkerList";
+import CaptionPanel from "./components/Captions/CaptionPanel";
+import OpenProjectDialog from "./components/Project/OpenProjectDialog";
+import ShortcutSheet from "./components/Shortcuts/ShortcutSheet";
+import PreferencesDialog from "./components/Preferences/PreferencesDialog";
+import useProjectHistory from "./hooks/useProjectHistory";
+import useShortcuts from "./hooks/useShortcuts";
+import { createRenderJob, ACTIVE_JOB_STATUSES } from "./services/renderJob";
+import { loadPreferences, savePreferences } from "./services/preferences";
+import { captureFrame } from "./services/thumbnailStore";
+import {
+  createProjectId,
+  serializeProject,
+  deserializeProject,
+  saveProjectDocument,
+  loadProjectDocument,
+  captureProjectThumbnail
+} from "./services/projectStore";
+import {
+  addMediaAsset,
+  listMediaAssets,
+  deleteMediaAsset,
+  createMediaId,
+  getStorageEstimate,
+  requestPersistentStorage,
+  migrateLegacyMediaLibrary,
+  isQuotaError
+} from "./services/mediaStore";
+import {
+  splitClipAt,
+  setClipSpeed,
+  snapToFrame,
+  isTimeInClip,
+  timelineToSourceTime,
+  getClipSource,
+  getProjectDuration,
+  getEditPoints,
+  FRAME_RATE
+} from "./utils/clipUtils";
+import { applyTrimEdit, rippleClipLength, TRIM_MODES } from "./utils/trimUtils";
+import {
+  createTrack,
+  findClipTrack,
+  isClipLocked,
+  moveTrack,
+  canDropOnTrack,
+  getTrackTypeForMedia
+} from "./utils/trackUtils";
+import { placeClip, findFreeStart, getOverlapMode, OVERLAP_MODES } from "./utils/overlapUtils";
+import { setClipTransition } from "./utils/transitionUtils";
+import { DEFAULT_TEXT_STYLE, DEFAULT_TEXT_ANIMATION, DEFAULT_TEXT_DURATION } from "./utils/textUtils";
+import { getKeymap } from "./utils/shortcutUtils";
+import { getClipMotion, getMotionRect, getMotionProgress } from "./utils/motionUtils";
+import { createMarker, getChapters, buildWebVttChapters } from "./utils/markerUtils";
+import {
+  isCaptionFile,
+  parseCaptions,
+  createCaptionClip,
+  getTrackCues,
+  buildCaptionFile,
+  CAPTION_FORMATS
+} from "./utils/captionUtils";
 import "./App.css";
 
 // Initial project state
 const initialProject = {
+  id: null,
   name: "Untitled Project",
   currentTime: 0,
   duration: 0,
   tracks: [
-    { id: "video-track-1", type: "video", clips: [] },
-    { id: "audio-track-1", type: "audio", clips: [] },
-    { id: "text-track-1", type: "text", clips: [] }
+    { id: "video-track-1", type: "video", name: "Video 1", clips: [], muted: false, solo: false, locked: false, hidden: false },
+    { id: "audio-track-1", type: "audio", name: "Audio 1", clips: [], muted: false, solo: false, locked: false, hidden: false },
+    { id: "text-track-1", type: "text", name: "Text 1", clips: [], muted: false, solo: false, locked: false, hidden: false }
   ],
   selectedClipId: null,
   zoom: 1,
+  // In and out marks, in seconds, or null when not set
+  markIn: null,
+  markOut: null,
+  // Timeline markers and regions, see utils/markerUtils
+  markers: []
+};
+
+// localStorage key remembering which project to reopen on reload
+const LAST_PROJECT_KEY = 'videoEditor_lastProjectId';
+
+// The parts of a project that count as unsaved changes
+const getProjectSnapshot = (project) => JSON.stringify({
+  name: project.name,
+  zoom: project.zoom,
+  markIn: project.markIn,
+  markOut: project.markOut,
+  markers: project.markers,
+  tracks: project.tracks
+});
+
+// History labels for each trim mode
+const TRIM_LABELS = {
+  [TRIM_MODES.trim]: "Trim clip",
+  [TRIM_MODES.ripple]: "Ripple trim",
+  [TRIM_MODES.roll]: "Roll edit"
+};
+
+// History labels for each track toggle, by the value it is switched to
+const TRACK_TOGGLE_LABELS = {
+  muted: ["Unmute track", "Mute track"],
+  solo: ["Unsolo track", "Solo track"],
+  locked: ["Unlock track", "Lock track"],
+  hidden: ["Show track", "Hide track"]
+};
+
+// Fastest shuttle speed; each press of J or L doubles the speed up to this
+const MAX_SHUTTLE_RATE = 8;
+
+// Save a blob to the user's downloads folder
+const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  setTimeout(() => {
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }, 0);
+};
+
+// Ids for clips split apart by an overwrite or insert; one edit can split several
+let splitClipCount = 0;
+const createSplitClipId = () => `clip-${Date.now()}-${splitClipCount++}`;
+
+// Settle a clip that was just placed into its track according to the track's overlap mode
+const settleClipOverlaps = (project, clipId) => {
+  const track = findClipTrack(project.tracks, clipId);
+  if (!track) return project;
+  
+  const clips = placeClip(track.clips, clipId, getOverlapMode(track), createSplitClipId);
+  if (clips === track.clips) return project;
+  
+  const tracks = project.tracks.map(t => (t === track ? { ...t, clips } : t));
+  return { ...project, tracks, duration: getProjectDuration(tracks) };
+};
+
+// Split a clip on its track in two at a timeline time, the second half continuing from the split
+// point in the source with id `newId`
+const splitTrackClip = (track, clip, splitTime, newId) => {
+  const [firstHalf, secondHalf] = splitClipAt(clip, splitTime, newId);
+  
+  // Fades stay at the outer ends of the two halves
+  let clipFirstHalf = clip.audio ? { ...firstHalf, audio: { ...clip.audio, fadeOut: 0 } } : firstHalf;
+  let clipSecondHalf = clip.audio ? { ...secondHalf, audio: { ...clip.audio, fadeIn: 0 } } : secondHalf;
+  
+  // A pan and zoom carries on across the cut: each half covers its share of the move
+  const clipMotion = getClipMotion(clip);
+  if (clipMotion) {
+    const splitRect = getMotionRect(clipMotion, getMotionProgress(clip, splitTime));
+    clipFirstHalf = { ...clipFirstHalf, motion: { start: clipMotion.start, end: splitRect } };
+    clipSecondHalf = { ...clipSecondHalf, motion: { start: splitRect, end: clipMotion.end } };
+  }
+  
+  const clips = track.clips.map(c => (c.id === clip.id ? clipFirstHalf : c));
+  clips.push(clipSecondHalf);
+  
+  // A transition out of the clip now leaves from its second half
+  const transitions = (track.transitions || []).map(transition => (
+    transition.fromClipId === clip.id ? { ...transition, fromClipId: clipSecondHalf.id } : transition
+  ));
+  
+  return { ...track, clips, transitions };
 };
 
 // Sample media clips for the library
@@ -72,52 +228,186 @@ const sampleMedia = [
 ];
 
 const VideoEditor = () => {
-  const [project, setProject] = useState(initialProject);
-  const [activeTab, setActiveTab] = useState("media"); // media, effects, export
+  const {
+    project,
+    setProject,
+    applyEdit,
+    endCoalescing,
+    undo,
+    redo,
+    jumpToHistory,
+    resetHistory,
+    canUndo,
+    canRedo,
+    history
+  } = useProjectHistory(initialProject);
+  const [activeTab, setActiveTab] = useState("media"); // media, effects, markers, captions, export
   const [isPlaying, setIsPlaying] = useState(false);
-  const [isLoaded, setIsLoaded] = useState(false);
-  const [isExporting, setIsExporting] = useState(false);
-  // State for media library - initialize from localStorage if available
-  const [mediaLibrary, setMediaLibrary] = useState(() => {
-    try {
-      const savedMedia = localStorage.getItem('videoEditor_mediaLibrary');
-      if (savedMedia) {
-        const parsedMedia = JSON.parse(savedMedia);
-        console.log('Loaded media library from localStorage:', parsedMedia.length, 'items');
-        return parsedMedia;
-      }
-      return sampleMedia;
-    } catch (error) {
-      console.error('Error loading media library from localStorage:', error);
-      return sampleMedia;
-    }
-  });
+  // Playback speed and direction; negative plays backwards
+  const [playbackRate, setPlaybackRate] = useState(1);
+  const [exportJob, setExportJob] = useState(null);
+  const [isOpenDialogVisible, setIsOpenDialogVisible] = useState(false);
+  const [saveStatus, setSaveStatus] = useState(null); // saving, saved, error
+  const [savedSnapshot, setSavedSnapshot] = useState(() => getProjectSnapshot(initialProject));
+  // Media library: built-in samples plus uploads loaded from IndexedDB
+  const [mediaLibrary, setMediaLibrary] = useState(sampleMedia);
+  const [storageEstimate, setStorageEstimate] = useState(null);
   const videoRef = useRef(null);
   const timelineRef = useRef(null);
   const ffmpegRef = useRef(new FFmpeg());
+  const exportJobRef = useRef(null);
+  const trimSessionRef = useRef(null);
+  const [activeTrim, setActiveTrim] = useState(null);
+  const [isSnappingEnabled, setIsSnappingEnabled] = useState(true);
+  // Clip effects copied for pasting onto another clip
+  const [copiedEffects, setCopiedEffects] = useState(null);
+  const [preferences, setPreferences] = useState(loadPreferences);
+  const [isShortcutSheetVisible, setIsShortcutSheetVisible] = useState(false);
+  const [isPreferencesVisible, setIsPreferencesVisible] = useState(false);
+  const keymap = useMemo(() => getKeymap(preferences.keymap), [preferences.keymap]);
+  // Library items as they are placed: stills last as long as the preferences say
+  const libraryItems = useMemo(() => mediaLibrary.map(item => (
+    item.type === "image" ? { ...item, duration: preferences.stillDuration } : item
+  )), [mediaLibrary, preferences.stillDuration]);
+
+  // Refresh the storage usage shown in the media library
+  const refreshStorageEstimate = async () => {
+    try {
+      setStorageEstimate(await getStorageEstimate());
+    } catch (error) {
+      console.error('Error reading storage estimate:', error);
+    }
+  };
+
+  // Load stored media assets into the library after the built-in samples
+  const reloadMediaLibrary = async () => {
+    try {
+      const assets = await listMediaAssets();
+      console.log('Loaded media library from IndexedDB:', assets.length, 'items');
+      setMediaLibrary([...sampleMedia, ...assets]);
+    } catch (error) {
+      console.error('Error loading media library:', error);
+    }
+    refreshStorageEstimate();
+  };
+
+  // Load the media library, moving any old localStorage uploads into IndexedDB first
+  useEffect(() => {
+    migrateLegacyMediaLibrary().then(reloadMediaLibrary);
+  }, []);
 
-  // Save media library to localStorage whenever it changes
+  const hasUnsavedChanges = getProjectSnapshot(project) !== savedSnapshot;
+
+  // Reopen the last saved project after a reload
   useEffect(() => {
+    const lastProjectId = localStorage.getItem(LAST_PROJECT_KEY);
+    if (!lastProjectId) return;
+    
+    loadProjectDocument(lastProjectId)
+      .then(doc => {
+        const restored = deserializeProject(doc);
+        resetHistory(restored);
+        setSavedSnapshot(getProjectSnapshot(restored));
+        console.log('Restored project:', restored.name);
+      })
+      .catch(error => {
+        console.error('Error restoring last project:', error);
+        localStorage.removeItem(LAST_PROJECT_KEY);
+      });
+  }, []);
+
+  // Ask before throwing away unsaved edits
+  const confirmDiscardChanges = () => {
+    return !hasUnsavedChanges || window.confirm("Discard unsaved changes to the current project?");
+  };
+
+  // Start a new, empty project
+  const newProject = () => {
+    if (!confirmDiscardChanges()) return;
+    
+    setIsPlaying(false);
+    resetHistory(initialProject);
+    setSavedSnapshot(getProjectSnapshot(initialProject));
+    setSaveStatus(null);
+    localStorage.removeItem(LAST_PROJECT_KEY);
+  };
+
+  // Save the current project to IndexedDB
+  const saveProject = async () => {
+    const id = project.id || createProjectId();
+    const projectToSave = { ...project, id };
+    
     try {
-      // For localStorage, we need to save serializable data
-      // Save the entire media library including base64 data
-      localStorage.setItem('videoEditor_mediaLibrary', JSON.stringify(mediaLibrary));
-      console.log('Media library saved to localStorage:', mediaLibrary.length, 'items');
+      setSaveStatus("saving");
+      const thumbnail = await captureProjectThumbnail(projectToSave);
+      await saveProjectDocument(serializeProject(projectToSave, { thumbnail }));
+      
+      setProject(prev => ({ ...prev, id }));
+      setSavedSnapshot(getProjectSnapshot(projectToSave));
+      setSaveStatus("saved");
+      localStorage.setItem(LAST_PROJECT_KEY, id);
+      console.log('Project saved:', projectToSave.name);
     } catch (error) {
-      console.error('Error saving media library to localStorage:', error);
+      console.error("Error saving project:", error);
+      setSaveStatus("error");
     }
-  }, [mediaLibrary]);
+  };
+
+  // Open a saved project by id
+  const openProject = async (projectId) => {
+    if (!confirmDiscardChanges()) return;
+    
+    try {
+      const opened = deserializeProject(await loadProjectDocument(projectId));
+      setIsPlaying(false);
+      resetHistory(opened);
+      setSavedSnapshot(getProjectSnapshot(opened));
+      setSaveStatus("saved");
+      setIsOpenDialogVisible(false);
+      localStorage.setItem(LAST_PROJECT_KEY, projectId);
+      
+      // Imported projects may have brought new media with them
+      reloadMediaLibrary();
+    } catch (error) {
+      console.error("Error opening project:", error);
+      window.alert(`Could not open project: ${error.message}`);
+    }
+  };
 
-  // Add clip to timeline
-  const addClipToTimeline = (mediaItem) => {
+  // Rename the current project
+  const renameProject = (name) => {
+    setProject(prev => ({ ...prev, name }));
+  };
+
+  // Add clip to timeline, at the end of a suitable track or at a `placement` of { trackId, start } from a drop
+  const addClipToTimeline = (mediaItem, placement = null) => {
     console.log("Adding to timeline:", mediaItem.name);
-    setProject(prev => {
-      // Find the appropriate track for this media type
-      const trackIndex = prev.tracks.findIndex(track => track.type === mediaItem.type);
-      if (trackIndex === -1) return prev;
+    applyEdit(`Add ${mediaItem.name}`, prev => {
+      // Prefer the drop target, then the selected clip's track, then the first unlocked track of this media type
+      const selectedTrack = findClipTrack(prev.tracks, prev.selectedClipId);
+      let targetTrack;
+      if (placement) {
+        targetTrack = prev.tracks.find(track => track.id === placement.trackId);
+        if (!canDropOnTrack(targetTrack, mediaItem.type)) return prev;
+      } else {
+        targetTrack = canDropOnTrack(selectedTrack, mediaItem.type)
+          ? selectedTrack
+          : prev.tracks.find(track => canDropOnTrack(track, mediaItem.type));
+      }
+      
+      // Without a usable track, add one below the last track of this type
+      let tracks = prev.tracks;
+      let trackIndex = targetTrack ? tracks.indexOf(targetTrack) : -1;
+      if (trackIndex === -1) {
+        const trackType = getTrackTypeForMedia(mediaItem.type);
+        const lastOfType = tracks.map(track => track.type).lastIndexOf(trackType);
+        trackIndex = lastOfType === -1 ? tracks.length : lastOfType + 1;
+        tracks = [...tracks];
+        tracks.splice(trackIndex, 0, createTrack(trackType, prev.tracks));
+      }
       
       // Get the last clip in the track to position the new clip
-      const trackClips = prev.tracks[trackIndex].clips;
+      const trackClips = tracks[trackIndex].clips;
       const lastClipEnd = trackClips.length > 0 
         ? Math.max(...trackClips.map(clip => clip.start + clip.duration))
         : 0;
@@ -128,15 +418,19 @@ const VideoEditor = () => {
         mediaId: mediaItem.id,
         type: mediaItem.type,
         name: mediaItem.name,
-        start: lastClipEnd,
+        start: placement ? placement.start : lastClipEnd,
         duration: mediaItem.duration,
-        // Use fileData (base64) if available, otherwise use src (for sample media)
-        fileData: mediaItem.fileData,
+        // Range of the source media this clip plays
+        sourceIn: 0,
+        sourceOut: mediaItem.duration,
+        mediaDuration: mediaItem.duration,
+        fileType: mediaItem.fileType,
+        // Uploads are looked up by mediaId; sample media keeps its URL
         src: mediaItem.src
       };
       
       // Update the tracks with the new clip
-      const updatedTracks = [...prev.tracks];
+      const updatedTracks = [...tracks];
       updatedTracks[trackIndex] = {
         ...updatedTracks[trackIndex],
         clips: [...updatedTracks[trackIndex].clips, newClip]
@@ -149,13 +443,133 @@ const VideoEditor = () => {
         )
       );
       
-      return {
+      // A drop can land on other clips
+      return settleClipOverlaps({
         ...prev,
         tracks: updatedTracks,
         duration: Math.max(prev.duration, newDuration),
         selectedClipId: newClip.id
+      }, newClip.id);
+    });
+  };
+
+  // Add a title at the playhead, on the selected clip's text track or the first unlocked text track
+  const addTextClip = () => {
+    applyEdit("Add text", prev => {
+      const selectedTrack = findClipTrack(prev.tracks, prev.selectedClipId);
+      let tracks = prev.tracks;
+      let targetTrack = canDropOnTrack(selectedTrack, 'text')
+        ? selectedTrack
+        : tracks.find(track => canDropOnTrack(track, 'text'));
+      
+      // Without a usable text track, add one above everything so the title isn't covered
+      if (!targetTrack) {
+        targetTrack = createTrack('text', tracks);
+        tracks = [targetTrack, ...tracks];
+      }
+      
+      const newClip = {
+        id: `clip-${Date.now()}`,
+        type: 'text',
+        name: 'Text',
+        text: 'Your Text',
+        start: snapToFrame(prev.currentTime),
+        duration: DEFAULT_TEXT_DURATION,
+        textStyle: { ...DEFAULT_TEXT_STYLE },
+        textAnimation: { ...DEFAULT_TEXT_ANIMATION }
+      };
+      
+      const updatedTracks = tracks.map(track => (
+        track.id === targetTrack.id ? { ...track, clips: [...track.clips, newClip] } : track
+      ));
+      
+      return settleClipOverlaps({
+        ...prev,
+        tracks: updatedTracks,
+        duration: getProjectDuration(updatedTracks),
+        selectedClipId: newClip.id
+      }, newClip.id);
+    });
+    
+    // Open the text options for the new clip
+    setActiveTab("effects");
+  };
+
+  // Add a caption at the playhead on a caption track, or on a new caption track above everything
+  const addCaptionCue = (trackId) => {
+    const cue = createCaptionClip(snapToFrame(project.currentTime), "Caption");
+    applyEdit("Add caption", prev => {
+      let tracks = prev.tracks;
+      let targetTrack = tracks.find(track => track.id === trackId);
+      if (!canDropOnTrack(targetTrack, 'caption')) {
+        targetTrack = createTrack('caption', tracks);
+        tracks = [targetTrack, ...tracks];
+      }
+      
+      const updatedTracks = tracks.map(track => (
+        track.id === targetTrack.id ? { ...track, clips: [...track.clips, cue] } : track
+      ));
+      
+      return settleClipOverlaps({
+        ...prev,
+        tracks: updatedTracks,
+        duration: getProjectDuration(updatedTracks),
+        selectedClipId: cue.id
+      }, cue.id);
+    });
+  };
+
+  // Import a caption file as a new caption track above everything.
+  // Resolves with the reason it could not be imported, or null.
+  const importCaptionFile = async (file, index) => {
+    const cues = parseCaptions(await file.text());
+    if (cues.length === 0) return 'No captions found in the file';
+    
+    // Cues on a track can't overlap, so each one ends by the time the next starts
+    const clips = cues.map((cue, i) => {
+      const end = i + 1 < cues.length ? Math.min(cue.end, cues[i + 1].start) : cue.end;
+      return createCaptionClip(cue.start, cue.text, end - cue.start);
+    }).filter(clip => clip.duration > 0);
+    
+    applyEdit("Import captions", prev => {
+      const track = {
+        ...createTrack('caption', prev.tracks),
+        id: `caption-track-${Date.now()}-${index}`,
+        name: file.name.replace(/\.[^.]+$/, ''),
+        clips
       };
+      const tracks = [track, ...prev.tracks];
+      return { ...prev, tracks, duration: getProjectDuration(tracks) };
     });
+    return null;
+  };
+
+  // Choose the style preset a caption track's cues are drawn in
+  const setCaptionStyle = (trackId, captionStyle) => {
+    applyEdit("Change caption style", prev => ({
+      ...prev,
+      tracks: prev.tracks.map(track => (track.id === trackId ? { ...track, captionStyle } : track))
+    }));
+  };
+
+  // Select a caption and move the playhead to it
+  const selectCaptionCue = (cue) => {
+    selectClip(cue.id);
+    handleTimeUpdate(cue.start);
+  };
+
+  // Download a caption track as a sidecar file in one of CAPTION_FORMATS
+  const downloadCaptions = (trackId, formatId) => {
+    const track = project.tracks.find(t => t.id === trackId);
+    const format = CAPTION_FORMATS.find(f => f.id === formatId);
+    if (!track || !format) return;
+    const blob = new Blob([buildCaptionFile(getTrackCues(track), format.id)], { type: format.mimeType });
+    downloadBlob(blob, `${project.name} - ${track.name || 'Captions'}.${format.id}`);
+  };
+
+  // Change how much of the timeline is in view; zoom is a view setting, so it isn't undoable
+  const setTimelineZoom = (zoom) => {
+    setProject(prev => ({ ...prev, zoom }));
   };
 
   // Handle clip selection
@@ -168,15 +582,26 @@ const VideoEditor = () => {
 
   // Update clip position
   const updateClipPosition = (clipId, newStart) => {
-    setProject(prev => {
+    // Every mousemove of one drag folds into a single history entry
+    applyEdit("Move clip", prev => {
+      if (isClipLocked(prev.tracks, clipId)) return prev;
+      
       const updatedTracks = prev.tracks.map(track => {
         const clipIndex = track.clips.findIndex(clip => clip.id === clipId);
         if (clipIndex === -1) return track;
         
+        // Blocking tracks stop the clip against its neighbours while it moves;
+        // the other modes resolve overlaps when the drag ends
+        const clip = track.clips[clipIndex];
+        let start = Math.max(0, newStart);
+        if (getOverlapMode(track) === OVERLAP_MODES.block) {
+          start = findFreeStart(track.clips.filter(c => c.id !== clipId), start, clip.duration);
+        }
+        
         const updatedClips = [...track.clips];
         updatedClips[clipIndex] = {
-          ...updatedClips[clipIndex],
-          start: Math.max(0, newStart)
+          ...clip,
+          start
         };
         
         return { ...track, clips: updatedClips };
@@ -195,15 +620,97 @@ const VideoEditor = () => {
         tracks: updatedTracks,
         duration: newDuration
       };
-    });
+    }, { coalesceKey: `move-${clipId}` });
+  };
+  
+  // Move a clip onto another track of the same type, as part of the drag that moved it
+  const moveClipToTrack = (clipId, trackId) => {
+    applyEdit("Move clip", prev => {
+      const sourceTrack = findClipTrack(prev.tracks, clipId);
+      const targetTrack = prev.tracks.find(track => track.id === trackId);
+      if (!sourceTrack || sourceTrack.locked || sourceTrack === targetTrack) return prev;
+      
+      const clip = sourceTrack.clips.find(c => c.id === clipId);
+      if (!canDropOnTrack(targetTrack, clip.type)) return prev;
+      
+      return {
+        ...prev,
+        tracks: prev.tracks.map(track => {
+          if (track === sourceTrack) {
+            const transitions = (track.transitions || []).filter(transition => (
+              transition.fromClipId !== clipId && transition.toClipId !== clipId
+            ));
+            return { ...track, clips: track.clips.filter(c => c.id !== clipId), transitions };
+          }
+          if (track === targetTrack) return { ...track, clips: [...track.clips, clip] };
+          return track;
+        })
+      };
+    }, { coalesceKey: `move-${clipId}` });
+  };
+  
+  // Place a media item dropped on a track at the drop time
+  const dropMediaOnTrack = (mediaItem, trackId, start) => {
+    addClipToTimeline(mediaItem, { trackId, start });
+  };
+  
+  // Finish dragging a clip, settling it into whatever it was dropped on
+  const endClipDrag = (clipId) => {
+    applyEdit("Move clip", prev => settleClipOverlaps(prev, clipId), { coalesceKey: `move-${clipId}` });
+    endCoalescing();
+  };
+
+  // Start dragging a clip edge; the track is snapshotted so every update applies from the original state
+  const startTrim = (clipId, edge, mode) => {
+    const track = findClipTrack(project.tracks, clipId);
+    if (!track || track.locked) return;
+    
+    trimSessionRef.current = {
+      trackId: track.id,
+      clipId,
+      edge,
+      mode,
+      originalClips: track.clips
+    };
+    setActiveTrim({ clipId, edge, mode });
+  };
+  
+  // Update the trim being dragged by the total distance moved in seconds
+  const updateTrim = (delta) => {
+    const session = trimSessionRef.current;
+    if (!session) return;
+    
+    const updatedClips = applyTrimEdit(session.originalClips, session.clipId, session.edge, delta, session.mode);
+    
+    applyEdit(TRIM_LABELS[session.mode], prev => {
+      const updatedTracks = prev.tracks.map(track =>
+        track.id === session.trackId ? { ...track, clips: updatedClips } : track
+      );
+      
+      return {
+        ...prev,
+        tracks: updatedTracks,
+        duration: getProjectDuration(updatedTracks)
+      };
+    }, { coalesceKey: `trim-${session.clipId}` });
+  };
+  
+  // Finish dragging a clip edge
+  const endTrim = () => {
+    trimSessionRef.current = null;
+    setActiveTrim(null);
+    endCoalescing();
   };
 
   // Split clip at the current time
   const splitClip = () => {
-    const { currentTime, selectedClipId } = project;
-    if (!selectedClipId) return;
+    const { selectedClipId } = project;
+    if (!selectedClipId || isClipLocked(project.tracks, selectedClipId)) return;
+    
+    // Cut on a frame boundary so both halves line up exactly
+    const splitTime = snapToFrame(project.currentTime);
 
-    setProject(prev => {
+    applyEdit("Split clip", prev => {
       let clipFound = false;
       const updatedTracks = prev.tracks.map(track => {
         const clipIndex = track.clips.findIndex(clip => clip.id === selectedClipId);
@@ -214,28 +721,10 @@ const VideoEditor = () => {
         const clipEnd = clipStart + clip.duration;
         
         // Only split if current time is within the clip
-        if (currentTime <= clipStart || currentTime >= clipEnd) return track;
+        if (splitTime <= clipStart || splitTime >= clipEnd) return track;
         
         clipFound = true;
-        
-        // Create two clips from the original
-        const clipFirstHalf = {
-          ...clip,
-          duration: currentTime - clipStart
-        };
-        
-        const clipSecondHalf = {
-          ...clip,
-          id: `clip-${Date.now()}`,
-          start: currentTime,
-          duration: clipEnd - currentTime
-        };
-        
-        const updatedClips = [...track.clips];
-        updatedClips[clipIndex] = clipFirstHalf;
-        updatedClips.push(clipSecondHalf);
-        
-        return { ...track, clips: updatedClips };
+        return splitTrackClip(track, clip, splitTime, `clip-${Date.now()}`);
       });
       
       if (!clipFound) return prev;
@@ -247,15 +736,17 @@ const VideoEditor = () => {
     });
   };
 
-  // Delete selected clip
-  const deleteSelectedClip = () => {
-    const { selectedClipId } = project;
-    if (!selectedClipId) return;
+  // Delete a clip, along with any transitions to or from it
+  const deleteClip = (clipId) => {
+    if (!clipId || isClipLocked(project.tracks, clipId)) return;
 
-    setProject(prev => {
+    applyEdit("Delete clip", prev => {
       const updatedTracks = prev.tracks.map(track => {
-        const filteredClips = track.clips.filter(clip => clip.id !== selectedClipId);
-        return { ...track, clips: filteredClips };
+        const filteredClips = track.clips.filter(clip => clip.id !== clipId);
+        const transitions = (track.transitions || []).filter(transition => (
+          transition.fromClipId !== clipId && transition.toClipId !== clipId
+        ));
+        return { ...track, clips: filteredClips, transitions };
       });
       
       // Recalculate project duration
@@ -269,12 +760,196 @@ const VideoEditor = () => {
       return {
         ...prev,
         tracks: updatedTracks,
-        selectedClipId: null,
+        selectedClipId: prev.selectedClipId === clipId ? null : prev.selectedClipId,
         duration: newDuration
       };
     });
   };
 
+  const deleteSelectedClip = () => deleteClip(project.selectedClipId);
+
+  // Add an empty track of the given type below the last track of that type
+  const addTrack = (type) => {
+    applyEdit(`Add ${type} track`, prev => {
+      const lastOfType = prev.tracks.map(track => track.type).lastIndexOf(type);
+      const index = lastOfType === -1 ? prev.tracks.length : lastOfType + 1;
+      const tracks = [...prev.tracks];
+      tracks.splice(index, 0, createTrack(type, prev.tracks));
+      return { ...prev, tracks };
+    });
+  };
+  
+  // Remove a track along with its clips
+  const removeTrack = (trackId) => {
+    const track = project.tracks.find(t => t.id === trackId);
+    if (!track) return;
+    if (track.clips.length > 0 && !window.confirm(`Remove this track and its ${track.clips.length} clip(s)?`)) return;
+    
+    applyEdit("Remove track", prev => {
+      const tracks = prev.tracks.filter(t => t.id !== trackId);
+      const removed = prev.tracks.find(t => t.id === trackId);
+      const selectionRemoved = !!removed && removed.clips.some(clip => clip.id === prev.selectedClipId);
+      
+      return {
+        ...prev,
+        tracks,
+        duration: getProjectDuration(tracks),
+        selectedClipId: selectionRemoved ? null : prev.selectedClipId
+      };
+    });
+  };
+  
+  // Move a track to the position of another track
+  const reorderTrack = (trackId, targetTrackId) => {
+    applyEdit("Reorder tracks", prev => {
+      const fromIndex = prev.tracks.findIndex(track => track.id === trackId);
+      const toIndex = prev.tracks.findIndex(track => track.id === targetTrackId);
+      if (fromIndex === -1 || toIndex === -1 || fromIndex === toIndex) return prev;
+      return { ...prev, tracks: moveTrack(prev.tracks, fromIndex, toIndex) };
+    });
+  };
+  
+  // Switch a track's mute, solo, lock or hide toggle
+  const toggleTrackSetting = (trackId, setting) => {
+    const track = project.tracks.find(t => t.id === trackId);
+    if (!track) return;
+    const value = !track[setting];
+    
+    applyEdit(TRACK_TOGGLE_LABELS[setting][value ? 1 : 0], prev => ({
+      ...prev,
+      tracks: prev.tracks.map(t => (t.id === trackId ? { ...t, [setting]: value } : t))
+    }));
+  };
+
+  // Choose how a track handles clips placed over other clips
+  const setTrackOverlapMode = (trackId, overlapMode) => {
+    applyEdit("Set overlap mode", prev => ({
+      ...prev,
+      tracks: prev.tracks.map(track => (track.id === trackId ? { ...track, overlapMode } : track))
+    }));
+  };
+
+  // Apply `changes` to a clip's properties. Edits sharing a `coalesceKey` fold into one history
+  // entry until endCoalescing, so dragging a slider is undone in one step.
+  const updateClip = (clipId, changes, { label = "Edit clip", coalesceKey } = {}) => {
+    applyEdit(label, prev => {
+      if (isClipLocked(prev.tracks, clipId)) return prev;
+      return {
+        ...prev,
+        tracks: prev.tracks.map(track => ({
+          ...track,
+          clips: track.clips.map(clip => (clip.id === clipId ? { ...clip, ...changes } : clip))
+        }))
+      };
+    }, { coalesceKey });
+  };
+
+  // Change how fast a clip plays. Its length follows its source range, and later clips on its track
+  // move with its end.
+  const changeClipSpeed = (clipId, speed, { label = "Change speed", coalesceKey } = {}) => {
+    applyEdit(label, prev => {
+      if (isClipLocked(prev.tracks, clipId)) return prev;
+      const tracks = prev.tracks.map(track => {
+        const clip = track.clips.find(c => c.id === clipId);
+        return clip ? { ...track, clips: rippleClipLength(track.clips, setClipSpeed(clip, speed)) } : track;
+      });
+      return { ...prev, tracks, duration: getProjectDuration(tracks) };
+    }, { coalesceKey });
+  };
+
+  // Freeze the frame under the playhead on the selected video clip, or else the top visible one. The
+  // frame is saved to the library as a still and inserted at the playhead, splitting the clip, for
+  // the still image duration; later clips on the track move along to make room.
+  const freezeFrame = async () => {
+    const time = snapToFrame(project.currentTime);
+    const isFreezable = (clip) => clip && clip.type === 'video' && isTimeInClip(clip, time);
+    const selected = project.tracks.flatMap(track => track.clips).find(clip => clip.id === project.selectedClipId);
+    const clip = isFreezable(selected)
+      ? selected
+      : project.tracks
+        .filter(track => track.type === 'video' && !track.hidden)
+        .map(track => track.clips.find(isFreezable))
+        .find(Boolean);
+    if (!clip || isClipLocked(project.tracks, clip.id)) return;
+    
+    const blob = await captureFrame(clip.mediaId, getClipSource(clip), timelineToSourceTime(clip, time));
+    if (!blob) {
+      window.alert(`Could not take a frame from "${clip.name}".`);
+      return;
+    }
+    
+    let asset;
+    try {
+      asset = await addMediaAsset(blob, {
+        id: createMediaId(),
+        type: 'image',
+        name: `${clip.name.replace(/\.[^.]+$/, '')} frame at ${time.toFixed(2)}s.png`,
+        duration: 0,
+        fileType: 'image/png'
+      });
+    } catch (error) {
+      console.error('Error saving freeze frame:', error);
+      window.alert(isQuotaError(error) ? 'Not enough storage space left in this browser.' : 'Could not save the freeze frame.');
+      return;
+    }
+    setMediaLibrary(prev => [...prev, asset]);
+    refreshStorageEstimate();
+    
+    const { stillDuration } = preferences;
+    applyEdit("Freeze frame", prev => {
+      const track = findClipTrack(prev.tracks, clip.id);
+      const current = track && track.clips.find(c => c.id === clip.id);
+      if (!current || track.locked || !isTimeInClip(current, time)) return prev;
+      
+      // The still looks like the clip it came from
+      const still = {
+        id: `clip-${Date.now()}`,
+        mediaId: asset.id,
+        type: 'image',
+        name: asset.name,
+        start: time,
+        duration: stillDuration,
+        sourceIn: 0,
+        sourceOut: stillDuration,
+        mediaDuration: stillDuration,
+        fileType: asset.fileType,
+        transform: current.transform,
+        effects: current.effects
+      };
+      
+      const splitTrack = time > current.start ? splitTrackClip(track, current, time, createSplitClipId()) : track;
+      const clips = [
+        ...splitTrack.clips.map(c => (c.start >= time ? { ...c, start: c.start + stillDuration } : c)),
+        still
+      ];
+      const tracks = prev.tracks.map(t => (t.id === track.id ? { ...splitTrack, clips } : t));
+      return { ...prev, tracks, duration: getProjectDuration(tracks), selectedClipId: still.id };
+    });
+  };
+
+  // Replace a clip's audio settings, e.g. while editing its gain envelope on the timeline
+  const updateClipAudio = (clipId, audio, options) => {
+    updateClip(clipId, { audio }, options);
+  };
+
+  // Replace a clip's keyframes, e.g. while dragging them on the timeline
+  const updateClipKeyframes = (clipId, keyframes, options) => {
+    updateClip(clipId, { keyframes }, options);
+  };
+
+  // Set the transition from a clip into the clip right after it, or remove it with null changes
+  const updateClipTransition = (clipId, changes, { label, coalesceKey } = {}) => {
+    applyEdit(label || (changes ? "Set transition" : "Remove transition"), prev => {
+      if (isClipLocked(prev.tracks, clipId)) return prev;
+      return {
+        ...prev,
+        tracks: prev.tracks.map(track => (
+          track.clips.some(clip => clip.id === clipId) ? setClipTransition(track, clipId, changes) : track
+        ))
+      };
+    }, { coalesceKey });
+  };
+
   // Handle time update
   const handleTimeUpdate = (time) => {
     // Ensure time is a valid number
@@ -297,130 +972,252 @@ const VideoEditor = () => {
 
   // Toggle play/pause
   const togglePlay = () => {
+    setPlaybackRate(1);
     setIsPlaying(!isPlaying);
   };
 
+  // Shuttle one way, doubling the speed each time while already going that way
+  const shuttle = (direction) => {
+    const isSameDirection = isPlaying && Math.sign(playbackRate) === direction;
+    const speed = isSameDirection ? Math.min(Math.abs(playbackRate) * 2, MAX_SHUTTLE_RATE) : 1;
+    setPlaybackRate(speed * direction);
+    setIsPlaying(true);
+  };
+
+  // Stop playback and move the playhead, kept within the project
+  const seekTo = (time) => {
+    setIsPlaying(false);
+    setPlaybackRate(1);
+    handleTimeUpdate(Math.max(0, Math.min(time, project.duration)));
+  };
+
+  // Step by whole frames from the frame the playhead is on
+  const stepFrames = (frames) => {
+    seekTo(snapToFrame(project.currentTime) + frames / FRAME_RATE);
+  };
+
+  // Jump to the nearest clip edge before or after the playhead
+  const jumpToEdit = (direction) => {
+    const time = snapToFrame(project.currentTime);
+    const points = getEditPoints(project.tracks);
+    const target = direction > 0
+      ? points.find(point => point > time + 1e-6)
+      : [...points].reverse().find(point => point < time - 1e-6);
+    if (target !== undefined) seekTo(target);
+  };
+
+  // Set the in or out mark at the playhead; a mark on the wrong side of the other clears it
+  const setMark = (mark) => {
+    const time = snapToFrame(project.currentTime);
+    applyEdit(mark === "markIn" ? "Mark in" : "Mark out", prev => {
+      const other = mark === "markIn" ? "markOut" : "markIn";
+      const isOrdered = prev[other] === null || (mark === "markIn" ? time < prev[other] : time > prev[other]);
+      return { ...prev, [mark]: time, [other]: isOrdered ? prev[other] : null };
+    });
+  };
+
+  const clearMarks = () => {
+    if (project.markIn === null && project.markOut === null) return;
+    applyEdit("Clear marks", prev => ({ ...prev, markIn: null, markOut: null }));
+  };
+
+  // Add a point marker at the playhead
+  const addMarker = () => {
+    const marker = createMarker(snapToFrame(project.currentTime));
+    applyEdit("Add marker", prev => ({ ...prev, markers: [...prev.markers, marker] }));
+  };
+
+  // Add a region over the in to out range; a lone mark runs to the end or from the start
+  const addRegion = () => {
+    if (project.markIn === null && project.markOut === null) return;
+    const start = project.markIn ?? 0;
+    const end = project.markOut ?? project.duration;
+    if (end <= start) return;
+
+    const region = createMarker(start, { duration: end - start });
+    applyEdit("Add region", prev => ({ ...prev, markers: [...prev.markers, region] }));
+  };
+
+  const updateMarker = (markerId, changes, { label = "Edit marker", coalesceKey } = {}) => {
+    applyEdit(label, prev => ({
+      ...prev,
+      markers: prev.markers.map(marker => (marker.id === markerId ? { ...marker, ...changes } : marker))
+    }), { coalesceKey });
+  };
+
+  const removeMarker = (markerId) => {
+    applyEdit("Remove marker", prev => ({
+      ...prev,
+      markers: prev.markers.filter(marker => marker.id !== markerId)
+    }));
+  };
+
+  // Download the markers as a WebVTT chapters file
+  const downloadChapters = () => {
+    const chapters = getChapters(project.markers, project.duration);
+    if (chapters.length === 0) return;
+    const blob = new Blob([buildWebVttChapters(chapters)], { type: "text/vtt" });
+    downloadBlob(blob, `${project.name}.chapters.vtt`);
+  };
+
+  const updatePreferences = (changes) => {
+    const updated = { ...preferences, ...changes };
+    setPreferences(updated);
+    savePreferences(updated);
+  };
+
+  // Open preferences from the shortcut sheet
+  const customizeShortcuts = () => {
+    setIsShortcutSheetVisible(false);
+    setIsPreferencesVisible(true);
+  };
+
+  // Keyboard shortcuts, paused while preferences are open so new keys can be recorded
+  useShortcuts(keymap, {
+    playPause: togglePlay,
+    shuttleReverse: () => shuttle(-1),
+    shuttleStop: () => {
+      setIsPlaying(false);
+      setPlaybackRate(1);
+    },
+    shuttleForward: () => shuttle(1),
+    stepBack: () => stepFrames(-1),
+    stepForward: () => stepFrames(1),
+    stepBackSecond: () => stepFrames(-FRAME_RATE),
+    stepForwardSecond: () => stepFrames(FRAME_RATE),
+    previousEdit: () => jumpToEdit(-1),
+    nextEdit: () => jumpToEdit(1),
+    goToStart: () => seekTo(0),
+    goToEnd: () => seekTo(project.duration),
+    markIn: () => setMark("markIn"),
+    markOut: () => setMark("markOut"),
+    clearMarks,
+    addMarker,
+    addRegion,
+    split: splitClip,
+    freezeFrame,
+    delete: deleteSelectedClip,
+    undo,
+    redo,
+    showShortcuts: () => setIsShortcutSheetVisible(!isShortcutSheetVisible)
+  }, { enabled: !isPreferencesVisible });
+
   // Export video
-  const exportVideo = async (format, quality) => {
-    if (!isLoaded) return;
+  const exportVideo = async (format, quality, fileName, captions) => {
+    if (exportJobRef.current && ACTIVE_JOB_STATUSES.includes(exportJobRef.current.getState().status)) return;
     
-    try {
-      setIsExporting(true);
-      
-      // In a real implementation, this would process the timeline
-      // and generate the final video file using FFmpeg
-      // For this demo, we'll simulate a delay
-      await new Promise(resolve => setTimeout(resolve, 3000));
-      
-      // Sample download code (not actually functional in this demo)
-      const url = URL.createObjectURL(new Blob(["video data"], { type: "video/mp4" }));
-      const a = document.createElement("a");
-      a.href = url;
-      a.download = `${project.name}.${format}`;
-      document.body.appendChild(a);
-      a.click();
-      setTimeout(() => {
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
-      }, 0);
-      
-      setIsExporting(false);
-    } catch (error) {
-      console.error("Export failed:", error);
-      setIsExporting(false);
+    const job = createRenderJob(ffmpegRef.current, project, { format, quality, captions }, setExportJob);
+    exportJobRef.current = job;
+    
+    // Render the timeline to a file
+    const result = await job.start();
+    if (result.status !== "done") return;
+    
+    downloadBlob(result.blob, `${fileName || project.name}.${format}`);
+  };
+  
+  // Cancel the running export
+  const cancelExport = () => {
+    if (exportJobRef.current) {
+      exportJobRef.current.cancel();
     }
   };
 
-  // Handle file upload
+  // Handle file upload, storing each file as a Blob asset in IndexedDB and importing caption files
+  // onto caption tracks. Resolves with the names and reasons of any files that could not be added.
   const handleFileUpload = async (files) => {
     console.log("Handling file upload:", files.length, "files");
-    if (!files || files.length === 0) return;
+    if (!files || files.length === 0) return [];
     
-    try {
-      // Create a copy of the current media library to add new items
-      const newMediaLibrary = [...mediaLibrary];
-      
-      // Process each file
-      await Promise.all(
-        Array.from(files).map(async (file, index) => {
-          console.log("Processing file:", file.name, file.type);
-          
-          // Validate file type
-          if (!file.type.startsWith('video/') && !file.type.startsWith('audio/') && !file.type.startsWith('image/')) {
-            console.warn(`Skipping file ${file.name}: unsupported type ${file.type}`);
-            return;
-          }
-          
-          const id = `upload-${Date.now()}-${index}`;
-          const type = file.type.startsWith('video') ? 'video' : 
-                     file.type.startsWith('audio') ? 'audio' : 'image';
-          
-          try {
-            // Convert file to base64 for storage
-            const fileData = await fileToBase64(file);
-            
-            // Get file metadata
-            let duration = 30; // Default duration
-            if (type === 'video' || type === 'audio') {
-              try {
-                console.log(`Getting duration for ${file.name}...`);
-                duration = await getMediaDuration(file, type);
-                console.log(`Duration for ${file.name}: ${duration} seconds`);
-              } catch (err) {
-                console.error(`Error getting duration for ${file.name}:`, err);
-              }
-            }
-            
-            // Create the media item - store with base64 data
-            const mediaItem = {
-              id,
-              type,
-              name: file.name,
-              duration,
-              fileData: fileData, // Store as base64
-              fileType: file.type,
-              fileSize: file.size,
-              lastModified: file.lastModified
-            };
-            
-            // Add to media library
-            newMediaLibrary.push(mediaItem);
-            console.log(`Added ${file.name} to media library`);
-          } catch (error) {
-            console.error(`Error processing file ${file.name}:`, error);
-          }
-        })
-      );
+    const addedAssets = [];
+    const failures = [];
+    
+    // Keep stored media from being evicted when the browser runs low on space
+    requestPersistentStorage();
+    
+    // Process files one at a time so a quota error stops before the next large write
+    for (const [index, file] of Array.from(files).entries()) {
+      console.log("Processing file:", file.name, file.type);
       
-      // Update the media library state
-      setMediaLibrary(newMediaLibrary);
+      // Caption files go onto the timeline rather than into the library
+      if (isCaptionFile(file)) {
+        try {
+          const reason = await importCaptionFile(file, index);
+          if (reason) failures.push({ name: file.name, reason });
+        } catch (error) {
+          console.error(`Error importing captions from ${file.name}:`, error);
+          failures.push({ name: file.name, reason: 'Could not read the caption file' });
+        }
+        continue;
+      }
       
-      // Save to localStorage
-      saveMediaLibraryToStorage(newMediaLibrary);
+      // Validate file type
+      if (!file.type.startsWith('video/') && !file.type.startsWith('audio/') && !file.type.startsWith('image/')) {
+        console.warn(`Skipping file ${file.name}: unsupported type ${file.type}`);
+        failures.push({ name: file.name, reason: `Unsupported file type ${file.type || 'unknown'}` });
+        continue;
+      }
       
-      console.log("Media library updated with new items");
-    } catch (error) {
-      console.error("Error processing uploaded files:", error);
+      const type = file.type.startsWith('video') ? 'video' : 
+                 file.type.startsWith('audio') ? 'audio' : 'image';
+      
+      try {
+        // Get file metadata; stills have no length of their own and take one from preferences when placed
+        let duration = 0;
+        if (type === 'video' || type === 'audio') {
+          try {
+            console.log(`Getting duration for ${file.name}...`);
+            duration = await getMediaDuration(file, type);
+            console.log(`Duration for ${file.name}: ${duration} seconds`);
+          } catch (err) {
+            console.error(`Error getting duration for ${file.name}:`, err);
+          }
+        }
+        
+        // Store the original file as a Blob
+        const asset = await addMediaAsset(file, {
+          id: createMediaId(index),
+          type,
+          name: file.name,
+          duration,
+          fileType: file.type,
+          lastModified: file.lastModified
+        });
+        
+        addedAssets.push(asset);
+        console.log(`Added ${file.name} to media library`);
+      } catch (error) {
+        console.error(`Error processing file ${file.name}:`, error);
+        failures.push({
+          name: file.name,
+          reason: isQuotaError(error)
+            ? 'Not enough storage space left in this browser'
+            : error.message || 'Could not store file'
+        });
+      }
     }
+    
+    setMediaLibrary(prev => [...prev, ...addedAssets]);
+    refreshStorageEstimate();
+    console.log("Media library updated with new items");
+    
+    return failures;
   };
   
-  // Convert file to base64
-  const fileToBase64 = (file) => {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.readAsDataURL(file);
-      reader.onload = () => resolve(reader.result);
-      reader.onerror = (error) => reject(error);
-    });
-  };
-  
-  // Save media library to localStorage
-  const saveMediaLibraryToStorage = (library) => {
+  // Remove an uploaded asset from the library and storage
+  const removeMedia = async (mediaItem) => {
+    const usedInProject = project.tracks.some(track => track.clips.some(clip => clip.mediaId === mediaItem.id));
+    const message = usedInProject
+      ? `"${mediaItem.name}" is used on the timeline. Remove it anyway? Those clips will have no media.`
+      : `Remove "${mediaItem.name}" from the media library?`;
+    if (!window.confirm(message)) return;
+    
     try {
-      localStorage.setItem('videoEditor_mediaLibrary', JSON.stringify(library));
-      console.log('Saved media library to localStorage:', library.length, 'items');
+      await deleteMediaAsset(mediaItem.id);
+      setMediaLibrary(prev => prev.filter(item => item.id !== mediaItem.id));
+      refreshStorageEstimate();
     } catch (error) {
-      console.error('Error saving media library to localStorage:', error);
+      console.error(`Error removing ${mediaItem.name}:`, error);
     }
   };
   
@@ -493,7 +1290,38 @@ const VideoEditor = () => {
 
   return (
     <div className="editor-container h-screen flex flex-col bg-editor-bg text-editor-text">
-      <Header projectName={project.name} />
+      <Header 
+        projectName={project.name}
+        saveStatus={saveStatus}
+        hasUnsavedChanges={hasUnsavedChanges}
+        onRename={renameProject}
+        onNewProject={newProject}
+        onOpenProject={() => setIsOpenDialogVisible(true)}
+        onSaveProject={saveProject}
+        onShowShortcuts={() => setIsShortcutSheetVisible(true)}
+        onShowPreferences={() => setIsPreferencesVisible(true)}
+      />
+      
+      <OpenProjectDialog
+        isOpen={isOpenDialogVisible}
+        currentProjectId={project.id}
+        onClose={() => setIsOpenDialogVisible(false)}
+        onOpenProject={openProject}
+      />
+      
+      <ShortcutSheet
+        isOpen={isShortcutSheetVisible}
+        keymap={keymap}
+        onClose={() => setIsShortcutSheetVisible(false)}
+        onCustomize={customizeShortcuts}
+      />
+      
+      <PreferencesDialog
+        isOpen={isPreferencesVisible}
+        preferences={preferences}
+        onChange={updatePreferences}
+        onClose={() => setIsPreferencesVisible(false)}
+      />
       
       <div className="editor-main flex flex-1 overflow-hidden">
         {/* Left Sidebar */}
@@ -506,10 +1334,16 @@ const VideoEditor = () => {
             <VideoPreview 
               videoRef={videoRef}
               isPlaying={isPlaying}
+              playbackRate={playbackRate}
               currentTime={project.currentTime}
               duration={project.duration}
               tracks={project.tracks}
+              selectedClipId={project.selectedClipId}
+              activeTrim={activeTrim}
               onTimeUpdate={handleTimeUpdate}
+              onPlaybackEnd={() => setIsPlaying(false)}
+              onUpdateClip={updateClip}
+              onEditEnd={endCoalescing}
             />
           </div>
         </div>
@@ -527,9 +1361,11 @@ const VideoEditor = () => {
                 className="h-full"
               >
                 <MediaLibrary 
-                  media={mediaLibrary} 
+                  media={libraryItems} 
+                  storageEstimate={storageEstimate}
                   onAddToTimeline={addClipToTimeline}
                   onFileUpload={handleFileUpload}
+                  onRemoveMedia={removeMedia}
                 />
               </motion.div>
             )}
@@ -546,6 +1382,63 @@ const VideoEditor = () => {
                 <EffectsPanel 
                   selectedClipId={project.selectedClipId}
                   tracks={project.tracks}
+                  currentTime={project.currentTime}
+                  onUpdateClip={updateClip}
+                  onEditEnd={endCoalescing}
+                  copiedEffects={copiedEffects}
+                  onCopyEffects={setCopiedEffects}
+                  onUpdateTransition={updateClipTransition}
+                  onChangeSpeed={changeClipSpeed}
+                  onFreezeFrame={freezeFrame}
+                />
+              </motion.div>
+            )}
+            
+            {activeTab === "markers" && (
+              <motion.div
+                key="markers"
+                initial={{ opacity: 0, x: 20 }}
+                animate={{ opacity: 1, x: 0 }}
+                exit={{ opacity: 0, x: 20 }}
+                transition={{ duration: 0.2 }}
+                className="h-full"
+              >
+                <MarkerList
+                  markers={project.markers}
+                  currentTime={project.currentTime}
+                  duration={project.duration}
+                  canAddRegion={project.markIn !== null || project.markOut !== null}
+                  onAddMarker={addMarker}
+                  onAddRegion={addRegion}
+                  onUpdateMarker={updateMarker}
+                  onEditEnd={endCoalescing}
+                  onRemoveMarker={removeMarker}
+                  onSeek={handleTimeUpdate}
+                  onDownloadChapters={downloadChapters}
+                />
+              </motion.div>
+            )}
+            
+            {activeTab === "captions" && (
+              <motion.div
+                key="captions"
+                initial={{ opacity: 0, x: 20 }}
+                animate={{ opacity: 1, x: 0 }}
+                exit={{ opacity: 0, x: 20 }}
+                transition={{ duration: 0.2 }}
+                className="h-full"
+              >
+                <CaptionPanel
+                  tracks={project.tracks}
+                  currentTime={project.currentTime}
+                  selectedClipId={project.selectedClipId}
+                  onAddCue={addCaptionCue}
+                  onUpdateCue={updateClip}
+                  onEditEnd={endCoalescing}
+                  onRemoveCue={deleteClip}
+                  onSelectCue={selectCaptionCue}
+                  onSetCaptionStyle={setCaptionStyle}
+                  onDownloadCaptions={downloadCaptions}
                 />
               </motion.div>
             )}
@@ -561,8 +1454,11 @@ const VideoEditor = () => {
               >
                 <ExportPanel 
                   projectName={project.name}
-                  isExporting={isExporting}
+                  hasCaptions={project.tracks.some(track => track.type === 'caption' && getTrackCues(track).length > 0)}
+                  isExporting={!!exportJob && ACTIVE_JOB_STATUSES.includes(exportJob.status)}
+                  exportJob={exportJob}
                   onExport={exportVideo}
+                  onCancelExport={cancelExport}
                 />
               </motion.div>
             )}
@@ -575,10 +1471,26 @@ const VideoEditor = () => {
         <ControlPanel 
           isPlaying={isPlaying} 
           togglePlay={togglePlay}
+          onSkipToStart={() => seekTo(0)}
+          onSkipToEnd={() => seekTo(project.duration)}
           currentTime={project.currentTime}
           duration={project.duration}
           onSplit={splitClip}
           onDelete={deleteSelectedClip}
+          onAddText={addTextClip}
+          isSnappingEnabled={isSnappingEnabled}
+          onToggleSnapping={() => setIsSnappingEnabled(!isSnappingEnabled)}
+          canUndo={canUndo}
+          canRedo={canRedo}
+          onUndo={undo}
+          onRedo={redo}
+          history={history}
+          onJumpToHistory={jumpToHistory}
+          zoom={project.zoom}
+          onZoom={(zoom) => timelineRef.current.setZoom(zoom)}
+          onZoomToFit={() => timelineRef.current.zoomToFit()}
+          onZoomToSelection={() => timelineRef.current.zoomToSelection()}
+          hasSelection={!!project.selectedClipId}
         />
         <Timeline 
           ref={timelineRef}
@@ -586,10 +1498,31 @@ const VideoEditor = () => {
           currentTime={project.currentTime}
           duration={project.duration}
           zoom={project.zoom}
+          markIn={project.markIn}
+          markOut={project.markOut}
+          markers={project.markers}
           selectedClipId={project.selectedClipId}
           onSelectClip={selectClip}
           onUpdateClip={updateClipPosition}
+          onUpdateClipEnd={endClipDrag}
+          onMoveClipToTrack={moveClipToTrack}
+          onDropMedia={dropMediaOnTrack}
+          onTrimStart={startTrim}
+          onTrimUpdate={updateTrim}
+          onTrimEnd={endTrim}
+          onUpdateClipAudio={updateClipAudio}
+          onUpdateClipAudioEnd={endCoalescing}
+          onUpdateClipKeyframes={updateClipKeyframes}
+          onUpdateClipKeyframesEnd={endCoalescing}
+          onUpdateClipText={(clipId, text) => updateClip(clipId, { text }, { label: "Edit caption" })}
+          onAddTrack={addTrack}
+          onRemoveTrack={removeTrack}
+          onReorderTrack={reorderTrack}
+          onToggleTrackSetting={toggleTrackSetting}
+          onSetTrackOverlapMode={setTrackOverlapMode}
+          snapping={isSnappingEnabled}
           onTimeUpdate={handleTimeUpdate}
+          onZoomChange={setTimelineZoom}
         />
       </div>
     </div>
@@ -0,0 +1,155 @@
+import React, { useState } from 'react';
+import { CAPTION_STYLES, CAPTION_FORMATS, getCaptionStyle, getTrackCues } from '../../utils/captionUtils';
+import { getTrackName } from '../../utils/trackUtils';
+
+// Cue list for one caption track at a time: its style preset, its cues in order and sidecar
+// downloads. Click a cue to select it and move the playhead to it.
+const CaptionPanel = ({
+  tracks,
+  currentTime,
+  selectedClipId,
+  onAddCue,
+  onUpdateCue,
+  onEditEnd,
+  onRemoveCue,
+  onSelectCue,
+  onSetCaptionStyle,
+  onDownloadCaptions
+}) => {
+  const captionTracks = tracks.filter(track => track.type === 'caption');
+  const [chosenTrackId, setChosenTrackId] = useState(null);
+  const track = captionTracks.find(t => t.id === chosenTrackId) || captionTracks[0] || null;
+  const cues = track ? [...track.clips].sort((a, b) => a.start - b.start) : [];
+
+  // Format time as M:SS.ms
+  const formatTime = (timeInSeconds) => {
+    const minutes = Math.floor(timeInSeconds / 60);
+    const seconds = Math.floor(timeInSeconds % 60);
+    const hundredths = Math.floor((timeInSeconds % 1) * 100);
+    return `${minutes}:${seconds.toString().padStart(2, '0')}.${hundredths.toString().padStart(2, '0')}`;
+  };
+
+  return (
+    <div className="caption-panel">
+      <h2 className="text-lg font-semibold mb-4">Captions</h2>
+
+      {captionTracks.length > 1 && (
+        <div className="mb-3">
+          <label className="text-sm block mb-1">Track</label>
+          <select
+            className="w-full bg-editor-surface-light rounded border border-editor-border p-2 text-sm"
+            value={track.id}
+            onChange={(e) => setChosenTrackId(e.target.value)}
+          >
+            {captionTracks.map(t => (
+              <option key={t.id} value={t.id}>{getTrackName(t, tracks)}</option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {track && (
+        <div className="mb-3">
+          <label className="text-sm block mb-1">Style</label>
+          <div className="grid grid-cols-4 gap-1">
+            {CAPTION_STYLES.map(style => (
+              <button
+                key={style.id}
+                className={`text-xs py-1.5 rounded border ${
+                  getCaptionStyle(track).id === style.id
+                    ? 'bg-editor-primary bg-opacity-20 border-editor-primary'
+                    : 'bg-editor-surface-light border-editor-border hover:border-editor-primary'
+                }`}
+                onClick={() => onSetCaptionStyle(track.id, style.id)}
+                disabled={track.locked}
+              >
+                {style.name}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <button
+        className="btn btn-secondary w-full text-sm mb-3"
+        onClick={() => onAddCue(track ? track.id : null)}
+        disabled={!!track && track.locked}
+        title="Add a caption at the playhead"
+      >
+        Add Caption
+      </button>
+
+      <div className="space-y-2 overflow-y-auto max-h-[calc(100vh-420px)] editor-scrollbar">
+        {cues.map(cue => {
+          const isCurrent = currentTime >= cue.start && currentTime < cue.start + cue.duration;
+          return (
+            <div
+              key={cue.id}
+              className={`caption-cue ${selectedClipId === cue.id || isCurrent ? 'border-editor-primary' : 'border-editor-border'}`}
+              onClick={() => onSelectCue(cue)}
+            >
+              <div className="flex items-center justify-between mb-1">
+                <span className="text-xs font-mono text-editor-text-muted">
+                  {formatTime(cue.start)} → {formatTime(cue.start + cue.duration)}
+                </span>
+                {!track.locked && (
+                  <button
+                    className="text-editor-text-muted hover:text-editor-error"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      onRemoveCue(cue.id);
+                    }}
+                    title="Delete caption"
+                  >
+                    <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor" className="w-3.5 h-3.5">
+                      <path d="M6.28 5.22a.75.75 0 0 0-1.06 1.06L8.94 10l-3.72 3.72a.75.75 0 1 0 1.06 1.06L10 11.06l3.72 3.72a.75.75 0 1 0 1.06-1.06L11.06 10l3.72-3.72a.75.75 0 0 0-1.06-1.06L10 8.94 6.28 5.22Z" />
+                    </svg>
+                  </button>
+                )}
+              </div>
+              <textarea
+                className="w-full bg-editor-surface border border-editor-border rounded p-1.5 text-sm resize-none"
+                rows={2}
+                value={cue.text}
+                readOnly={track.locked}
+                onChange={(e) => onUpdateCue(cue.id, { text: e.target.value }, {
+                  label: "Edit caption",
+                  coalesceKey: `caption-${cue.id}-text`
+                })}
+                onBlur={onEditEnd}
+              ></textarea>
+            </div>
+          );
+        })}
+
+        {cues.length === 0 && (
+          <div className="text-center py-6 text-editor-text-muted">
+            <p className="text-sm">No captions yet</p>
+            <p className="text-xs mt-1">Add captions at the playhead, or drop .srt or .vtt files on the Media Library to import them</p>
+          </div>
+        )}
+      </div>
+
+      {/* Sidecar files */}
+      {track && (
+        <div className="mt-4">
+          <label className="text-sm block mb-1">Download Captions</label>
+          <div className="grid grid-cols-2 gap-2">
+            {CAPTION_FORMATS.map(format => (
+              <button
+                key={format.id}
+                className="btn btn-secondary text-xs"
+                onClick={() => onDownloadCaptions(track.id, format.id)}
+                disabled={getTrackCues(track).length === 0}
+              >
+                {format.name}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CaptionPanel;
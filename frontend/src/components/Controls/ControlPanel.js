@@ -1,14 +1,34 @@
-import React from 'react';
-import { motion } from 'framer-motion';
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { MIN_ZOOM, MAX_ZOOM, ZOOM_STEP } from '../../utils/zoomUtils';
 
 const ControlPanel = ({ 
   isPlaying, 
   togglePlay, 
+  onSkipToStart,
+  onSkipToEnd,
   currentTime, 
   duration,
   onSplit,
-  onDelete
+  onDelete,
+  onAddText,
+  isSnappingEnabled,
+  onToggleSnapping,
+  canUndo,
+  canRedo,
+  onUndo,
+  onRedo,
+  history,
+  onJumpToHistory,
+  zoom,
+  onZoom,
+  onZoomToFit,
+  onZoomToSelection,
+  hasSelection
 }) => {
+  const [isHistoryOpen, setIsHistoryOpen] = useState(false);
+  
+
   // Format time as MM:SS.ms
   const formatTime = (timeInSeconds) => {
     if (isNaN(timeInSeconds)) return "0:00.00";
@@ -20,13 +40,24 @@ const ControlPanel = ({
     return `${minutes}:${seconds.toString().padStart(2, '0')}.${milliseconds.toString().padStart(2, '0')}`;
   };
   
+  // Format a history timestamp as HH:MM:SS
+  const formatClockTime = (timestamp) => {
+    return new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+  };
+  
+  // Jump to a history position and close the list
+  const handleJump = (position) => {
+    onJumpToHistory(position);
+    setIsHistoryOpen(false);
+  };
+  
   return (
     <div className="controls-panel">
       {/* Playback controls */}
       <div className="flex items-center mr-6">
         <motion.button
           className="btn-icon text-editor-text-muted mr-2"
-          onClick={() => {/* Skip to start */}}
+          onClick={onSkipToStart}
           whileHover={{ scale: 1.1 }}
           whileTap={{ scale: 0.9 }}
           title="Skip to Start"
@@ -56,7 +87,7 @@ const ControlPanel = ({
         
         <motion.button
           className="btn-icon text-editor-text-muted"
-          onClick={() => {/* Skip to end */}}
+          onClick={onSkipToEnd}
           whileHover={{ scale: 1.1 }}
           whileTap={{ scale: 0.9 }}
           title="Skip to End"
@@ -74,6 +105,18 @@ const ControlPanel = ({
       
       {/* Editing tools */}
       <div className="flex items-center space-x-2">
+        <motion.button
+          className="btn-icon text-editor-text-muted"
+          onClick={onAddText}
+          whileHover={{ scale: 1.1 }}
+          whileTap={{ scale: 0.9 }}
+          title="Add Text at Playhead"
+        >
+          <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor" className="w-5 h-5">
+            <path d="M3.5 3A1.5 1.5 0 0 0 2 4.5V6a.75.75 0 0 0 1.5 0V4.5h5.75v11h-1.5a.75.75 0 0 0 0 1.5h4.5a.75.75 0 0 0 0-1.5h-1.5v-11h5.75V6A.75.75 0 0 0 18 6V4.5A1.5 1.5 0 0 0 16.5 3h-13Z" />
+          </svg>
+        </motion.button>
+        
         <motion.button
           className="btn-icon text-editor-text-muted"
           onClick={onSplit}
@@ -98,6 +141,162 @@ const ControlPanel = ({
           </svg>
         </motion.button>
       </div>
+      
+      {/* Snapping */}
+      <div className="flex items-center ml-6">
+        <motion.button
+          className={`btn-icon ${isSnappingEnabled ? 'text-editor-warning' : 'text-editor-text-muted'}`}
+          onClick={onToggleSnapping}
+          whileHover={{ scale: 1.1 }}
+          whileTap={{ scale: 0.9 }}
+          title={isSnappingEnabled ? "Snapping On" : "Snapping Off"}
+        >
+          <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor" className="w-5 h-5">
+            <path d="M4 3h4v7a2 2 0 1 0 4 0V3h4v7a6 6 0 0 1-12 0V3Z" />
+          </svg>
+        </motion.button>
+      </div>
+      
+      {/* History */}
+      <div className="flex items-center space-x-2 ml-6 relative">
+        <motion.button
+          className="btn-icon text-editor-text-muted disabled:opacity-40"
+          onClick={onUndo}
+          disabled={!canUndo}
+          whileHover={canUndo ? { scale: 1.1 } : undefined}
+          whileTap={canUndo ? { scale: 0.9 } : undefined}
+          title="Undo (Ctrl+Z)"
+        >
+          <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor" className="w-5 h-5">
+            <path fillRule="evenodd" d="M7.793 2.232a.75.75 0 0 1-.025 1.06L3.622 7.25h10.003a5.375 5.375 0 0 1 0 10.75H10.75a.75.75 0 0 1 0-1.5h2.875a3.875 3.875 0 0 0 0-7.75H3.622l4.146 3.957a.75.75 0 0 1-1.036 1.085l-5.5-5.25a.75.75 0 0 1 0-1.085l5.5-5.25a.75.75 0 0 1 1.06.025Z" clipRule="evenodd" />
+          </svg>
+        </motion.button>
+        
+        <motion.button
+          className="btn-icon text-editor-text-muted disabled:opacity-40"
+          onClick={onRedo}
+          disabled={!canRedo}
+          whileHover={canRedo ? { scale: 1.1 } : undefined}
+          whileTap={canRedo ? { scale: 0.9 } : undefined}
+          title="Redo (Ctrl+Shift+Z)"
+        >
+          <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor" className="w-5 h-5">
+            <path fillRule="evenodd" d="M12.207 2.232a.75.75 0 0 0 .025 1.06l4.146 3.958H6.375a5.375 5.375 0 0 0 0 10.75H9.25a.75.75 0 0 0 0-1.5H6.375a3.875 3.875 0 0 1 0-7.75h10.003l-4.146 3.957a.75.75 0 0 0 1.036 1.085l5.5-5.25a.75.75 0 0 0 0-1.085l-5.5-5.25a.75.75 0 0 0-1.06.025Z" clipRule="evenodd" />
+          </svg>
+        </motion.button>
+        
+        <motion.button
+          className={`btn-icon ${isHistoryOpen ? 'text-editor-primary' : 'text-editor-text-muted'}`}
+          onClick={() => setIsHistoryOpen(!isHistoryOpen)}
+          whileHover={{ scale: 1.1 }}
+          whileTap={{ scale: 0.9 }}
+          title="Edit History"
+        >
+          <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor" className="w-5 h-5">
+            <path fillRule="evenodd" d="M10 18a8 8 0 1 0 0-16 8 8 0 0 0 0 16Zm.75-13a.75.75 0 0 0-1.5 0v5c0 .414.336.75.75.75h4a.75.75 0 0 0 0-1.5h-3.25V5Z" clipRule="evenodd" />
+          </svg>
+        </motion.button>
+        
+        <AnimatePresence>
+          {isHistoryOpen && (
+            <motion.div
+              className="absolute bottom-full left-0 mb-2 w-64 max-h-72 overflow-y-auto editor-scrollbar bg-editor-surface border border-editor-border rounded-md shadow-panel z-30 py-1"
+              initial={{ opacity: 0, y: 5 }}
+              animate={{ opacity: 1, y: 0 }}
+              exit={{ opacity: 0, y: 5 }}
+            >
+              <div className="px-3 py-1 text-xs text-editor-text-muted uppercase tracking-wide">History</div>
+              
+              {/* Position 0 is the state before any recorded edit */}
+              <button
+                className={`w-full flex justify-between px-3 py-1 text-left text-sm hover:bg-editor-bg ${
+                  history.position === 0 ? 'text-editor-primary font-medium' : ''
+                }`}
+                onClick={() => handleJump(0)}
+              >
+                <span>Initial state</span>
+              </button>
+              
+              {history.entries.map((entry, index) => {
+                const position = index + 1;
+                return (
+                  <button
+                    key={entry.id}
+                    className={`w-full flex justify-between px-3 py-1 text-left text-sm hover:bg-editor-bg ${
+                      position === history.position
+                        ? 'text-editor-primary font-medium'
+                        : position > history.position ? 'text-editor-text-muted italic' : ''
+                    }`}
+                    onClick={() => handleJump(position)}
+                  >
+                    <span className="truncate mr-2">{entry.label}</span>
+                    <span className="text-xs text-editor-text-muted font-mono">{formatClockTime(entry.timestamp)}</span>
+                  </button>
+                );
+              })}
+            </motion.div>
+          )}
+        </AnimatePresence>
+      </div>
+      
+      {/* Zoom; the slider is logarithmic so each step changes the zoom by the same factor */}
+      <div className="flex items-center space-x-2 ml-auto">
+        <motion.button
+          className="btn-icon text-editor-text-muted disabled:opacity-40"
+          onClick={() => onZoom(zoom / ZOOM_STEP)}
+          disabled={zoom <= MIN_ZOOM}
+          whileHover={{ scale: 1.1 }}
+          whileTap={{ scale: 0.9 }}
+          title="Zoom Out"
+        >
+          <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor" className="w-5 h-5">
+            <path d="M6.75 8.25a.75.75 0 0 0 0 1.5h4.5a.75.75 0 0 0 0-1.5h-4.5Z" />
+            <path fillRule="evenodd" d="M9 2a7 7 0 1 0 4.391 12.452l3.329 3.328a.75.75 0 1 0 1.06-1.06l-3.328-3.329A7 7 0 0 0 9 2ZM3.5 9a5.5 5.5 0 1 1 11 0 5.5 5.5 0 0 1-11 0Z" clipRule="evenodd" />
+          </svg>
+        </motion.button>
+        
+        <input
+          type="range"
+          min={Math.log(MIN_ZOOM)}
+          max={Math.log(MAX_ZOOM)}
+          step="0.01"
+          value={Math.log(zoom)}
+          onChange={(e) => onZoom(Math.exp(Number(e.target.value)))}
+          className="w-28"
+          title="Zoom (Ctrl+scroll on the timeline)"
+        />
+        
+        <motion.button
+          className="btn-icon text-editor-text-muted disabled:opacity-40"
+          onClick={() => onZoom(zoom * ZOOM_STEP)}
+          disabled={zoom >= MAX_ZOOM}
+          whileHover={{ scale: 1.1 }}
+          whileTap={{ scale: 0.9 }}
+          title="Zoom In"
+        >
+          <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor" className="w-5 h-5">
+            <path d="M9 6a.75.75 0 0 1 .75.75v1.5h1.5a.75.75 0 0 1 0 1.5h-1.5v1.5a.75.75 0 0 1-1.5 0v-1.5h-1.5a.75.75 0 0 1 0-1.5h1.5v-1.5A.75.75 0 0 1 9 6Z" />
+            <path fillRule="evenodd" d="M2 9a7 7 0 1 1 12.452 4.391l3.328 3.329a.75.75 0 1 1-1.06 1.06l-3.329-3.328A7 7 0 0 1 2 9Zm7-5.5a5.5 5.5 0 1 0 0 11 5.5 5.5 0 0 0 0-11Z" clipRule="evenodd" />
+          </svg>
+        </motion.button>
+        
+        <button
+          className="text-xs text-editor-text-muted hover:text-editor-text"
+          onClick={onZoomToFit}
+          title="Zoom to Fit Project"
+        >
+          Fit
+        </button>
+        
+        <button
+          className="text-xs text-editor-text-muted hover:text-editor-text disabled:opacity-40"
+          onClick={onZoomToSelection}
+          disabled={!hasSelection}
+          title="Zoom to Selected Clip"
+        >
+          Selection
+        </button>
+      </div>
     </div>
   );
 };
@@ -0,0 +1,103 @@
+import React, { useEffect, useRef } from 'react';
+import { motion } from 'framer-motion';
+import useMediaUrl from '../../hooks/useMediaUrl';
+import { FRAME_RATE, getClipEnd, getClipSource, timelineToSourceTime } from '../../utils/clipUtils';
+import { findAdjacentClip, TRIM_MODES } from '../../utils/trimUtils';
+
+// Labels shown above the monitor for each edit mode
+const MODE_LABELS = {
+  [TRIM_MODES.trim]: 'Trim',
+  [TRIM_MODES.ripple]: 'Ripple Trim',
+  [TRIM_MODES.roll]: 'Roll Edit'
+};
+
+// Format source time as M:SS:FF
+const formatTimecode = (timeInSeconds) => {
+  const totalFrames = Math.round(timeInSeconds * FRAME_RATE);
+  const frames = totalFrames % FRAME_RATE;
+  const totalSeconds = Math.floor(totalFrames / FRAME_RATE);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${seconds.toString().padStart(2, '0')}:${frames.toString().padStart(2, '0')}`;
+};
+
+// A single source frame, seeked to the edit point as it moves
+const TrimFrame = ({ clip, time, label }) => {
+  const videoRef = useRef(null);
+  const source = useMediaUrl(clip.mediaId, getClipSource(clip));
+
+  useEffect(() => {
+    const video = videoRef.current;
+    if (video && video.readyState >= 1) {
+      video.currentTime = time;
+    }
+  }, [time]);
+
+  return (
+    <div className="flex-1 min-w-0">
+      <div className="aspect-video bg-black rounded overflow-hidden flex items-center justify-center">
+        {clip.type === 'video' && source ? (
+          <video
+            ref={videoRef}
+            src={source}
+            className="w-full h-full object-contain"
+            muted
+            playsInline
+            preload="auto"
+            crossOrigin="anonymous"
+            onLoadedMetadata={(e) => { e.target.currentTime = time; }}
+          />
+        ) : (
+          <span className="text-xs text-editor-text-muted capitalize">{clip.type}</span>
+        )}
+      </div>
+      <div className="flex justify-between text-xs mt-1">
+        <span className="truncate mr-2">{label}: {clip.name}</span>
+        <span className="font-mono text-editor-text-muted">{formatTimecode(time)}</span>
+      </div>
+    </div>
+  );
+};
+
+// Shows the frames on either side of the edit while a clip edge is being dragged
+const TrimMonitor = ({ activeTrim, tracks }) => {
+  const track = tracks.find(t => t.clips.some(clip => clip.id === activeTrim.clipId));
+  if (!track) return null;
+
+  const clip = track.clips.find(c => c.id === activeTrim.clipId);
+  const lastFrame = 1 / FRAME_RATE;
+
+  // The out-point frame is the last one still inside the clip
+  const getOutFrame = (c) => ({ clip: c, time: Math.max(timelineToSourceTime(c, getClipEnd(c) - lastFrame), 0), label: 'Out' });
+  const getInFrame = (c) => ({ clip: c, time: timelineToSourceTime(c, c.start), label: 'In' });
+
+  let frames;
+  if (activeTrim.mode === TRIM_MODES.roll) {
+    const neighbor = findAdjacentClip(track.clips, clip, activeTrim.edge);
+    if (neighbor) {
+      frames = activeTrim.edge === 'left'
+        ? [getOutFrame(neighbor), getInFrame(clip)]
+        : [getOutFrame(clip), getInFrame(neighbor)];
+    }
+  }
+  if (!frames) {
+    frames = [activeTrim.edge === 'left' ? getInFrame(clip) : getOutFrame(clip)];
+  }
+
+  return (
+    <motion.div
+      className="absolute inset-0 z-20 bg-black bg-opacity-80 flex flex-col items-center justify-center p-6 pointer-events-none"
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+    >
+      <div className="text-sm font-semibold mb-3">{MODE_LABELS[activeTrim.mode]}</div>
+      <div className="flex w-full max-w-3xl space-x-4">
+        {frames.map(frame => (
+          <TrimFrame key={`${frame.clip.id}-${frame.label}`} {...frame} />
+        ))}
+      </div>
+    </motion.div>
+  );
+};
+
+export default TrimMonitor;
@@ -1,271 +1,169 @@
 import React, { useEffect, useState, useRef } from 'react';
 import { motion } from 'framer-motion';
-import videojs from 'video.js';
-import 'video.js/dist/video-js.css';
+import TrimMonitor from './TrimMonitor';
+import { createPlaybackEngine } from '../../services/playbackEngine';
+import { PREVIEW_WIDTH, PREVIEW_HEIGHT, getLayersAt, getTextBounds } from '../../services/compositor';
+import { getClipTransformAt, getTransformChanges } from '../../utils/transformUtils';
 
-const VideoPreview = ({ videoRef, isPlaying, currentTime, duration, tracks, onTimeUpdate }) => {
-  const [activeVideo, setActiveVideo] = useState(null);
-  const [isReady, setIsReady] = useState(false);
-  const [loadingProgress, setLoadingProgress] = useState(0);
-  const [playbackError, setPlaybackError] = useState(false);
-  const [blobUrl, setBlobUrl] = useState(null);
+const VideoPreview = ({
+  videoRef,
+  isPlaying,
+  playbackRate = 1,
+  currentTime,
+  duration,
+  tracks,
+  selectedClipId,
+  activeTrim,
+  onTimeUpdate,
+  onPlaybackEnd,
+  onUpdateClip,
+  onEditEnd
+}) => {
+  const [isWaiting, setIsWaiting] = useState(false);
+  const [playbackError, setPlaybackError] = useState(null);
   
-  // Local refs for videojs
-  const videoNode = useRef(null);
-  const player = useRef(null);
-  const lastUpdateTimeRef = useRef(0);
-  const lastEventUpdateTimeRef = useRef(0);
-
-  // Find the video clip at the current time position
-  useEffect(() => {
-    const videoTrack = tracks.find(track => track.type === 'video');
-    if (!videoTrack || !videoTrack.clips.length) {
-      setActiveVideo(null);
-      return;
-    }
-
-    // Find clips that overlap with the current time
-    const activeClips = videoTrack.clips.filter(clip => {
-      const start = clip.start;
-      const end = clip.start + clip.duration;
-      return currentTime >= start && currentTime < end;
-    });
-
-    // Use the first found clip
-    setActiveVideo(activeClips[0] || null);
-  }, [currentTime, tracks]);
-
-  // Clean up blob URL when component unmounts
-  useEffect(() => {
-    return () => {
-      if (blobUrl) {
-        URL.revokeObjectURL(blobUrl);
+  // Canvas the playback engine composites every visible layer onto
+  const canvasRef = useRef(null);
+  const engineRef = useRef(null);
+  
+  // Keep the latest callbacks for the engine, which is created once
+  const onTimeUpdateRef = useRef(onTimeUpdate);
+  const onPlaybackEndRef = useRef(onPlaybackEnd);
+  onTimeUpdateRef.current = onTimeUpdate;
+  onPlaybackEndRef.current = onPlaybackEnd;
+  
+  const hasVisualClips = tracks.some(track => track.type !== 'audio' && track.clips.length > 0);
+  
+  // Get where the selected text clip sits over the canvas in CSS pixels, or null when it isn't showing
+  const getSelectedTextBox = () => {
+    const canvas = canvasRef.current;
+    if (!canvas || isPlaying || !selectedClipId) return null;
+    // Captions keep to their track's style, so only text clips can be moved
+    const layer = getLayersAt(tracks, currentTime).find(({ clip, track }) => clip.id === selectedClipId && track.type === 'text');
+    if (!layer) return null;
+    
+    // The canvas keeps its aspect ratio inside its box, so find the area it actually draws in
+    const canvasRect = canvas.getBoundingClientRect();
+    const parentRect = canvas.parentElement.getBoundingClientRect();
+    const scale = Math.min(canvasRect.width / PREVIEW_WIDTH, canvasRect.height / PREVIEW_HEIGHT);
+    const offsetX = canvasRect.left - parentRect.left + (canvasRect.width - PREVIEW_WIDTH * scale) / 2;
+    const offsetY = canvasRect.top - parentRect.top + (canvasRect.height - PREVIEW_HEIGHT * scale) / 2;
+    const bounds = getTextBounds(canvas.getContext('2d'), layer.clip, currentTime);
+    
+    return {
+      clip: layer.clip,
+      scale,
+      style: {
+        left: `${offsetX + bounds.left * scale}px`,
+        top: `${offsetY + bounds.top * scale}px`,
+        width: `${bounds.width * scale}px`,
+        height: `${bounds.height * scale}px`
       }
     };
-  }, [blobUrl]);
+  };
+  const selectedTextBox = getSelectedTextBox();
+  
+  // Drag the selected text clip around the frame
+  const handleTextMouseDown = (e) => {
+    e.preventDefault();
+    const { clip, scale } = selectedTextBox;
+    const transform = getClipTransformAt(clip, currentTime);
+    const startX = e.clientX;
+    const startY = e.clientY;
+    
+    const handleMouseMove = (moveEvent) => {
+      // Keyframed positions move at the playhead
+      onUpdateClip(clip.id, getTransformChanges(clip, currentTime, {
+        x: transform.x + (moveEvent.clientX - startX) / scale / PREVIEW_WIDTH,
+        y: transform.y + (moveEvent.clientY - startY) / scale / PREVIEW_HEIGHT
+      }), { label: "Move text", coalesceKey: `transform-${clip.id}-position` });
+    };
+    
+    const handleMouseUp = () => {
+      onEditEnd();
+      document.removeEventListener('mousemove', handleMouseMove);
+      document.removeEventListener('mouseup', handleMouseUp);
+    };
+    
+    document.addEventListener('mousemove', handleMouseMove);
+    document.addEventListener('mouseup', handleMouseUp);
+  };
 
-  // Initialize Video.js when component mounts or activeVideo changes
+  // Create the playback engine drawing into the canvas
   useEffect(() => {
-    // If there's no video clip or no DOM node, don't do anything
-    if (!activeVideo || !videoNode.current) {
-      if (player.current) {
-        player.current.dispose();
-        player.current = null;
-      }
-      return;
-    }
-
-    // Reset states
-    setIsReady(false);
-    setLoadingProgress(0);
-    setPlaybackError(false);
+    const engine = createPlaybackEngine(canvasRef.current, {
+      onTimeUpdate: (time) => onTimeUpdateRef.current(time),
+      onEnded: () => onPlaybackEndRef.current(),
+      onWaitingChange: setIsWaiting,
+      onError: (clip) => setPlaybackError(clip.name)
+    });
+    engineRef.current = engine;
     
-    // Clean up previous player instance if it exists
-    if (player.current) {
-      player.current.dispose();
-      player.current = null;
-    }
-
-    try {
-      // Create a new Video.js player
-      const vjsPlayer = videojs(videoNode.current, {
-        autoplay: false,
-        controls: true,  // Enable controls for easier debugging
-        preload: 'auto',
-        fluid: true,
-        playsinline: true,
-        muted: false,  // Allow audio playback
-        responsive: true,
-        aspectRatio: '16:9', // Add aspect ratio
-        controlBar: {
-          pictureInPictureToggle: false, // Hide PiP button to avoid issues
-        },
-        liveui: false,
-        sources: []  // Start with empty sources, we'll add them after
-      });
-      
-      player.current = vjsPlayer;
-
-      // Prepare the video source
-      let sourceUrl;
-      
-      // Revoke any existing blob URL
-      if (blobUrl) {
-        URL.revokeObjectURL(blobUrl);
-        setBlobUrl(null);
-      }
-      
-      // Handle different source types
-      if (activeVideo.fileData) {
-        // For uploaded videos with base64 data
-        sourceUrl = activeVideo.fileData;
-        console.log('Using base64 data for video:', activeVideo.name);
-      } else if (activeVideo.src) {
-        // For sample videos (URLs)
-        sourceUrl = activeVideo.src;
-        console.log('Using direct source URL:', sourceUrl);
-      } else {
-        console.error('No valid source found for active video:', activeVideo.name);
-        setPlaybackError(true);
-        return;
-      }
-      
-      // Set up player event handlers
-      vjsPlayer.on('ready', () => {
-        console.log('Video.js player is ready');
-        
-        // Set the video source after player is ready
-        vjsPlayer.src({
-          src: sourceUrl,
-          type: activeVideo.fileType || 'video/mp4'
-        });
-        
-        // Set up the videoRef for parent component
-        if (videoRef) {
-          videoRef.current = {
-            getCurrentTime: () => vjsPlayer.currentTime(),
-            seekTo: (seconds) => vjsPlayer.currentTime(seconds)
-          };
-        }
-      });
-      
-      vjsPlayer.on('loadeddata', () => {
-        console.log('Video data loaded');
-        setLoadingProgress(1);
-        setIsReady(true);
-        
-        // Set initial time if needed
-        if (currentTime > 0) {
-          vjsPlayer.currentTime(currentTime);
-        }
-      });
-      
-      vjsPlayer.on('error', (e) => {
-        console.error('Video.js error:', vjsPlayer.error(), e);
-        setPlaybackError(true);
-        setLoadingProgress(0);
-      });
-      
-      // Implement more responsive time updates for playhead movement (30 times per second)
-      vjsPlayer.on('timeupdate', () => {
-        const now = Date.now();
-        // Update more frequently (33ms = ~30fps) for smoother playhead
-        if (now - lastUpdateTimeRef.current >= 33) {
-          const newTime = vjsPlayer.currentTime();
-          onTimeUpdate(newTime);
-          lastUpdateTimeRef.current = now;
-        }
-      });
-      
-      // Additional event handlers to ensure accurate time tracking
-      vjsPlayer.on('play', () => {
-        // Setup a more frequent time update with requestAnimationFrame
-        const updateTime = () => {
-          if (player.current && isPlaying) {
-            const newTime = player.current.currentTime();
-            
-            // Only update if time has changed significantly (avoid unnecessary renders)
-            if (Math.abs(newTime - currentTime) > 0.01) {
-              onTimeUpdate(newTime);
-            }
-            
-            // Continue the animation loop while playing
-            requestAnimationFrame(updateTime);
-          }
-        };
-        
-        requestAnimationFrame(updateTime);
-      });
-      
-      // Additional event to update time precisely when video is paused
-      vjsPlayer.on('pause', () => {
-        const newTime = vjsPlayer.currentTime();
-        onTimeUpdate(newTime);
-      });
-      
-      // Update time even on seeking
-      vjsPlayer.on('seeking', () => {
-        const now = Date.now();
-        // Throttle events but ensure they're captured
-        if (now - lastEventUpdateTimeRef.current >= 16) {
-          const newTime = vjsPlayer.currentTime();
-          onTimeUpdate(newTime);
-          lastEventUpdateTimeRef.current = now;
-        }
-      });
-      
-      vjsPlayer.on('seeked', () => {
-        const newTime = vjsPlayer.currentTime();
-        onTimeUpdate(newTime);
-      });
-      
-      // Cleanup function
-      return () => {
-        if (player.current) {
-          player.current.dispose();
-          player.current = null;
-        }
+    // Let the parent component read and set the position in timeline time
+    if (videoRef) {
+      videoRef.current = {
+        getCurrentTime: engine.getTime,
+        seekTo: engine.seek
       };
-      
-    } catch (error) {
-      console.error('Error initializing Video.js:', error);
-      setPlaybackError(true);
     }
-  }, [activeVideo]);
+    
+    return () => {
+      engine.destroy();
+      engineRef.current = null;
+    };
+  }, []);
+  
+  // Hand edits to the engine as they happen
+  useEffect(() => {
+    engineRef.current.setTimeline(tracks, duration);
+  }, [tracks, duration]);
+
+  // Shuttle speed; set before play so playback starts at the right speed
+  useEffect(() => {
+    engineRef.current.setRate(playbackRate);
+  }, [playbackRate]);
 
   // Handle play/pause state
   useEffect(() => {
-    if (!player.current || !isReady) return;
-    
     if (isPlaying) {
-      player.current.play().catch(error => {
-        console.error('Play error:', error);
-        // Try with muted to overcome autoplay restrictions
-        player.current.muted(true);
-        player.current.play().catch(e => {
-          console.error('Play error even with mute:', e);
-          setPlaybackError(true);
-        });
-      });
+      engineRef.current.play();
     } else {
-      player.current.pause();
+      engineRef.current.pause();
     }
-  }, [isPlaying, isReady]);
+  }, [isPlaying]);
 
-  // Handle seeking to specific time
+  // Seek when the playhead is moved from outside, ignoring the engine's own time reports
   useEffect(() => {
-    if (player.current && isReady && Math.abs(player.current.currentTime() - currentTime) > 0.5) {
-      player.current.currentTime(currentTime);
+    const engine = engineRef.current;
+    if (currentTime !== engine.getReportedTime() && currentTime !== engine.getTime()) {
+      engine.seek(currentTime);
     }
-  }, [currentTime, isReady]);
+  }, [currentTime]);
 
   return (
     <div className="w-full h-full flex flex-col items-center justify-center relative">
       {/* Video player container */}
       <div className="relative w-full h-full flex items-center justify-center">
-        {/* Loading indicator */}
-        {loadingProgress < 1 && activeVideo && !playbackError && (
+        {/* Loading indicator while the clip under the playhead loads */}
+        {isWaiting && !playbackError && (
           <div className="absolute inset-0 flex items-center justify-center bg-black bg-opacity-50 z-10">
             <div className="loading-spinner"></div>
           </div>
         )}
         
         {/* Error indicator */}
-        {playbackError && activeVideo && (
+        {playbackError && (
           <div className="absolute inset-0 flex items-center justify-center bg-black bg-opacity-50 z-10 text-white">
             <div className="text-center">
               <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="currentColor" className="w-12 h-12 mx-auto mb-2 text-red-500">
                 <path fillRule="evenodd" d="M9.401 3.003c1.155-2 4.043-2 5.197 0l7.355 12.748c1.154 2-.29 4.5-2.599 4.5H4.645c-2.309 0-3.752-2.5-2.598-4.5L9.4 3.003zM12 8.25a.75.75 0 01.75.75v3.75a.75.75 0 01-1.5 0V9a.75.75 0 01.75-.75zm0 8.25a.75.75 0 100-1.5.75.75 0 000 1.5z" clipRule="evenodd" />
               </svg>
-              <p>Error playing video</p>
+              <p>Error playing {playbackError}</p>
               <button 
                 className="mt-2 text-sm bg-editor-primary px-3 py-1 rounded"
                 onClick={() => {
-                  setPlaybackError(false);
-                  if (player.current) {
-                    player.current.currentTime(currentTime);
-                    player.current.play().catch(e => console.error("Retry error:", e));
-                  }
+                  setPlaybackError(null);
+                  engineRef.current.reload();
                 }}
               >
                 Try Again
@@ -274,21 +172,36 @@ const VideoPreview = ({ videoRef, isPlaying, currentTime, duration, tracks, onTi
           </div>
         )}
         
-        {/* Video player */}
-        <div className="w-full h-full">
-          {/* Always keep the video element in the DOM */}
-          <div data-vjs-player className="w-full h-full">
-            <video
-              ref={videoNode}
-              className="video-js vjs-big-play-centered vjs-fluid"
-              playsInline
-              crossOrigin="anonymous"
-            ></video>
+        {/* Composited preview frame: black where no clip covers the playhead */}
+        <canvas
+          ref={canvasRef}
+          className="preview-canvas"
+          width={PREVIEW_WIDTH}
+          height={PREVIEW_HEIGHT}
+        />
+        
+        {/* Shuttle speed while playing at anything but normal speed */}
+        {isPlaying && playbackRate !== 1 && (
+          <div className="absolute top-2 right-2 bg-black bg-opacity-70 text-white text-xs font-mono px-2 py-0.5 rounded z-10">
+            {playbackRate < 0 ? '◀ ' : ''}{Math.abs(playbackRate)}×{playbackRate > 0 ? ' ▶' : ''}
           </div>
-        </div>
+        )}
+        
+        {/* Handle for dragging the selected text into place */}
+        {selectedTextBox && !activeTrim && (
+          <div
+            className="preview-text-handle"
+            style={selectedTextBox.style}
+            onMouseDown={handleTextMouseDown}
+            title="Drag to move"
+          />
+        )}
+        
+        {/* Edit point frames while trimming a clip */}
+        {activeTrim && <TrimMonitor activeTrim={activeTrim} tracks={tracks} />}
         
-        {/* Empty state when no video is active - render on top of player */}
-        {!activeVideo && (
+        {/* Empty state when the timeline has nothing to show yet - render on top of player */}
+        {!hasVisualClips && (
           <div className="absolute inset-0 w-full h-full flex flex-col items-center justify-center text-editor-text-muted bg-black bg-opacity-75">
             <motion.div 
               initial={{ opacity: 0, y: 10 }}
@@ -1,11 +1,133 @@
 import React, { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
 import { HexColorPicker } from 'react-colorful';
+import {
+  getClipTransform,
+  getClipTransformAt,
+  isDefaultTransform,
+  isTransformAnimated,
+  DEFAULT_TRANSFORM,
+  ANIMATED_TRANSFORM_PROPERTIES
+} from '../../utils/transformUtils';
+import {
+  FILTER_PRESETS,
+  ADJUSTMENTS,
+  DEFAULT_EFFECTS,
+  EFFECT_CLIP_TYPES,
+  getClipEffects,
+  isDefaultEffects,
+  getCssFilter
+} from '../../utils/effectUtils';
+import {
+  TRANSITION_TYPES,
+  TRANSITION_TRACK_TYPES,
+  MIN_TRANSITION_DURATION,
+  getNextAdjacentClip,
+  getClipTransitions,
+  getMaxTransitionDuration
+} from '../../utils/transitionUtils';
+import { findClipTrack } from '../../utils/trackUtils';
+import {
+  TEXT_FONTS,
+  TEXT_ANIMATIONS,
+  getClipText,
+  getClipTextStyle,
+  getClipTextAnimation
+} from '../../utils/textUtils';
+import {
+  DEFAULT_AUDIO,
+  MAX_GAIN,
+  AUDIO_CLIP_TYPES,
+  getClipAudio,
+  isDefaultAudio,
+  isPitchPreserved
+} from '../../utils/audioUtils';
+import {
+  MOTION_CLIP_TYPES,
+  MAX_MOTION_ZOOM,
+  DEFAULT_MOTION,
+  getClipMotion,
+  createMotionRect,
+  getMotionRectView
+} from '../../utils/motionUtils';
+import {
+  EASINGS,
+  KEYFRAME_PROPERTIES,
+  hasKeyframes,
+  findKeyframe,
+  getKeyframeTime,
+  getKeyframeValue,
+  setKeyframe,
+  removeKeyframe,
+  clearKeyframes
+} from '../../utils/keyframeUtils';
+import {
+  MIN_CLIP_SPEED,
+  MAX_CLIP_SPEED,
+  getClipSpeed,
+  isClipReversed,
+  isUntimedClip
+} from '../../utils/clipUtils';
 
-const EffectsPanel = ({ selectedClipId, tracks }) => {
+// Transform sliders. Values are shown and edited in `unit`s; `factor` converts them to the stored value.
+// Crop controls edit one edge of transform.crop.
+const TRANSFORM_CONTROLS = [
+  { id: 'x', name: 'Position X', min: -100, max: 100, unit: '%', factor: 0.01 },
+  { id: 'y', name: 'Position Y', min: -100, max: 100, unit: '%', factor: 0.01 },
+  { id: 'scale', name: 'Scale', min: 10, max: 400, unit: '%', factor: 0.01 },
+  { id: 'rotation', name: 'Rotation', min: -180, max: 180, unit: '°', factor: 1 },
+  { id: 'opacity', name: 'Opacity', min: 0, max: 100, unit: '%', factor: 0.01 },
+  { id: 'left', name: 'Crop Left', min: 0, max: 90, unit: '%', factor: 0.01, crop: true },
+  { id: 'right', name: 'Crop Right', min: 0, max: 90, unit: '%', factor: 0.01, crop: true },
+  { id: 'top', name: 'Crop Top', min: 0, max: 90, unit: '%', factor: 0.01, crop: true },
+  { id: 'bottom', name: 'Crop Bottom', min: 0, max: 90, unit: '%', factor: 0.01, crop: true }
+];
+
+// Sliders for each end of a pan and zoom, editing the rectangle's zoom and centre in percent
+const MOTION_CONTROLS = [
+  { id: 'zoom', name: 'Zoom', min: 100, max: MAX_MOTION_ZOOM * 100 },
+  { id: 'centerX', name: 'Centre X', min: 0, max: 100 },
+  { id: 'centerY', name: 'Centre Y', min: 0, max: 100 }
+];
+
+// Speeds offered as one-click choices
+const SPEED_PRESETS = [0.25, 0.5, 1, 2, 4];
+
+// Clip types drawn in the preview, which can be positioned and scaled
+const VISUAL_CLIP_TYPES = ['video', 'image', 'text'];
+
+// Diamond that adds or removes the keyframe at the playhead; filled when there is one there
+const KeyframeToggle = ({ isAnimated, hasKeyframe, title, onClick }) => (
+  <button
+    className={`keyframe-toggle ${isAnimated ? 'keyframe-toggle-animated' : ''}`}
+    onClick={onClick}
+    title={title}
+  >
+    <svg viewBox="0 0 14 14" className="w-full h-full">
+      <polygon
+        points="7,1 13,7 7,13 1,7"
+        fill={hasKeyframe ? 'currentColor' : 'none'}
+        stroke="currentColor"
+        strokeWidth="1.5"
+      />
+    </svg>
+  </button>
+);
+
+const EffectsPanel = ({
+  selectedClipId,
+  tracks,
+  currentTime,
+  onUpdateClip,
+  onUpdateTransition,
+  onChangeSpeed,
+  onFreezeFrame,
+  onEditEnd,
+  copiedEffects,
+  onCopyEffects
+}) => {
   const [selectedClip, setSelectedClip] = useState(null);
   const [activeTab, setActiveTab] = useState('filters');
-  const [textColor, setTextColor] = useState('#ffffff');
   const [showColorPicker, setShowColorPicker] = useState(false);
   
   // Find selected clip
@@ -40,35 +162,75 @@ const EffectsPanel = ({ selectedClipId, tracks }) => {
     );
   }
   
+  // Captions take their look from their track, set in the captions panel
+  if (selectedClip.type === 'caption') {
+    return (
+      <div className="effects-panel text-center flex flex-col items-center justify-center h-full">
+        <h3 className="text-lg font-medium mb-1">Caption Selected</h3>
+        <p className="text-sm text-editor-text-muted">Edit captions and their style in the Captions panel</p>
+      </div>
+    );
+  }
+  
   // Tabs based on clip type
   const getTabs = () => {
-    const tabs = [
-      { id: 'filters', label: 'Filters' },
-      { id: 'transitions', label: 'Transitions' }
-    ];
+    const tabs = [];
+    
+    if (EFFECT_CLIP_TYPES.includes(selectedClip.type)) {
+      tabs.push({ id: 'filters', label: 'Filters' });
+    }
+    
+    const track = findClipTrack(tracks, selectedClip.id);
+    if (track && TRANSITION_TRACK_TYPES.includes(track.type)) {
+      tabs.push({ id: 'transitions', label: 'Transitions' });
+    }
+    
+    if (VISUAL_CLIP_TYPES.includes(selectedClip.type)) {
+      tabs.push({ id: 'transform', label: 'Transform' });
+    }
+    
+    if (MOTION_CLIP_TYPES.includes(selectedClip.type)) {
+      tabs.push({ id: 'motion', label: 'Motion' });
+    }
     
-    if (selectedClip.type === 'video') {
+    if (EFFECT_CLIP_TYPES.includes(selectedClip.type)) {
       tabs.push({ id: 'adjustments', label: 'Adjustments' });
-    } else if (selectedClip.type === 'audio') {
-      tabs.push({ id: 'audio', label: 'Audio' });
     } else if (selectedClip.type === 'text') {
       tabs.push({ id: 'text', label: 'Text' });
     }
     
+    if (AUDIO_CLIP_TYPES.includes(selectedClip.type)) {
+      tabs.push({ id: 'audio', label: 'Audio' });
+    }
+    
+    if (!isUntimedClip(selectedClip)) {
+      tabs.push({ id: 'speed', label: 'Speed' });
+    }
+    
     return tabs;
   };
   
+  // Fall back to the first tab when the active one doesn't apply to this clip
+  const tabs = getTabs();
+  const currentTab = tabs.some(tab => tab.id === activeTab) ? activeTab : tabs[0].id;
+  
   // Render effect content based on active tab
   const renderEffectContent = () => {
-    switch (activeTab) {
+    switch (currentTab) {
       case 'filters':
         return renderFilters();
       case 'transitions':
         return renderTransitions();
+      case 'transform':
+        return renderTransform();
+      case 'motion':
+        return renderMotion();
       case 'adjustments':
         return renderAdjustments();
       case 'audio':
         return renderAudioEffects();
+      case 'speed':
+        return renderSpeed();
       case 'text':
         return renderTextOptions();
       default:
@@ -76,62 +238,149 @@ const EffectsPanel = ({ selectedClipId, tracks }) => {
     }
   };
   
+  // Keyframes are set at the playhead, held inside the selected clip
+  const playheadTime = Math.min(Math.max(currentTime, selectedClip.start), selectedClip.start + selectedClip.duration);
+  const keyframeTime = getKeyframeTime(selectedClip, playheadTime);
+  
+  // Get an animatable property's value at the playhead
+  const getAnimatedValue = (property, staticValue) => {
+    return getKeyframeValue(selectedClip, property, playheadTime, staticValue);
+  };
+  
+  // Set an animatable property at the playhead: on its keyframe there if it is animated, otherwise
+  // with `staticChanges` for the whole clip
+  const setAnimatedValue = (property, value, staticChanges, label, coalesceKey) => {
+    const changes = hasKeyframes(selectedClip, property)
+      ? { keyframes: setKeyframe(selectedClip, property, keyframeTime, value) }
+      : staticChanges;
+    onUpdateClip(selectedClip.id, changes, { label, coalesceKey });
+  };
+  
+  // Render the keyframe toggle for a property whose value at the playhead is `value`, with the easing
+  // of the keyframe there
+  const renderKeyframeControls = (property, value) => {
+    const name = KEYFRAME_PROPERTIES.find(p => p.id === property).name.toLowerCase();
+    const keyframe = findKeyframe(selectedClip, property, keyframeTime);
+    const toggleKeyframe = () => onUpdateClip(selectedClip.id, {
+      keyframes: keyframe
+        ? removeKeyframe(selectedClip, property, keyframeTime)
+        : setKeyframe(selectedClip, property, keyframeTime, value)
+    }, { label: keyframe ? `Remove ${name} keyframe` : `Add ${name} keyframe` });
+    
+    return (
+      <span className="flex items-center space-x-1 ml-2">
+        {keyframe && (
+          <select
+            className="bg-editor-surface-light rounded border border-editor-border text-xs"
+            value={keyframe.easing}
+            onChange={(e) => onUpdateClip(selectedClip.id, {
+              keyframes: setKeyframe(selectedClip, property, keyframeTime, keyframe.value, e.target.value)
+            }, { label: `Change ${name} easing` })}
+            title="Easing to the next keyframe"
+          >
+            {EASINGS.map(easing => (
+              <option key={easing.id} value={easing.id}>{easing.name}</option>
+            ))}
+          </select>
+        )}
+        <KeyframeToggle
+          isAnimated={hasKeyframes(selectedClip, property)}
+          hasKeyframe={!!keyframe}
+          title={keyframe ? 'Remove keyframe at playhead' : 'Add keyframe at playhead'}
+          onClick={toggleKeyframe}
+        />
+      </span>
+    );
+  };
+  
+  // Replace some of the selected clip's effects
+  const setEffects = (effects, label, coalesceKey) => {
+    onUpdateClip(selectedClip.id, { effects }, { label, coalesceKey });
+  };
+  
   // Render filters
   const renderFilters = () => {
-    const filters = [
-      { id: 'none', name: 'None' },
-      { id: 'grayscale', name: 'Grayscale' },
-      { id: 'sepia', name: 'Sepia' },
-      { id: 'vintage', name: 'Vintage' },
-      { id: 'cool', name: 'Cool' },
-      { id: 'warm', name: 'Warm' },
-      { id: 'dramatic', name: 'Dramatic' }
-    ];
+    const effects = getClipEffects(selectedClip);
+    const intensity = Math.round(getAnimatedValue('intensity', effects.intensity) * 100);
     
     return (
       <div className="filters-container">
         <div className="grid grid-cols-2 gap-2 mt-2">
-          {filters.map(filter => (
+          {FILTER_PRESETS.map(filter => (
             <motion.div
               key={filter.id}
-              className="effect-item text-center p-2"
+              className={`effect-item text-center p-2 ${effects.filter === filter.id ? 'effect-item-active' : ''}`}
               whileHover={{ scale: 1.02 }}
               whileTap={{ scale: 0.98 }}
+              onClick={() => setEffects({ ...effects, filter: filter.id }, `Apply ${filter.name.toLowerCase()} filter`)}
             >
-              <div className="w-full h-14 mb-1 rounded bg-editor-surface-light flex items-center justify-center">
-                {filter.id === 'none' ? (
-                  <span className="text-xs text-editor-text-muted">No Filter</span>
-                ) : (
-                  <span className="text-xs">{filter.name}</span>
-                )}
-              </div>
+              <div
+                className="effect-swatch w-full h-14 mb-1 rounded"
+                style={{ filter: getCssFilter({ ...DEFAULT_EFFECTS, filter: filter.id }) }}
+              ></div>
               <span className="text-xs">{filter.name}</span>
             </motion.div>
           ))}
         </div>
+        
+        <div className="adjustment-item mt-4">
+          <div className="flex justify-between items-center mb-1">
+            <label className="text-sm">Intensity</label>
+            <span className="flex items-center">
+              <span className="text-xs text-editor-text-muted">{intensity}%</span>
+              {renderKeyframeControls('intensity', intensity / 100)}
+            </span>
+          </div>
+          <input
+            type="range"
+            min="0"
+            max="100"
+            value={intensity}
+            onChange={(e) => {
+              const value = Number(e.target.value) / 100;
+              setAnimatedValue('intensity', value, { effects: { ...effects, intensity: value } },
+                "Change filter intensity", `effects-${selectedClip.id}-intensity`);
+            }}
+            onMouseUp={onEditEnd}
+            onKeyUp={onEditEnd}
+            className="w-full"
+          />
+        </div>
       </div>
     );
   };
   
   // Render transitions
   const renderTransitions = () => {
-    const transitions = [
-      { id: 'none', name: 'None' },
-      { id: 'fade', name: 'Fade' },
-      { id: 'wipe', name: 'Wipe' },
-      { id: 'slide', name: 'Slide' },
-      { id: 'zoom', name: 'Zoom' },
-      { id: 'dissolve', name: 'Dissolve' }
-    ];
+    const transitions = [{ id: 'none', name: 'None' }, ...TRANSITION_TYPES];
+    const track = findClipTrack(tracks, selectedClip.id);
+    const nextClip = getNextAdjacentClip(track, selectedClip);
+    const current = getClipTransitions(track, selectedClip.id).out;
+    
+    if (!nextClip) {
+      return (
+        <p className="text-sm text-editor-text-muted">
+          Place another clip directly after this one to add a transition between them.
+        </p>
+      );
+    }
+    
+    const maxDuration = getMaxTransitionDuration(selectedClip, nextClip);
     
     return (
       <div className="transitions-container">
+        <p className="text-xs text-editor-text-muted mb-2 truncate">Into: {nextClip.name}</p>
         {transitions.map(transition => (
           <motion.div
             key={transition.id}
-            className="effect-item flex items-center"
+            className={`effect-item flex items-center ${(current ? current.type : 'none') === transition.id ? 'effect-item-active' : ''}`}
             whileHover={{ scale: 1.02, x: 2 }}
             whileTap={{ scale: 0.98 }}
+            onClick={() => onUpdateTransition(
+              selectedClip.id,
+              transition.id === 'none' ? null : { type: transition.id },
+              { label: transition.id === 'none' ? "Remove transition" : `Add ${transition.name.toLowerCase()} transition` }
+            )}
           >
             <div className="w-8 h-8 mr-3 rounded bg-editor-surface-light flex items-center justify-center text-editor-text-muted">
               {transition.id === 'fade' && (
@@ -149,33 +398,196 @@ const EffectsPanel = ({ selectedClipId, tracks }) => {
             <span>{transition.name}</span>
           </motion.div>
         ))}
+        
+        {current && (
+          <div className="adjustment-item mt-4">
+            <div className="flex justify-between mb-1">
+              <label className="text-sm">Duration</label>
+              <span className="text-xs text-editor-text-muted">{current.duration.toFixed(1)}s</span>
+            </div>
+            <input
+              type="range"
+              min={MIN_TRANSITION_DURATION}
+              max={maxDuration}
+              step="0.1"
+              value={current.duration}
+              onChange={(e) => onUpdateTransition(selectedClip.id, { duration: Number(e.target.value) }, {
+                label: "Change transition duration",
+                coalesceKey: `transition-${selectedClip.id}-duration`
+              })}
+              onMouseUp={onEditEnd}
+              onKeyUp={onEditEnd}
+              className="w-full"
+            />
+          </div>
+        )}
       </div>
     );
   };
   
-  // Render adjustments (for video)
-  const renderAdjustments = () => {
-    const adjustments = [
-      { id: 'brightness', name: 'Brightness', value: 0 },
-      { id: 'contrast', name: 'Contrast', value: 0 },
-      { id: 'saturation', name: 'Saturation', value: 0 },
-      { id: 'hue', name: 'Hue', value: 0 }
+  // Render transform controls (for video, image and text)
+  const renderTransform = () => {
+    const transform = getClipTransform(selectedClip);
+    // Crop isn't animated, so the transform at the playhead has the same crop
+    const current = getClipTransformAt(selectedClip, playheadTime);
+    
+    const setValue = (control, displayValue) => {
+      const value = displayValue * control.factor;
+      const label = `Change ${control.name.toLowerCase()}`;
+      // Each slider drag becomes a single history entry
+      const coalesceKey = `transform-${selectedClip.id}-${control.id}`;
+      if (control.crop) {
+        const changes = { ...transform, crop: { ...transform.crop, [control.id]: value } };
+        onUpdateClip(selectedClip.id, { transform: changes }, { label, coalesceKey });
+      } else {
+        setAnimatedValue(control.id, value, { transform: { ...transform, [control.id]: value } }, label, coalesceKey);
+      }
+    };
+    
+    return (
+      <div className="transform-container">
+        {TRANSFORM_CONTROLS.map(control => {
+          const value = Math.round((control.crop ? current.crop[control.id] : current[control.id]) / control.factor);
+          return (
+            <div key={control.id} className="adjustment-item mb-4">
+              <div className="flex justify-between items-center mb-1">
+                <label className="text-sm">{control.name}</label>
+                <span className="flex items-center">
+                  <span className="text-xs text-editor-text-muted">{value}{control.unit}</span>
+                  {!control.crop && renderKeyframeControls(control.id, current[control.id])}
+                </span>
+              </div>
+              <input
+                type="range"
+                min={control.min}
+                max={control.max}
+                value={value}
+                onChange={(e) => setValue(control, Number(e.target.value))}
+                onMouseUp={onEditEnd}
+                onKeyUp={onEditEnd}
+                className="w-full"
+              />
+            </div>
+          );
+        })}
+        
+        <button
+          className="btn btn-secondary text-sm w-full"
+          disabled={isDefaultTransform(transform) && !isTransformAnimated(selectedClip)}
+          onClick={() => onUpdateClip(selectedClip.id, {
+            transform: DEFAULT_TRANSFORM,
+            keyframes: clearKeyframes(selectedClip, ANIMATED_TRANSFORM_PROPERTIES)
+          }, { label: "Reset transform" })}
+        >
+          Reset Transform
+        </button>
+      </div>
+    );
+  };
+  
+  // Render pan and zoom controls (for images)
+  const renderMotion = () => {
+    const clipMotion = getClipMotion(selectedClip);
+    const ends = [
+      { id: 'start', name: 'Start' },
+      { id: 'end', name: 'End' }
     ];
     
+    const setRectValue = (end, control, percent) => {
+      const view = { ...getMotionRectView(clipMotion[end.id]), [control.id]: percent / 100 };
+      const rect = createMotionRect(view.zoom, view.centerX, view.centerY);
+      onUpdateClip(selectedClip.id, { motion: { ...clipMotion, [end.id]: rect } }, {
+        label: `Change ${end.name.toLowerCase()} ${control.name.toLowerCase()}`,
+        coalesceKey: `motion-${selectedClip.id}-${end.id}-${control.id}`
+      });
+    };
+    
+    return (
+      <div className="motion-container">
+        <label className="flex items-center text-sm mb-4">
+          <input
+            type="checkbox"
+            className="mr-2"
+            checked={!!clipMotion}
+            onChange={(e) => onUpdateClip(
+              selectedClip.id,
+              { motion: e.target.checked ? DEFAULT_MOTION : null },
+              { label: e.target.checked ? "Add pan and zoom" : "Remove pan and zoom" }
+            )}
+          />
+          Pan and zoom across the image
+        </label>
+        
+        {clipMotion && ends.map(end => {
+          const view = getMotionRectView(clipMotion[end.id]);
+          return (
+            <div key={end.id} className="mb-4">
+              <h3 className="text-sm font-medium mb-2">{end.name}</h3>
+              {MOTION_CONTROLS.map(control => {
+                const value = Math.round(view[control.id] * 100);
+                return (
+                  <div key={control.id} className="adjustment-item mb-3">
+                    <div className="flex justify-between mb-1">
+                      <label className="text-sm">{control.name}</label>
+                      <span className="text-xs text-editor-text-muted">{value}%</span>
+                    </div>
+                    <input
+                      type="range"
+                      min={control.min}
+                      max={control.max}
+                      value={value}
+                      onChange={(e) => setRectValue(end, control, Number(e.target.value))}
+                      onMouseUp={onEditEnd}
+                      onKeyUp={onEditEnd}
+                      className="w-full"
+                    />
+                  </div>
+                );
+              })}
+            </div>
+          );
+        })}
+        
+        {clipMotion && (
+          <button
+            className="btn btn-secondary text-sm w-full"
+            onClick={() => onUpdateClip(
+              selectedClip.id,
+              { motion: { start: clipMotion.end, end: clipMotion.start } },
+              { label: "Reverse pan and zoom" }
+            )}
+          >
+            Swap Start and End
+          </button>
+        )}
+      </div>
+    );
+  };
+  
+  // Render adjustments (for video and images)
+  const renderAdjustments = () => {
+    const effects = getClipEffects(selectedClip);
+    
     return (
       <div className="adjustments-container">
-        {adjustments.map(adjustment => (
+        {ADJUSTMENTS.map(adjustment => (
           <div key={adjustment.id} className="adjustment-item mb-4">
             <div className="flex justify-between mb-1">
               <label className="text-sm">{adjustment.name}</label>
-              <span className="text-xs text-editor-text-muted">{adjustment.value}</span>
+              <span className="text-xs text-editor-text-muted">{effects.adjustments[adjustment.id]}</span>
             </div>
             <input
               type="range"
               min="-100"
               max="100"
-              value={adjustment.value}
-              onChange={() => {}}
+              value={effects.adjustments[adjustment.id]}
+              onChange={(e) => setEffects(
+                { ...effects, adjustments: { ...effects.adjustments, [adjustment.id]: Number(e.target.value) } },
+                `Adjust ${adjustment.name.toLowerCase()}`,
+                `effects-${selectedClip.id}-${adjustment.id}`
+              )}
+              onMouseUp={onEditEnd}
+              onKeyUp={onEditEnd}
               className="w-full"
             />
           </div>
@@ -184,41 +596,186 @@ const EffectsPanel = ({ selectedClipId, tracks }) => {
     );
   };
   
-  // Render audio effects
+  // Change some of the selected clip's audio settings
+  const setAudio = (changes, label, coalesceKey) => {
+    onUpdateClip(selectedClip.id, { audio: { ...getClipAudio(selectedClip), ...changes } }, { label, coalesceKey });
+  };
+  
+  // Render audio effects (for video and audio)
   const renderAudioEffects = () => {
-    const audioEffects = [
-      { id: 'volume', name: 'Volume', value: 100 },
-      { id: 'fadeIn', name: 'Fade In', value: 0 },
-      { id: 'fadeOut', name: 'Fade Out', value: 0 }
+    const audio = getClipAudio(selectedClip);
+    const volume = Math.round(getAnimatedValue('volume', audio.volume) * 100);
+    const fades = [
+      { id: 'fadeIn', name: 'Fade In' },
+      { id: 'fadeOut', name: 'Fade Out' }
     ];
     
     return (
       <div className="audio-effects-container">
-        {audioEffects.map(effect => (
-          <div key={effect.id} className="audio-effect-item mb-4">
+        <div className="audio-effect-item mb-4">
+          <div className="flex justify-between items-center mb-1">
+            <label className="text-sm">Volume</label>
+            <span className="flex items-center">
+              <span className="text-xs text-editor-text-muted">{volume}%</span>
+              {renderKeyframeControls('volume', volume / 100)}
+            </span>
+          </div>
+          <input
+            type="range"
+            min="0"
+            max={MAX_GAIN * 100}
+            value={volume}
+            onChange={(e) => {
+              const value = Number(e.target.value) / 100;
+              setAnimatedValue('volume', value, { audio: { ...audio, volume: value } },
+                "Change volume", `audio-${selectedClip.id}-volume`);
+            }}
+            onMouseUp={onEditEnd}
+            onKeyUp={onEditEnd}
+            className="w-full"
+          />
+        </div>
+        {fades.map(fade => (
+          <div key={fade.id} className="audio-effect-item mb-4">
             <div className="flex justify-between mb-1">
-              <label className="text-sm">{effect.name}</label>
-              <span className="text-xs text-editor-text-muted">{effect.value}%</span>
+              <label className="text-sm">{fade.name}</label>
+              <span className="text-xs text-editor-text-muted">{audio[fade.id].toFixed(1)}s</span>
             </div>
             <input
               type="range"
               min="0"
-              max="100"
-              value={effect.value}
-              onChange={() => {}}
+              max={selectedClip.duration}
+              step="0.1"
+              value={Math.min(audio[fade.id], selectedClip.duration)}
+              onChange={(e) => setAudio(
+                { [fade.id]: Number(e.target.value) },
+                `Change ${fade.name.toLowerCase()}`,
+                `audio-${selectedClip.id}-${fade.id}`
+              )}
+              onMouseUp={onEditEnd}
+              onKeyUp={onEditEnd}
               className="w-full"
             />
           </div>
         ))}
+        <p className="text-xs text-editor-text-muted mb-3">
+          Click the level line on the selected clip to add envelope points. Drag a point to move it and
+          double-click it to remove it.
+        </p>
+        <div className="flex gap-2">
+          <button
+            className="btn btn-secondary text-sm flex-1"
+            disabled={audio.envelope.length === 0}
+            onClick={() => setAudio({ envelope: [] }, "Clear envelope")}
+          >
+            Clear Envelope
+          </button>
+          <button
+            className="btn btn-secondary text-sm flex-1"
+            disabled={isDefaultAudio(audio) && !hasKeyframes(selectedClip, 'volume')}
+            onClick={() => onUpdateClip(selectedClip.id, {
+              audio: DEFAULT_AUDIO,
+              keyframes: clearKeyframes(selectedClip, ['volume'])
+            }, { label: "Reset audio" })}
+          >
+            Reset Audio
+          </button>
+        </div>
+      </div>
+    );
+  };
+  
+  // Render speed, direction and freeze frame controls (for video and audio)
+  const renderSpeed = () => {
+    const speed = getClipSpeed(selectedClip);
+    const toggleClass = (isOn) => `btn text-sm flex-1 ${isOn ? 'btn-primary' : 'btn-secondary'}`;
+    
+    return (
+      <div className="speed-container">
+        <div className="adjustment-item mb-4">
+          <div className="flex justify-between mb-1">
+            <label className="text-sm">Speed</label>
+            <span className="text-xs text-editor-text-muted">{Math.round(speed * 100)}%</span>
+          </div>
+          <input
+            type="range"
+            min={MIN_CLIP_SPEED * 100}
+            max={MAX_CLIP_SPEED * 100}
+            step="5"
+            value={Math.round(speed * 100)}
+            onChange={(e) => onChangeSpeed(selectedClip.id, Number(e.target.value) / 100, {
+              coalesceKey: `speed-${selectedClip.id}`
+            })}
+            onMouseUp={onEditEnd}
+            onKeyUp={onEditEnd}
+            className="w-full"
+          />
+          <div className="flex space-x-1 mt-2">
+            {SPEED_PRESETS.map(preset => (
+              <button
+                key={preset}
+                className={toggleClass(speed === preset)}
+                onClick={() => onChangeSpeed(selectedClip.id, preset)}
+              >
+                {preset}x
+              </button>
+            ))}
+          </div>
+          <p className="text-xs text-editor-text-muted mt-2">
+            The clip gets longer or shorter to play the same part of its media, and later clips on the track move with it.
+          </p>
+        </div>
+        
+        <label className="flex items-center text-sm mb-2 cursor-pointer">
+          <input
+            type="checkbox"
+            className="mr-2"
+            checked={isClipReversed(selectedClip)}
+            onChange={(e) => onUpdateClip(selectedClip.id, { reverse: e.target.checked }, {
+              label: e.target.checked ? "Reverse clip" : "Play clip forwards"
+            })}
+          />
+          Play backwards
+        </label>
+        
+        {AUDIO_CLIP_TYPES.includes(selectedClip.type) && (
+          <label className="flex items-center text-sm mb-4 cursor-pointer">
+            <input
+              type="checkbox"
+              className="mr-2"
+              checked={isPitchPreserved(selectedClip)}
+              onChange={(e) => onUpdateClip(selectedClip.id, { preservePitch: e.target.checked }, {
+                label: e.target.checked ? "Keep pitch" : "Let pitch follow speed"
+              })}
+            />
+            Keep the sound's pitch when changing speed
+          </label>
+        )}
+        
+        {selectedClip.type === 'video' && (
+          <button className="btn btn-secondary text-sm w-full" onClick={onFreezeFrame}>
+            Freeze Frame at Playhead
+          </button>
+        )}
       </div>
     );
   };
   
+  // Change some of the selected text clip's style
+  const setTextStyle = (changes, label, coalesceKey) => {
+    onUpdateClip(selectedClip.id, { textStyle: { ...getClipTextStyle(selectedClip), ...changes } }, { label, coalesceKey });
+  };
+  
+  // Change some of the selected text clip's animation
+  const setTextAnimation = (changes, label, coalesceKey) => {
+    onUpdateClip(selectedClip.id, { textAnimation: { ...getClipTextAnimation(selectedClip), ...changes } }, { label, coalesceKey });
+  };
+  
   // Render text options
   const renderTextOptions = () => {
-    const fonts = [
-      'Inter', 'Arial', 'Helvetica', 'Times New Roman', 'Georgia', 'Courier New'
-    ];
+    const style = getClipTextStyle(selectedClip);
+    const animation = getClipTextAnimation(selectedClip);
+    const toggleClass = (isOn) => `btn text-sm flex-1 ${isOn ? 'btn-primary' : 'btn-secondary'}`;
     
     return (
       <div className="text-options-container">
@@ -227,39 +784,192 @@ const EffectsPanel = ({ selectedClipId, tracks }) => {
           <textarea
             className="w-full h-20 bg-editor-surface-light rounded border border-editor-border p-2 text-sm"
             placeholder="Enter text..."
+            value={getClipText(selectedClip)}
+            onChange={(e) => onUpdateClip(selectedClip.id, { text: e.target.value }, {
+              label: "Edit text",
+              coalesceKey: `text-${selectedClip.id}-content`
+            })}
+            onBlur={onEditEnd}
           ></textarea>
+          <p className="text-xs text-editor-text-muted mt-1">Drag the text in the preview to position it.</p>
         </div>
         
         <div className="mb-4">
           <label className="text-sm block mb-1">Font</label>
-          <select className="w-full bg-editor-surface-light rounded border border-editor-border p-2 text-sm">
-            {fonts.map(font => (
+          <select
+            className="w-full bg-editor-surface-light rounded border border-editor-border p-2 text-sm"
+            value={style.font}
+            onChange={(e) => setTextStyle({ font: e.target.value }, "Change font")}
+          >
+            {TEXT_FONTS.map(font => (
               <option key={font} value={font}>{font}</option>
             ))}
           </select>
         </div>
         
+        <div className="adjustment-item mb-4">
+          <div className="flex justify-between mb-1">
+            <label className="text-sm">Size</label>
+            <span className="text-xs text-editor-text-muted">{style.size}px</span>
+          </div>
+          <input
+            type="range"
+            min="12"
+            max="200"
+            value={style.size}
+            onChange={(e) => setTextStyle({ size: Number(e.target.value) }, "Change text size", `text-${selectedClip.id}-size`)}
+            onMouseUp={onEditEnd}
+            onKeyUp={onEditEnd}
+            className="w-full"
+          />
+        </div>
+        
         <div className="mb-4">
           <label className="text-sm block mb-1">Text Color</label>
           <div
             className="w-full h-8 rounded border border-editor-border cursor-pointer"
-            style={{ backgroundColor: textColor }}
+            style={{ backgroundColor: style.color }}
             onClick={() => setShowColorPicker(!showColorPicker)}
           ></div>
           
           {showColorPicker && (
-            <div className="mt-2">
-              <HexColorPicker color={textColor} onChange={setTextColor} />
+            <div className="mt-2" onMouseUp={onEditEnd}>
+              <HexColorPicker
+                color={style.color}
+                onChange={(color) => setTextStyle({ color }, "Change text color", `text-${selectedClip.id}-color`)}
+              />
             </div>
           )}
         </div>
         
         <div className="mb-4">
           <div className="flex space-x-2">
-            <button className="btn btn-secondary text-sm flex-1">B</button>
-            <button className="btn btn-secondary text-sm flex-1">I</button>
-            <button className="btn btn-secondary text-sm flex-1">U</button>
+            <button className={`${toggleClass(style.bold)} font-bold`} onClick={() => setTextStyle({ bold: !style.bold }, "Toggle bold")}>B</button>
+            <button className={`${toggleClass(style.italic)} italic`} onClick={() => setTextStyle({ italic: !style.italic }, "Toggle italic")}>I</button>
+            <button className={`${toggleClass(style.underline)} underline`} onClick={() => setTextStyle({ underline: !style.underline }, "Toggle underline")}>U</button>
+          </div>
+        </div>
+        
+        <div className="mb-4">
+          <label className="text-sm block mb-1">Alignment</label>
+          <div className="flex space-x-2">
+            {['left', 'center', 'right'].map(align => (
+              <button
+                key={align}
+                className={`${toggleClass(style.align === align)} capitalize`}
+                onClick={() => setTextStyle({ align }, "Change text alignment")}
+              >
+                {align}
+              </button>
+            ))}
+          </div>
+        </div>
+        
+        <div className="adjustment-item mb-4">
+          <div className="flex justify-between items-center mb-1">
+            <label className="text-sm">Outline</label>
+            <div className="flex items-center space-x-2">
+              <span className="text-xs text-editor-text-muted">{style.strokeWidth}px</span>
+              <input
+                type="color"
+                className="text-color-swatch"
+                value={style.strokeColor}
+                onChange={(e) => setTextStyle({ strokeColor: e.target.value }, "Change outline color", `text-${selectedClip.id}-stroke-color`)}
+                onBlur={onEditEnd}
+              />
+            </div>
           </div>
+          <input
+            type="range"
+            min="0"
+            max="10"
+            value={style.strokeWidth}
+            onChange={(e) => setTextStyle({ strokeWidth: Number(e.target.value) }, "Change outline width", `text-${selectedClip.id}-stroke`)}
+            onMouseUp={onEditEnd}
+            onKeyUp={onEditEnd}
+            className="w-full"
+          />
+        </div>
+        
+        <label className="flex items-center text-sm mb-4 cursor-pointer">
+          <input
+            type="checkbox"
+            className="mr-2"
+            checked={style.shadow}
+            onChange={() => setTextStyle({ shadow: !style.shadow }, style.shadow ? "Remove text shadow" : "Add text shadow")}
+          />
+          Drop shadow
+        </label>
+        
+        <div className="mb-4">
+          <div className="flex justify-between items-center mb-1">
+            <label className="flex items-center text-sm cursor-pointer">
+              <input
+                type="checkbox"
+                className="mr-2"
+                checked={style.background}
+                onChange={() => setTextStyle({ background: !style.background }, style.background ? "Remove text background" : "Add text background")}
+              />
+              Background box
+            </label>
+            {style.background && (
+              <input
+                type="color"
+                className="text-color-swatch"
+                value={style.backgroundColor}
+                onChange={(e) => setTextStyle({ backgroundColor: e.target.value }, "Change background color", `text-${selectedClip.id}-background-color`)}
+                onBlur={onEditEnd}
+              />
+            )}
+          </div>
+          {style.background && (
+            <input
+              type="range"
+              min="0"
+              max="100"
+              value={Math.round(style.backgroundOpacity * 100)}
+              onChange={(e) => setTextStyle({ backgroundOpacity: Number(e.target.value) / 100 }, "Change background opacity", `text-${selectedClip.id}-background-opacity`)}
+              onMouseUp={onEditEnd}
+              onKeyUp={onEditEnd}
+              className="w-full"
+              title="Background opacity"
+            />
+          )}
+        </div>
+        
+        <div className="mb-4">
+          <label className="text-sm block mb-1">Animation</label>
+          <div className="flex space-x-2 mb-2">
+            {[['in', 'In'], ['out', 'Out']].map(([side, label]) => (
+              <div key={side} className="flex-1">
+                <span className="text-xs text-editor-text-muted">{label}</span>
+                <select
+                  className="w-full bg-editor-surface-light rounded border border-editor-border p-2 text-sm"
+                  value={animation[side]}
+                  onChange={(e) => setTextAnimation({ [side]: e.target.value }, `Change ${side} animation`)}
+                >
+                  {TEXT_ANIMATIONS.map(option => (
+                    <option key={option.id} value={option.id}>{option.name}</option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+          <div className="flex justify-between mb-1">
+            <span className="text-xs text-editor-text-muted">Duration</span>
+            <span className="text-xs text-editor-text-muted">{animation.duration.toFixed(1)}s</span>
+          </div>
+          <input
+            type="range"
+            min="0.1"
+            max="3"
+            step="0.1"
+            value={animation.duration}
+            onChange={(e) => setTextAnimation({ duration: Number(e.target.value) }, "Change animation duration", `text-${selectedClip.id}-animation`)}
+            onMouseUp={onEditEnd}
+            onKeyUp={onEditEnd}
+            className="w-full"
+          />
         </div>
       </div>
     );
@@ -272,13 +982,42 @@ const EffectsPanel = ({ selectedClipId, tracks }) => {
         Editing: {selectedClip.name}
       </p>
       
+      {/* Copy, paste and reset the filter and adjustments */}
+      {EFFECT_CLIP_TYPES.includes(selectedClip.type) && (
+        <div className="flex space-x-2 mb-4">
+          <button
+            className="btn btn-secondary text-xs flex-1"
+            onClick={() => onCopyEffects(getClipEffects(selectedClip))}
+          >
+            Copy Effects
+          </button>
+          <button
+            className="btn btn-secondary text-xs flex-1"
+            disabled={!copiedEffects}
+            onClick={() => setEffects(copiedEffects, "Paste effects")}
+          >
+            Paste Effects
+          </button>
+          <button
+            className="btn btn-secondary text-xs flex-1"
+            disabled={isDefaultEffects(getClipEffects(selectedClip)) && !hasKeyframes(selectedClip, 'intensity')}
+            onClick={() => onUpdateClip(selectedClip.id, {
+              effects: DEFAULT_EFFECTS,
+              keyframes: clearKeyframes(selectedClip, ['intensity'])
+            }, { label: "Reset effects" })}
+          >
+            Reset
+          </button>
+        </div>
+      )}
+      
       {/* Tabs */}
       <div className="flex border-b border-editor-border mb-4">
-        {getTabs().map(tab => (
+        {tabs.map(tab => (
           <button 
             key={tab.id}
             className={`px-3 py-2 text-sm transition-colors ${
-              activeTab === tab.id 
+              currentTab === tab.id 
                 ? 'text-editor-primary border-b-2 border-editor-primary' 
                 : 'text-editor-text-muted hover:text-editor-text'
             }`}
@@ -1,10 +1,19 @@
 import React, { useState } from 'react';
 import { motion } from 'framer-motion';
+import { FORMAT_SETTINGS, CAPTION_MODES, getCaptionMode } from '../../services/ffmpegExport';
 
-const ExportPanel = ({ projectName, isExporting, onExport }) => {
+const ExportPanel = ({ projectName, hasCaptions, isExporting, exportJob, onExport, onCancelExport }) => {
   const [format, setFormat] = useState('mp4');
   const [quality, setQuality] = useState('medium');
   const [fileName, setFileName] = useState(projectName);
+  const [captions, setCaptions] = useState(CAPTION_MODES.burn);
+  
+  // How captions reach the export; GIFs have no subtitle streams, so theirs are always burned in
+  const captionOptions = [
+    { value: CAPTION_MODES.burn, label: 'Burn In', description: 'Drawn into the picture' },
+    { value: CAPTION_MODES.soft, label: 'Soft Subtitles', description: 'A subtitle stream viewers can turn off' }
+  ];
+  const canSoftSubtitle = !!FORMAT_SETTINGS[format].subtitleCodec;
   
   // Format options
   const formatOptions = [
@@ -23,7 +32,88 @@ const ExportPanel = ({ projectName, isExporting, onExport }) => {
   
   // Handle export button click
   const handleExport = () => {
-    onExport(format, quality);
+    onExport(format, quality, fileName, captions);
+  };
+  
+  // Format seconds as M:SS for elapsed and remaining time
+  const formatDuration = (seconds) => {
+    if (seconds == null || !isFinite(seconds)) return '--:--';
+    const minutes = Math.floor(seconds / 60);
+    const remainingSeconds = Math.floor(seconds % 60);
+    return `${minutes}:${remainingSeconds.toString().padStart(2, '0')}`;
+  };
+  
+  // Render progress, cancellation and failure details for the current export job
+  const renderJobStatus = () => {
+    if (!exportJob) return null;
+    
+    if (exportJob.status === 'loading') {
+      return (
+        <p className="mt-3 text-xs text-editor-text-muted text-center">Loading video encoder...</p>
+      );
+    }
+    
+    if (exportJob.status === 'rendering') {
+      const percent = Math.round(exportJob.progress * 100);
+      return (
+        <div className="mt-3">
+          <div className="flex justify-between text-xs mb-1">
+            <span>Rendering {percent}%</span>
+            <span className="text-editor-text-muted">Frame {exportJob.frame}</span>
+          </div>
+          <div className="w-full h-2 rounded bg-editor-surface-light overflow-hidden">
+            <div
+              className="h-full bg-editor-primary transition-all"
+              style={{ width: `${percent}%` }}
+            ></div>
+          </div>
+          <div className="flex justify-between text-xs text-editor-text-muted mt-1">
+            <span>
+              {formatDuration(exportJob.renderedTime)} / {formatDuration(exportJob.duration)}
+            </span>
+            <span>
+              Elapsed {formatDuration(exportJob.elapsed)} · Remaining {formatDuration(exportJob.eta)}
+            </span>
+          </div>
+          <button
+            className="btn btn-secondary w-full text-sm mt-3"
+            onClick={onCancelExport}
+          >
+            Cancel Export
+          </button>
+        </div>
+      );
+    }
+    
+    if (exportJob.status === 'done') {
+      return (
+        <p className="mt-3 text-xs text-editor-success text-center">
+          Export finished in {formatDuration(exportJob.elapsed)}
+        </p>
+      );
+    }
+    
+    if (exportJob.status === 'cancelled') {
+      return (
+        <p className="mt-3 text-xs text-editor-warning text-center">Export cancelled</p>
+      );
+    }
+    
+    if (exportJob.status === 'failed') {
+      return (
+        <div className="mt-3 p-2 rounded border border-editor-error bg-editor-error bg-opacity-10">
+          <p className="text-sm text-editor-error font-medium">Export failed</p>
+          <p className="text-xs mt-1">{exportJob.error}</p>
+          {exportJob.failureLines.length > 0 && (
+            <pre className="mt-2 max-h-40 overflow-auto text-[10px] leading-4 text-editor-text-muted whitespace-pre-wrap font-mono">
+              {exportJob.failureLines.join('\n')}
+            </pre>
+          )}
+        </div>
+      );
+    }
+    
+    return null;
   };
   
   return (
@@ -88,6 +178,33 @@ const ExportPanel = ({ projectName, isExporting, onExport }) => {
         </div>
       </div>
       
+      {/* Caption delivery */}
+      {hasCaptions && (
+        <div className="export-option">
+          <label className="block text-sm font-medium mb-2">Captions</label>
+          <div className="grid grid-cols-2 gap-2">
+            {captionOptions.map(option => (
+              <button
+                key={option.value}
+                className={`p-2 rounded border text-left transition-colors disabled:opacity-50 ${
+                  getCaptionMode(format, captions) === option.value
+                    ? 'bg-editor-primary bg-opacity-20 border-editor-primary'
+                    : 'bg-editor-surface-light border-editor-border hover:border-editor-primary'
+                }`}
+                onClick={() => setCaptions(option.value)}
+                disabled={option.value === CAPTION_MODES.soft && !canSoftSubtitle}
+              >
+                <div className="font-medium text-sm">{option.label}</div>
+                <div className="text-xs text-editor-text-muted mt-1">{option.description}</div>
+              </button>
+            ))}
+          </div>
+          {!canSoftSubtitle && (
+            <p className="text-xs text-editor-text-muted mt-1">GIFs can't carry subtitles, so captions are burned in.</p>
+          )}
+        </div>
+      )}
+      
       {/* Export button */}
       <div className="mt-6">
         <motion.button
@@ -112,6 +229,9 @@ const ExportPanel = ({ projectName, isExporting, onExport }) => {
             </>
           )}
         </motion.button>
+        
+        {/* Export progress */}
+        {renderJobStatus()}
       </div>
       
       {/* Format tips */}
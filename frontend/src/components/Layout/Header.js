@@ -1,9 +1,24 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
 
-const Header = ({ projectName }) => {
+const Header = ({ 
+  projectName, 
+  saveStatus,
+  hasUnsavedChanges,
+  onRename,
+  onNewProject,
+  onOpenProject,
+  onSaveProject,
+  onShowShortcuts,
+  onShowPreferences
+}) => {
   const [isEditing, setIsEditing] = useState(false);
   const [name, setName] = useState(projectName);
+  
+  // Keep the displayed name in sync when another project is opened
+  useEffect(() => {
+    setName(projectName);
+  }, [projectName]);
 
   const handleNameChange = (e) => {
     setName(e.target.value);
@@ -12,7 +27,16 @@ const Header = ({ projectName }) => {
   const handleSubmit = (e) => {
     e.preventDefault();
     setIsEditing(false);
-    // In a real app, would save project name to backend
+    onRename(name.trim() || projectName);
+  };
+  
+  // Status text shown next to the project name
+  const getSaveStatusText = () => {
+    if (saveStatus === 'saving') return 'Saving...';
+    if (saveStatus === 'error') return 'Save failed';
+    if (hasUnsavedChanges) return 'Unsaved changes';
+    if (saveStatus === 'saved') return 'All changes saved';
+    return null;
   };
 
   return (
@@ -36,7 +60,7 @@ const Header = ({ projectName }) => {
               onChange={handleNameChange}
               autoFocus
               className="bg-editor-surface-light border border-editor-primary rounded px-2 py-1 text-sm focus:outline-none"
-              onBlur={() => setIsEditing(false)}
+              onBlur={handleSubmit}
             />
           </form>
         ) : (
@@ -48,20 +72,42 @@ const Header = ({ projectName }) => {
             {name}
           </motion.h1>
         )}
+        
+        {getSaveStatusText() && (
+          <span className={`ml-3 text-xs ${saveStatus === 'error' ? 'text-editor-error' : 'text-editor-text-muted'}`}>
+            {getSaveStatusText()}
+          </span>
+        )}
       </div>
       
       <div className="flex items-center space-x-3">
-        <button className="btn btn-secondary text-sm">
+        <button className="btn-icon text-editor-text-muted" onClick={onShowShortcuts} title="Keyboard Shortcuts (?)">
+          <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor" className="w-5 h-5">
+            <path fillRule="evenodd" d="M2 5.5A1.5 1.5 0 0 1 3.5 4h13A1.5 1.5 0 0 1 18 5.5v9a1.5 1.5 0 0 1-1.5 1.5h-13A1.5 1.5 0 0 1 2 14.5v-9ZM5 7a1 1 0 0 0 0 2h.01a1 1 0 0 0 0-2H5Zm3 0a1 1 0 0 0 0 2h.01a1 1 0 0 0 0-2H8Zm3 0a1 1 0 1 0 0 2h.01a1 1 0 1 0 0-2H11Zm3 0a1 1 0 1 0 0 2h.01a1 1 0 1 0 0-2H14Zm-8 5a.75.75 0 0 0 0 1.5h8a.75.75 0 0 0 0-1.5H6Z" clipRule="evenodd" />
+          </svg>
+        </button>
+        
+        <button className="btn-icon text-editor-text-muted" onClick={onShowPreferences} title="Preferences">
+          <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor" className="w-5 h-5">
+            <path fillRule="evenodd" d="M7.84 1.804A1 1 0 0 1 8.82 1h2.36a1 1 0 0 1 .98.804l.331 1.652a6.993 6.993 0 0 1 1.929 1.115l1.598-.54a1 1 0 0 1 1.186.447l1.18 2.044a1 1 0 0 1-.205 1.251l-1.267 1.113a7.047 7.047 0 0 1 0 2.228l1.267 1.113a1 1 0 0 1 .206 1.25l-1.18 2.045a1 1 0 0 1-1.187.447l-1.598-.54a6.993 6.993 0 0 1-1.929 1.115l-.33 1.652a1 1 0 0 1-.98.804H8.82a1 1 0 0 1-.98-.804l-.331-1.652a6.993 6.993 0 0 1-1.929-1.115l-1.598.54a1 1 0 0 1-1.186-.447l-1.18-2.044a1 1 0 0 1 .205-1.251l1.267-1.114a7.05 7.05 0 0 1 0-2.227L1.821 7.773a1 1 0 0 1-.206-1.25l1.18-2.045a1 1 0 0 1 1.187-.447l1.598.54A6.992 6.992 0 0 1 7.51 3.456l.33-1.652ZM10 13a3 3 0 1 0 0-6 3 3 0 0 0 0 6Z" clipRule="evenodd" />
+          </svg>
+        </button>
+        
+        <button className="btn btn-secondary text-sm" onClick={onNewProject}>
           <span className="hidden md:inline">New Project</span>
           <span className="md:hidden">New</span>
         </button>
         
-        <button className="btn btn-secondary text-sm">
+        <button className="btn btn-secondary text-sm" onClick={onOpenProject}>
           <span className="hidden md:inline">Open Project</span>
           <span className="md:hidden">Open</span>
         </button>
         
-        <button className="btn btn-primary text-sm">
+        <button 
+          className="btn btn-primary text-sm" 
+          onClick={onSaveProject}
+          disabled={saveStatus === 'saving'}
+        >
           <span className="hidden md:inline">Save Project</span>
           <span className="md:hidden">Save</span>
         </button>
@@ -0,0 +1,156 @@
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { MARKER_COLORS, getMarkerColor, isRegion, sortMarkers, getChapters } from '../../utils/markerUtils';
+
+// Markers and regions in timeline order. Click one to move the playhead to it; expand it to edit its
+// name, colour and notes.
+const MarkerList = ({
+  markers,
+  currentTime,
+  duration,
+  canAddRegion,
+  onAddMarker,
+  onAddRegion,
+  onUpdateMarker,
+  onEditEnd,
+  onRemoveMarker,
+  onSeek,
+  onDownloadChapters
+}) => {
+  const [expandedId, setExpandedId] = useState(null);
+  const sorted = sortMarkers(markers);
+  const hasChapters = getChapters(markers, duration).length > 0;
+
+  // Format time as M:SS.ms
+  const formatTime = (timeInSeconds) => {
+    const minutes = Math.floor(timeInSeconds / 60);
+    const seconds = Math.floor(timeInSeconds % 60);
+    const hundredths = Math.floor((timeInSeconds % 1) * 100);
+    return `${minutes}:${seconds.toString().padStart(2, '0')}.${hundredths.toString().padStart(2, '0')}`;
+  };
+
+  // Keep typing in one field as a single undo step
+  const editField = (marker, field, value, label) => {
+    onUpdateMarker(marker.id, { [field]: value }, { label, coalesceKey: `marker-${marker.id}-${field}` });
+  };
+
+  const renderDetails = (marker) => (
+    <div className="mt-2 space-y-2" onClick={(e) => e.stopPropagation()}>
+      <input
+        type="text"
+        className="w-full bg-editor-surface border border-editor-border rounded px-2 py-1 text-sm"
+        value={marker.name}
+        placeholder="Name"
+        onChange={(e) => editField(marker, 'name', e.target.value, "Rename marker")}
+        onBlur={onEditEnd}
+      />
+      <div className="flex items-center space-x-1">
+        {MARKER_COLORS.map(color => (
+          <button
+            key={color.id}
+            className={`w-5 h-5 rounded-full border-2 ${marker.color === color.id ? 'border-white' : 'border-transparent'}`}
+            style={{ backgroundColor: color.value }}
+            onClick={() => onUpdateMarker(marker.id, { color: color.id }, { label: "Change marker color" })}
+            title={color.name}
+          />
+        ))}
+      </div>
+      <textarea
+        className="w-full h-16 bg-editor-surface border border-editor-border rounded p-2 text-sm"
+        value={marker.notes}
+        placeholder="Notes"
+        onChange={(e) => editField(marker, 'notes', e.target.value, "Edit marker notes")}
+        onBlur={onEditEnd}
+      ></textarea>
+      <button
+        className="text-xs text-editor-error hover:underline"
+        onClick={() => onRemoveMarker(marker.id)}
+      >
+        Delete {isRegion(marker) ? 'region' : 'marker'}
+      </button>
+    </div>
+  );
+
+  return (
+    <div className="marker-list">
+      <h2 className="text-lg font-semibold mb-4">Markers</h2>
+
+      <div className="grid grid-cols-2 gap-2 mb-4">
+        <button className="btn btn-secondary text-sm" onClick={onAddMarker} title="Add a marker at the playhead (M)">
+          Add Marker
+        </button>
+        <button
+          className="btn btn-secondary text-sm"
+          onClick={onAddRegion}
+          disabled={!canAddRegion}
+          title="Add a region from the in mark to the out mark (Shift+M)"
+        >
+          Add Region
+        </button>
+      </div>
+
+      <div className="space-y-2 overflow-y-auto max-h-[calc(100vh-300px)] editor-scrollbar">
+        <AnimatePresence>
+          {sorted.map(marker => {
+            const isCurrent = currentTime >= marker.time && currentTime <= marker.time + marker.duration;
+            return (
+              <motion.div
+                key={marker.id}
+                className={`marker-item ${isCurrent ? 'border-editor-primary' : 'border-editor-border'}`}
+                initial={{ opacity: 0, y: 10 }}
+                animate={{ opacity: 1, y: 0 }}
+                exit={{ opacity: 0, scale: 0.95 }}
+                transition={{ duration: 0.15 }}
+                onClick={() => onSeek(marker.time)}
+              >
+                <div className="flex items-center">
+                  <span className="w-2.5 h-2.5 rounded-full mr-2 flex-shrink-0" style={{ backgroundColor: getMarkerColor(marker) }} />
+                  <span className="flex-1 text-sm truncate">{marker.name}</span>
+                  <span className="text-xs font-mono text-editor-text-muted ml-2">
+                    {formatTime(marker.time)}
+                    {isRegion(marker) && `–${formatTime(marker.time + marker.duration)}`}
+                  </span>
+                  <button
+                    className="btn-icon text-editor-text-muted ml-1"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      setExpandedId(expandedId === marker.id ? null : marker.id);
+                    }}
+                    title="Edit"
+                  >
+                    <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor" className={`w-4 h-4 transition-transform ${expandedId === marker.id ? 'rotate-180' : ''}`}>
+                      <path fillRule="evenodd" d="M5.22 8.22a.75.75 0 0 1 1.06 0L10 11.94l3.72-3.72a.75.75 0 1 1 1.06 1.06l-4.25 4.25a.75.75 0 0 1-1.06 0L5.22 9.28a.75.75 0 0 1 0-1.06Z" clipRule="evenodd" />
+                    </svg>
+                  </button>
+                </div>
+                {expandedId !== marker.id && marker.notes && (
+                  <p className="text-xs text-editor-text-muted mt-1 truncate">{marker.notes}</p>
+                )}
+                {expandedId === marker.id && renderDetails(marker)}
+              </motion.div>
+            );
+          })}
+        </AnimatePresence>
+
+        {sorted.length === 0 && (
+          <div className="text-center py-8 text-editor-text-muted">
+            <p className="text-sm">No markers yet</p>
+            <p className="text-xs mt-1">Press M to mark the playhead, or Shift+M to mark the in to out range</p>
+          </div>
+        )}
+      </div>
+
+      {/* Chapters */}
+      <div className="mt-4">
+        <button className="btn btn-secondary w-full text-sm" onClick={onDownloadChapters} disabled={!hasChapters}>
+          Download Chapters (.vtt)
+        </button>
+        <p className="text-xs text-editor-text-muted mt-2">
+          Markers become chapters: MP4 exports carry them inside the file, and the WebVTT file suits players that read chapters alongside the video.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default MarkerList;
@@ -1,23 +1,40 @@
-import React, { useState, useEffect, useRef, useMemo } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { motion } from 'framer-motion';
+import useWaveform from '../../hooks/useWaveform';
+import usePoster from '../../hooks/usePoster';
+import useMediaUrl from '../../hooks/useMediaUrl';
+import { getThumbnail, getCachedThumbnail, THUMBNAIL_WIDTH, THUMBNAIL_HEIGHT } from '../../services/thumbnailStore';
+import { drawWaveform } from '../../utils/waveformUtils';
+import { startMediaDrag, endMediaDrag } from '../../utils/mediaDrag';
 
-const MediaItem = ({ item, onAddToTimeline }) => {
+const MediaItem = ({ item, onAddToTimeline, onRemove }) => {
   const [isAdding, setIsAdding] = useState(false);
-  const [thumbnailError, setThumbnailError] = useState(false);
-  const [thumbnailLoaded, setThumbnailLoaded] = useState(false);
-  const videoRef = useRef(null);
+  const [scrubTime, setScrubTime] = useState(null);
+  const scrubCanvasRef = useRef(null);
+  const scrubTimeRef = useRef(null);
+  const scrubLoadingRef = useRef(false);
+  const waveformRef = useRef(null);
   
-  // Create a source URL for the video from base64 or direct URL
-  const videoSrc = useMemo(() => {
-    if (item.fileData) {
-      // Use the base64 data directly
-      return item.fileData;
-    } else if (item.src) {
-      // Use the provided URL (for sample videos)
-      return item.src;
-    }
-    return null;
-  }, [item.fileData, item.src]);
+  // Videos show a poster frame, and the frame under the cursor while hovered
+  const isVideo = item.type === 'video';
+  const poster = usePoster(isVideo ? item.id : null, isVideo ? item.src || null : null);
+  
+  // Stills show the image itself
+  const isImage = item.type === 'image';
+  const imageUrl = useMediaUrl(isImage ? item.id : null, isImage ? item.src || null : null);
+  
+  // Only uploads live in storage and can be removed
+  const isUpload = !item.src;
+  
+  // Audio items show the shape of their whole sound
+  const isAudio = item.type === 'audio';
+  const waveform = useWaveform(isAudio ? item.id : null, isAudio ? item.src || null : null);
+  
+  useEffect(() => {
+    if (!waveform || !waveformRef.current) return;
+    const canvas = waveformRef.current;
+    drawWaveform(canvas.getContext('2d'), waveform, 0, waveform.duration / canvas.width, 'rgba(255, 255, 255, 0.7)');
+  }, [waveform]);
   
   // Format duration as MM:SS
   const formatDuration = (seconds) => {
@@ -26,76 +43,102 @@ const MediaItem = ({ item, onAddToTimeline }) => {
     return `${minutes}:${remainingSeconds.toString().padStart(2, '0')}`;
   };
   
-  // Generate a video thumbnail on hover for video items
-  useEffect(() => {
-    if (item.type === 'video' && videoRef.current) {
-      const video = videoRef.current;
-      
-      const handleMouseEnter = () => {
-        if (!video.paused) return;
-        video.currentTime = 0;
-        video.play().catch(err => console.error("Error playing video thumbnail:", err));
-      };
-      
-      const handleMouseLeave = () => {
-        if (video.paused) return;
-        video.pause();
-        video.currentTime = 0;
-      };
-      
-      video.addEventListener('mouseenter', handleMouseEnter);
-      video.addEventListener('mouseleave', handleMouseLeave);
-      
-      return () => {
-        video.removeEventListener('mouseenter', handleMouseEnter);
-        video.removeEventListener('mouseleave', handleMouseLeave);
-      };
+  // Draw the frame nearest `time` on the scrub canvas. One frame is grabbed at a time; when it
+  // arrives after the cursor has moved on, the frame for the latest position is fetched next.
+  const showScrubFrame = (time) => {
+    const draw = (frame) => {
+      if (frame && scrubCanvasRef.current) scrubCanvasRef.current.getContext('2d').drawImage(frame, 0, 0);
+    };
+    
+    const cached = getCachedThumbnail(item.id, item.src || null, time);
+    if (cached) {
+      draw(cached);
+      return;
     }
-  }, [item.type, thumbnailLoaded]);
+    if (scrubLoadingRef.current) return;
+    
+    scrubLoadingRef.current = true;
+    getThumbnail(item.id, item.src || null, time).then(frame => {
+      scrubLoadingRef.current = false;
+      if (scrubTimeRef.current === null) return;
+      draw(frame);
+      if (scrubTimeRef.current !== time) showScrubFrame(scrubTimeRef.current);
+    });
+  };
+  
+  // Show the frame at the hovered point across the thumbnail
+  const handleScrub = (e) => {
+    const bounds = e.currentTarget.getBoundingClientRect();
+    const fraction = Math.min(Math.max((e.clientX - bounds.left) / bounds.width, 0), 1);
+    const time = fraction * item.duration;
+    setScrubTime(time);
+    scrubTimeRef.current = time;
+    showScrubFrame(time);
+  };
+  
+  const handleScrubEnd = () => {
+    scrubTimeRef.current = null;
+    setScrubTime(null);
+  };
   
   // Render appropriate thumbnail based on media type
   const renderThumbnail = () => {
-    if (item.type === 'video' && videoSrc && !thumbnailError) {
+    if (isVideo && poster !== null) {
       return (
-        <div className="relative">
-          <div className="media-thumbnail object-cover w-full h-16 flex items-center justify-center bg-gray-900">
-            {!thumbnailLoaded && (
+        <div className="relative" onMouseMove={handleScrub} onMouseLeave={handleScrubEnd}>
+          <div className="media-thumbnail w-full h-16 flex items-center justify-center bg-gray-900 overflow-hidden">
+            {poster === undefined && (
               <div className="absolute inset-0 flex items-center justify-center bg-black bg-opacity-50 z-10">
                 <div className="w-6 h-6 border-2 border-t-transparent border-white rounded-full animate-spin"></div>
               </div>
             )}
             
-            <video 
-              ref={videoRef}
-              src={videoSrc} 
-              className="max-h-full max-w-full object-contain"
-              muted
-              playsInline
-              loop
-              preload="metadata"
-              onError={() => setThumbnailError(true)}
-              onLoadedData={() => setThumbnailLoaded(true)}
+            {poster && <img src={poster} alt="" className="w-full h-full object-cover" draggable={false} />}
+            <canvas
+              ref={scrubCanvasRef}
+              className={`absolute inset-0 w-full h-full ${scrubTime === null ? 'hidden' : ''}`}
+              width={THUMBNAIL_WIDTH}
+              height={THUMBNAIL_HEIGHT}
             />
           </div>
+          {scrubTime !== null && (
+            <div className="media-scrub-line" style={{ left: `${(scrubTime / item.duration) * 100}%` }} />
+          )}
           <div className="absolute bottom-1 right-1 bg-black bg-opacity-70 text-white text-xs px-1 rounded">
-            {formatDuration(item.duration)}
+            {formatDuration(scrubTime ?? item.duration)}
           </div>
         </div>
       );
     } else if (item.type === 'audio') {
       return (
         <div className="bg-editor-clip-audio h-16 flex items-center justify-center relative">
-          <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="currentColor" className="w-8 h-8 text-white opacity-70">
-            <path d="M13.5 4.06c0-1.336-1.616-2.005-2.56-1.06l-4.5 4.5H4.508c-1.141 0-2.318.664-2.66 1.905A9.76 9.76 0 0 0 1.5 12c0 .898.121 1.768.35 2.595.341 1.24 1.518 1.905 2.659 1.905h1.93l4.5 4.5c.945.945 2.561.276 2.561-1.06V4.06ZM18.584 5.106a.75.75 0 0 1 1.06 0c3.808 3.807 3.808 9.98 0 13.788a.75.75 0 0 1-1.06-1.06 8.25 8.25 0 0 0 0-11.668.75.75 0 0 1 0-1.06Z" />
-            <path d="M15.932 7.757a.75.75 0 0 1 1.061 0 6 6 0 0 1 0 8.486.75.75 0 0 1-1.06-1.061 4.5 4.5 0 0 0 0-6.364.75.75 0 0 1 0-1.06Z" />
-          </svg>
+          {waveform ? (
+            <canvas ref={waveformRef} className="media-waveform" width={240} height={64} />
+          ) : (
+            <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="currentColor" className="w-8 h-8 text-white opacity-70">
+              <path d="M13.5 4.06c0-1.336-1.616-2.005-2.56-1.06l-4.5 4.5H4.508c-1.141 0-2.318.664-2.66 1.905A9.76 9.76 0 0 0 1.5 12c0 .898.121 1.768.35 2.595.341 1.24 1.518 1.905 2.659 1.905h1.93l4.5 4.5c.945.945 2.561.276 2.561-1.06V4.06ZM18.584 5.106a.75.75 0 0 1 1.06 0c3.808 3.807 3.808 9.98 0 13.788a.75.75 0 0 1-1.06-1.06 8.25 8.25 0 0 0 0-11.668.75.75 0 0 1 0-1.06Z" />
+              <path d="M15.932 7.757a.75.75 0 0 1 1.061 0 6 6 0 0 1 0 8.486.75.75 0 0 1-1.06-1.061 4.5 4.5 0 0 0 0-6.364.75.75 0 0 1 0-1.06Z" />
+            </svg>
+          )}
+          <div className="absolute bottom-1 right-1 bg-black bg-opacity-70 text-white text-xs px-1 rounded">
+            {formatDuration(item.duration)}
+          </div>
+        </div>
+      );
+    } else if (isImage) {
+      return (
+        <div className="relative">
+          <div className="media-thumbnail w-full h-16 bg-gray-900 overflow-hidden">
+            {imageUrl && <img src={imageUrl} alt="" className="w-full h-full object-cover" draggable={false} />}
+          </div>
+          {/* Stills are placed at the length set in preferences */}
           <div className="absolute bottom-1 right-1 bg-black bg-opacity-70 text-white text-xs px-1 rounded">
             {formatDuration(item.duration)}
           </div>
         </div>
       );
-    } else if (thumbnailError || (item.type === 'video' && !videoSrc)) {
-      // Fallback for video with errors
+    } else if (isVideo) {
+      // Fallback for video no frame could be taken from
       return (
         <div className="bg-editor-clip-video h-16 flex items-center justify-center">
           <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="currentColor" className="w-8 h-8 text-white opacity-70">
@@ -136,68 +179,61 @@ const MediaItem = ({ item, onAddToTimeline }) => {
       className="media-item overflow-hidden"
       whileHover={{ y: -2 }}
     >
-      {/* Thumbnail */}
-      <div className="relative">
-        {renderThumbnail()}
-        
-        {/* Play overlay for video preview */}
-        {item.type === 'video' && !thumbnailError && videoRef.current && (
-          <motion.div 
-            className="absolute inset-0 bg-black bg-opacity-40 flex items-center justify-center opacity-0 hover:opacity-100 transition-opacity"
-            whileHover={{ opacity: 1 }}
-          >
+      {/* Drag onto a timeline track to place the clip at a specific time */}
+      <div
+        draggable
+        onDragStart={(e) => startMediaDrag(e, item)}
+        onDragEnd={endMediaDrag}
+        className="cursor-grab"
+      >
+        {/* Thumbnail */}
+        <div className="relative">
+          {renderThumbnail()}
+        </div>
+      
+        {/* Media info */}
+        <div className="p-2">
+          <div className="flex justify-between items-start">
+            <div className="overflow-hidden flex-1">
+              <h4 className="text-sm font-medium truncate max-w-[140px]">{item.name}</h4>
+              <p className="text-xs text-editor-text-muted mt-0.5 capitalize">
+                {item.type} {item.fileSize ? `(${(item.fileSize / (1024 * 1024)).toFixed(1)} MB)` : ''}
+              </p>
+            </div>
+          
+            {isUpload && onRemove && (
+              <motion.button
+                className="ml-2 mt-0.5 text-editor-text-muted hover:text-editor-error"
+                onClick={() => onRemove(item)}
+                whileHover={{ scale: 1.1 }}
+                whileTap={{ scale: 0.9 }}
+                title="Remove from Library"
+              >
+                <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor" className="w-4 h-4">
+                  <path d="M6.28 5.22a.75.75 0 0 0-1.06 1.06L8.94 10l-3.72 3.72a.75.75 0 1 0 1.06 1.06L10 11.06l3.72 3.72a.75.75 0 1 0 1.06-1.06L11.06 10l3.72-3.72a.75.75 0 0 0-1.06-1.06L10 8.94 6.28 5.22Z" />
+                </svg>
+              </motion.button>
+            )}
+          
             <motion.button
-              className="p-2 bg-editor-primary rounded-full text-white"
+              className={`ml-2 mt-0.5 ${isAdding ? 'text-editor-accent' : 'text-editor-primary'}`}
+              onClick={handleAddToTimeline}
               whileHover={{ scale: 1.1 }}
               whileTap={{ scale: 0.9 }}
-              onClick={(e) => {
-                e.stopPropagation();
-                // Preview video
-                if (videoRef.current) {
-                  if (videoRef.current.paused) {
-                    videoRef.current.play().catch(err => console.error("Error playing video:", err));
-                  } else {
-                    videoRef.current.pause();
-                  }
-                }
-              }}
+              title="Add to Timeline"
+              disabled={isAdding}
             >
-              <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor" className="w-5 h-5">
-                <path d="M6.3 2.84A1.5 1.5 0 0 0 4 4.11v11.78a1.5 1.5 0 0 0 2.3 1.27l9.344-5.891a1.5 1.5 0 0 0 0-2.538L6.3 2.841Z" />
-              </svg>
+              {isAdding ? (
+                <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor" className="w-5 h-5 animate-pulse">
+                  <path fillRule="evenodd" d="M16.704 4.153a.75.75 0 0 1 .143 1.052l-8 10.5a.75.75 0 0 1-1.127.075l-4.5-4.5a.75.75 0 0 1 1.06-1.06l3.894 3.893 7.48-9.817a.75.75 0 0 1 1.05-.143Z" clipRule="evenodd" />
+                </svg>
+              ) : (
+                <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor" className="w-5 h-5">
+                  <path d="M10.75 4.75a.75.75 0 0 0-1.5 0v4.5h-4.5a.75.75 0 0 0 0 1.5h4.5v4.5a.75.75 0 0 0 1.5 0v-4.5h4.5a.75.75 0 0 0 0-1.5h-4.5v-4.5Z" />
+                </svg>
+              )}
             </motion.button>
-          </motion.div>
-        )}
-      </div>
-      
-      {/* Media info */}
-      <div className="p-2">
-        <div className="flex justify-between items-start">
-          <div className="overflow-hidden">
-            <h4 className="text-sm font-medium truncate max-w-[140px]">{item.name}</h4>
-            <p className="text-xs text-editor-text-muted mt-0.5 capitalize">
-              {item.type} {item.fileSize ? `(${(item.fileSize / (1024 * 1024)).toFixed(1)} MB)` : ''}
-            </p>
           </div>
-          
-          <motion.button
-            className={`ml-2 mt-0.5 ${isAdding ? 'text-editor-accent' : 'text-editor-primary'}`}
-            onClick={handleAddToTimeline}
-            whileHover={{ scale: 1.1 }}
-            whileTap={{ scale: 0.9 }}
-            title="Add to Timeline"
-            disabled={isAdding}
-          >
-            {isAdding ? (
-              <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor" className="w-5 h-5 animate-pulse">
-                <path fillRule="evenodd" d="M16.704 4.153a.75.75 0 0 1 .143 1.052l-8 10.5a.75.75 0 0 1-1.127.075l-4.5-4.5a.75.75 0 0 1 1.06-1.06l3.894 3.893 7.48-9.817a.75.75 0 0 1 1.05-.143Z" clipRule="evenodd" />
-              </svg>
-            ) : (
-              <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor" className="w-5 h-5">
-                <path d="M10.75 4.75a.75.75 0 0 0-1.5 0v4.5h-4.5a.75.75 0 0 0 0 1.5h4.5v4.5a.75.75 0 0 0 1.5 0v-4.5h4.5a.75.75 0 0 0 0-1.5h-4.5v-4.5Z" />
-              </svg>
-            )}
-          </motion.button>
         </div>
       </div>
     </motion.div>
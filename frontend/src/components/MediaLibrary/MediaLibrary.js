@@ -3,9 +3,10 @@ import { useDropzone } from 'react-dropzone';
 import { motion, AnimatePresence } from 'framer-motion';
 import MediaItem from './MediaItem';
 
-const MediaLibrary = ({ media, onAddToTimeline, onFileUpload }) => {
+const MediaLibrary = ({ media, storageEstimate, onAddToTimeline, onFileUpload, onRemoveMedia }) => {
   const [dragActive, setDragActive] = useState(false);
   const [uploading, setUploading] = useState(false);
+  const [uploadFailures, setUploadFailures] = useState([]);
   const fileInputRef = useRef(null);
   
   // Handle file drop with react-dropzone
@@ -24,7 +25,7 @@ const MediaLibrary = ({ media, onAddToTimeline, onFileUpload }) => {
       }
       
       try {
-        await onFileUpload(acceptedFiles);
+        setUploadFailures(await onFileUpload(acceptedFiles) || []);
       } catch (error) {
         console.error("Error uploading files:", error);
       } finally {
@@ -51,7 +52,7 @@ const MediaLibrary = ({ media, onAddToTimeline, onFileUpload }) => {
       }
       
       try {
-        await onFileUpload(files);
+        setUploadFailures(await onFileUpload(files) || []);
       } catch (error) {
         console.error("Error uploading files:", error);
       } finally {
@@ -73,13 +74,43 @@ const MediaLibrary = ({ media, onAddToTimeline, onFileUpload }) => {
     accept: {
       'video/*': [],
       'audio/*': [],
-      'image/*': []
+      'image/*': [],
+      // Caption files, imported onto a caption track
+      'text/vtt': ['.vtt'],
+      'application/x-subrip': ['.srt']
     },
     noClick: true, // Disable click handling by dropzone to use our own
     noKeyboard: true,
     disabled: uploading // Disable while uploading
   });
   
+  // Format a byte count as MB or GB
+  const formatBytes = (bytes) => {
+    const gigabytes = bytes / (1024 * 1024 * 1024);
+    if (gigabytes >= 1) return `${gigabytes.toFixed(1)} GB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  };
+  
+  // Render storage usage against the browser quota
+  const renderStorageUsage = () => {
+    if (!storageEstimate || !storageEstimate.quota) return null;
+    
+    const ratio = Math.min(storageEstimate.usage / storageEstimate.quota, 1);
+    const barColor = ratio > 0.9 ? 'bg-editor-error' : ratio > 0.7 ? 'bg-editor-warning' : 'bg-editor-primary';
+    
+    return (
+      <div className="mb-4">
+        <div className="flex justify-between text-xs text-editor-text-muted mb-1">
+          <span>Storage</span>
+          <span>{formatBytes(storageEstimate.usage)} of {formatBytes(storageEstimate.quota)}</span>
+        </div>
+        <div className="w-full h-1.5 rounded bg-editor-surface-light overflow-hidden">
+          <div className={`h-full ${barColor}`} style={{ width: `${Math.max(ratio * 100, 1)}%` }}></div>
+        </div>
+      </div>
+    );
+  };
+  
   // Effect when drag is active
   React.useEffect(() => {
     setDragActive(isDragActive);
@@ -101,7 +132,7 @@ const MediaLibrary = ({ media, onAddToTimeline, onFileUpload }) => {
           type="file" 
           ref={fileInputRef}
           className="hidden"
-          accept="video/*,audio/*,image/*"
+          accept="video/*,audio/*,image/*,.srt,.vtt"
           multiple
           onChange={handleFileSelect}
           disabled={uploading}
@@ -119,6 +150,7 @@ const MediaLibrary = ({ media, onAddToTimeline, onFileUpload }) => {
               <path fillRule="evenodd" d="M11.47 2.47a.75.75 0 0 1 1.06 0l4.5 4.5a.75.75 0 0 1-1.06 1.06l-3.22-3.22V16.5a.75.75 0 0 1-1.5 0V4.81L8.03 8.03a.75.75 0 0 1-1.06-1.06l4.5-4.5ZM3 15.75a.75.75 0 0 1 .75-.75h16.5a.75.75 0 0 1 0 1.5H3.75a.75.75 0 0 1-.75-.75Z" clipRule="evenodd" />
             </svg>
             <p className="text-sm font-medium">Drag & drop video files here</p>
+            <p className="text-xs text-editor-text-muted">Drop .srt or .vtt files to import captions</p>
             <button 
               onClick={handleBrowseClick} 
               className="text-xs text-editor-primary hover:underline mt-1 focus:outline-none"
@@ -130,6 +162,25 @@ const MediaLibrary = ({ media, onAddToTimeline, onFileUpload }) => {
         )}
       </div>
       
+      {/* Files that could not be added */}
+      {uploadFailures.length > 0 && (
+        <div className="mb-4 p-2 rounded border border-editor-error text-xs">
+          <div className="flex justify-between items-center mb-1">
+            <span className="font-medium text-editor-error">Some files were not added</span>
+            <button className="text-editor-text-muted hover:text-editor-text" onClick={() => setUploadFailures([])}>
+              Dismiss
+            </button>
+          </div>
+          {uploadFailures.map(failure => (
+            <p key={failure.name} className="truncate" title={`${failure.name}: ${failure.reason}`}>
+              {failure.name}: <span className="text-editor-text-muted">{failure.reason}</span>
+            </p>
+          ))}
+        </div>
+      )}
+      
+      {renderStorageUsage()}
+      
       {/* Media items */}
       <div className="media-items space-y-3 overflow-y-auto max-h-[calc(100vh-240px)]">
         <AnimatePresence>
@@ -141,7 +192,7 @@ const MediaLibrary = ({ media, onAddToTimeline, onFileUpload }) => {
               exit={{ opacity: 0, scale: 0.9 }}
               transition={{ duration: 0.2 }}
             >
-              <MediaItem item={item} onAddToTimeline={onAddToTimeline} />
+              <MediaItem item={item} onAddToTimeline={onAddToTimeline} onRemove={onRemoveMedia} />
             </motion.div>
           ))}
         </AnimatePresence>
@@ -0,0 +1,152 @@
+import React, { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { SHORTCUT_ACTIONS, DEFAULT_KEYMAP, getKeymap, getKeyCombo } from '../../utils/shortcutUtils';
+import { KeyCombo } from '../Shortcuts/ShortcutSheet';
+
+// Shortest still image duration that can be set
+const MIN_STILL_DURATION = 0.5;
+
+// Editor preferences. Changes apply and are saved as they are made.
+const PreferencesDialog = ({ isOpen, preferences, onChange, onClose }) => {
+  // Action waiting for a key press to add to its shortcuts
+  const [recordingAction, setRecordingAction] = useState(null);
+  const keymap = getKeymap(preferences.keymap);
+
+  // Replace the shortcuts of one action, storing only what differs from the defaults
+  const setActionKeys = (keymapChanges) => {
+    const overrides = { ...preferences.keymap, ...keymapChanges };
+    Object.keys(keymapChanges).forEach(action => {
+      if (JSON.stringify(overrides[action]) === JSON.stringify(DEFAULT_KEYMAP[action])) delete overrides[action];
+    });
+    onChange({ keymap: overrides });
+  };
+
+  // Take the next key press as a new shortcut; Escape cancels
+  useEffect(() => {
+    if (!recordingAction) return;
+
+    const handleKeyDown = (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      if (e.key === 'Escape') {
+        setRecordingAction(null);
+        return;
+      }
+      const combo = getKeyCombo(e);
+      if (!combo) return;
+
+      // A combo runs one action, so take it away from any other
+      const changes = { [recordingAction]: [...keymap[recordingAction].filter(c => c !== combo), combo] };
+      Object.keys(keymap).forEach(action => {
+        if (action !== recordingAction && keymap[action].includes(combo)) {
+          changes[action] = keymap[action].filter(c => c !== combo);
+        }
+      });
+      setActionKeys(changes);
+      setRecordingAction(null);
+    };
+
+    // Capture so the editor's own shortcuts never see the key
+    window.addEventListener('keydown', handleKeyDown, true);
+    return () => window.removeEventListener('keydown', handleKeyDown, true);
+  });
+
+  const handleClose = () => {
+    setRecordingAction(null);
+    onClose();
+  };
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <motion.div
+          className="fixed inset-0 z-50 bg-black bg-opacity-60 flex items-center justify-center"
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          onClick={handleClose}
+        >
+          <motion.div
+            className="bg-editor-surface border border-editor-border rounded-lg shadow-panel w-full max-w-2xl max-h-[80vh] flex flex-col"
+            initial={{ scale: 0.95, y: 10 }}
+            animate={{ scale: 1, y: 0 }}
+            exit={{ scale: 0.95, y: 10 }}
+            onClick={(e) => e.stopPropagation()}
+          >
+            <div className="flex items-center justify-between px-4 py-3 border-b border-editor-border">
+              <h2 className="text-lg font-semibold">Preferences</h2>
+              <button className="btn-icon text-editor-text-muted" onClick={handleClose} title="Close">
+                <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor" className="w-5 h-5">
+                  <path d="M6.28 5.22a.75.75 0 0 0-1.06 1.06L8.94 10l-3.72 3.72a.75.75 0 1 0 1.06 1.06L10 11.06l3.72 3.72a.75.75 0 1 0 1.06-1.06L11.06 10l3.72-3.72a.75.75 0 0 0-1.06-1.06L10 8.94 6.28 5.22Z" />
+                </svg>
+              </button>
+            </div>
+
+            <div className="flex-1 overflow-y-auto editor-scrollbar p-4">
+              <h3 className="text-sm font-medium mb-2">Timeline</h3>
+              <label className="flex items-center justify-between py-1.5 mb-4 text-sm">
+                <span>Still image duration</span>
+                <span className="flex items-center">
+                  <input
+                    type="number"
+                    className="w-20 bg-editor-surface-light border border-editor-border rounded px-2 py-1 text-sm text-right"
+                    min={MIN_STILL_DURATION}
+                    step="0.5"
+                    value={preferences.stillDuration}
+                    onChange={(e) => {
+                      const seconds = Number(e.target.value);
+                      if (seconds >= MIN_STILL_DURATION) onChange({ stillDuration: seconds });
+                    }}
+                  />
+                  <span className="ml-2 text-editor-text-muted">seconds</span>
+                </span>
+              </label>
+              
+              <div className="flex items-center justify-between mb-2">
+                <h3 className="text-sm font-medium">Keyboard Shortcuts</h3>
+                <button
+                  className="btn btn-secondary text-xs"
+                  disabled={Object.keys(preferences.keymap).length === 0}
+                  onClick={() => onChange({ keymap: {} })}
+                >
+                  Reset to Defaults
+                </button>
+              </div>
+
+              {SHORTCUT_ACTIONS.map(action => (
+                <div key={action.id} className="flex items-center justify-between py-1.5 border-b border-editor-border text-sm">
+                  <span className="mr-4">{action.name}</span>
+                  <div className="flex items-center space-x-1 flex-shrink-0">
+                    {keymap[action.id].map(combo => (
+                      <button
+                        key={combo}
+                        className="group flex items-center"
+                        onClick={() => setActionKeys({ [action.id]: keymap[action.id].filter(c => c !== combo) })}
+                        title="Remove shortcut"
+                      >
+                        <KeyCombo combo={combo} />
+                        <span className="ml-0.5 text-xs text-editor-text-muted group-hover:text-editor-error">×</span>
+                      </button>
+                    ))}
+                    <button
+                      className={`text-xs px-2 py-0.5 rounded border ${
+                        recordingAction === action.id
+                          ? 'border-editor-primary text-editor-primary animate-pulse'
+                          : 'border-editor-border text-editor-text-muted hover:text-editor-text'
+                      }`}
+                      onClick={() => setRecordingAction(recordingAction === action.id ? null : action.id)}
+                    >
+                      {recordingAction === action.id ? 'Press keys…' : '+ Add'}
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default PreferencesDialog;
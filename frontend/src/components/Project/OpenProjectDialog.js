@@ -0,0 +1,213 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import {
+  listProjects,
+  deleteProject,
+  loadProjectDocument,
+  exportProjectFile,
+  importProjectFile,
+  PROJECT_FILE_EXTENSION
+} from '../../services/projectStore';
+
+const OpenProjectDialog = ({ isOpen, currentProjectId, onClose, onOpenProject }) => {
+  const [projects, setProjects] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const fileInputRef = useRef(null);
+
+  // Load the saved project list
+  const refreshProjects = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      setProjects(await listProjects());
+      setError(null);
+    } catch (err) {
+      console.error('Error listing projects:', err);
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  // Refresh whenever the dialog opens
+  useEffect(() => {
+    if (isOpen) {
+      refreshProjects();
+    }
+  }, [isOpen, refreshProjects]);
+
+  // Format an ISO date for the list
+  const formatDate = (isoDate) => {
+    const date = new Date(isoDate);
+    return `${date.toLocaleDateString()} ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+  };
+
+  // Format duration as MM:SS
+  const formatDuration = (seconds = 0) => {
+    const minutes = Math.floor(seconds / 60);
+    const remainingSeconds = Math.floor(seconds % 60);
+    return `${minutes}:${remainingSeconds.toString().padStart(2, '0')}`;
+  };
+
+  // Delete a saved project after confirmation
+  const handleDelete = async (e, project) => {
+    e.stopPropagation();
+    if (!window.confirm(`Delete "${project.name}"? This cannot be undone.`)) return;
+
+    try {
+      await deleteProject(project.id);
+      await refreshProjects();
+    } catch (err) {
+      console.error('Error deleting project:', err);
+      setError(err.message);
+    }
+  };
+
+  // Download a saved project as a .vproj file
+  const handleExport = async (e, project) => {
+    e.stopPropagation();
+    try {
+      await exportProjectFile(await loadProjectDocument(project.id));
+    } catch (err) {
+      console.error('Error exporting project:', err);
+      setError(err.message);
+    }
+  };
+
+  // Import a .vproj file shared by someone else
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = null;
+    if (!file) return;
+
+    try {
+      await importProjectFile(file);
+      await refreshProjects();
+    } catch (err) {
+      console.error('Error importing project:', err);
+      setError(err.message);
+    }
+  };
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <motion.div
+          className="fixed inset-0 z-50 bg-black bg-opacity-60 flex items-center justify-center"
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          onClick={onClose}
+        >
+          <motion.div
+            className="bg-editor-surface border border-editor-border rounded-lg shadow-panel w-full max-w-2xl max-h-[80vh] flex flex-col"
+            initial={{ scale: 0.95, y: 10 }}
+            animate={{ scale: 1, y: 0 }}
+            exit={{ scale: 0.95, y: 10 }}
+            onClick={(e) => e.stopPropagation()}
+          >
+            {/* Dialog header */}
+            <div className="flex items-center justify-between px-4 py-3 border-b border-editor-border">
+              <h2 className="text-lg font-semibold">Open Project</h2>
+              <div className="flex items-center space-x-2">
+                <button
+                  className="btn btn-secondary text-sm"
+                  onClick={() => fileInputRef.current.click()}
+                >
+                  Import {PROJECT_FILE_EXTENSION}
+                </button>
+                <input
+                  type="file"
+                  ref={fileInputRef}
+                  className="hidden"
+                  accept={`${PROJECT_FILE_EXTENSION},application/json`}
+                  onChange={handleImport}
+                />
+                <button className="btn-icon text-editor-text-muted" onClick={onClose} title="Close">
+                  <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor" className="w-5 h-5">
+                    <path d="M6.28 5.22a.75.75 0 0 0-1.06 1.06L8.94 10l-3.72 3.72a.75.75 0 1 0 1.06 1.06L10 11.06l3.72 3.72a.75.75 0 1 0 1.06-1.06L11.06 10l3.72-3.72a.75.75 0 0 0-1.06-1.06L10 8.94 6.28 5.22Z" />
+                  </svg>
+                </button>
+              </div>
+            </div>
+
+            {error && (
+              <div className="mx-4 mt-3 p-2 rounded border border-editor-error text-sm text-editor-error">
+                {error}
+              </div>
+            )}
+
+            {/* Project list */}
+            <div className="flex-1 overflow-y-auto editor-scrollbar p-4 space-y-2">
+              {isLoading && projects.length === 0 && (
+                <div className="loading-spinner mx-auto my-8"></div>
+              )}
+
+              {!isLoading && projects.length === 0 && (
+                <div className="text-center py-8 text-editor-text-muted">
+                  <p className="text-sm">No saved projects yet</p>
+                  <p className="text-xs mt-1">Save the current project or import a {PROJECT_FILE_EXTENSION} file</p>
+                </div>
+              )}
+
+              {projects.map(project => (
+                <motion.div
+                  key={project.id}
+                  className={`flex items-center p-2 rounded border cursor-pointer transition-colors ${
+                    project.id === currentProjectId
+                      ? 'border-editor-primary bg-editor-primary bg-opacity-10'
+                      : 'border-editor-border hover:border-editor-primary'
+                  }`}
+                  whileHover={{ x: 2 }}
+                  onClick={() => onOpenProject(project.id)}
+                >
+                  <div className="w-32 aspect-video flex-shrink-0 rounded overflow-hidden bg-black flex items-center justify-center">
+                    {project.thumbnail ? (
+                      <img src={project.thumbnail} alt="" className="w-full h-full object-cover" />
+                    ) : (
+                      <span className="text-xs text-editor-text-muted">No preview</span>
+                    )}
+                  </div>
+
+                  <div className="flex-1 min-w-0 ml-3">
+                    <h3 className="text-sm font-medium truncate">{project.name}</h3>
+                    <p className="text-xs text-editor-text-muted mt-0.5">
+                      Modified {formatDate(project.modifiedAt)}
+                    </p>
+                    <p className="text-xs text-editor-text-muted">
+                      {project.clipCount} clips · {formatDuration(project.duration)}
+                    </p>
+                  </div>
+
+                  <div className="flex items-center space-x-1 ml-2">
+                    <button
+                      className="btn-icon text-editor-text-muted hover:text-editor-text"
+                      onClick={(e) => handleExport(e, project)}
+                      title={`Export as ${PROJECT_FILE_EXTENSION}`}
+                    >
+                      <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor" className="w-4 h-4">
+                        <path d="M10.75 2.75a.75.75 0 0 0-1.5 0v8.614L6.295 8.235a.75.75 0 1 0-1.09 1.03l4.25 4.5a.75.75 0 0 0 1.09 0l4.25-4.5a.75.75 0 0 0-1.09-1.03l-2.955 3.129V2.75Z" />
+                        <path d="M3.5 12.75a.75.75 0 0 0-1.5 0v2.5A2.75 2.75 0 0 0 4.75 18h10.5A2.75 2.75 0 0 0 18 15.25v-2.5a.75.75 0 0 0-1.5 0v2.5c0 .69-.56 1.25-1.25 1.25H4.75c-.69 0-1.25-.56-1.25-1.25v-2.5Z" />
+                      </svg>
+                    </button>
+                    <button
+                      className="btn-icon text-editor-text-muted hover:text-editor-error"
+                      onClick={(e) => handleDelete(e, project)}
+                      title="Delete Project"
+                    >
+                      <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor" className="w-4 h-4">
+                        <path fillRule="evenodd" d="M8.75 1A2.75 2.75 0 0 0 6 3.75v.443c-.795.077-1.584.176-2.365.298a.75.75 0 1 0 .23 1.482l.149-.022.841 10.518A2.75 2.75 0 0 0 7.596 19h4.807a2.75 2.75 0 0 0 2.742-2.53l.841-10.52.149.023a.75.75 0 0 0 .23-1.482A41.03 41.03 0 0 0 14 4.193V3.75A2.75 2.75 0 0 0 11.25 1h-2.5ZM10 4c.84 0 1.673.025 2.5.075V3.75c0-.69-.56-1.25-1.25-1.25h-2.5c-.69 0-1.25.56-1.25 1.25v.325C8.327 4.025 9.16 4 10 4ZM8.58 7.72a.75.75 0 0 0-1.5.06l.3 7.5a.75.75 0 1 0 1.5-.06l-.3-7.5Zm4.34.06a.75.75 0 1 0-1.5-.06l-.3 7.5a.75.75 0 1 0 1.5.06l.3-7.5Z" clipRule="evenodd" />
+                      </svg>
+                    </button>
+                  </div>
+                </motion.div>
+              ))}
+            </div>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default OpenProjectDialog;
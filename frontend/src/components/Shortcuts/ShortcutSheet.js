@@ -0,0 +1,69 @@
+import React from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { SHORTCUT_ACTIONS, formatKeyCombo } from '../../utils/shortcutUtils';
+
+// Keys shown as they look on the keyboard
+export const KeyCombo = ({ combo }) => (
+  <kbd className="shortcut-key">{formatKeyCombo(combo)}</kbd>
+);
+
+// Overlay listing every shortcut in the current keymap, grouped by what it does
+const ShortcutSheet = ({ isOpen, keymap, onClose, onCustomize }) => {
+  const groups = [...new Set(SHORTCUT_ACTIONS.map(action => action.group))];
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <motion.div
+          className="fixed inset-0 z-50 bg-black bg-opacity-60 flex items-center justify-center"
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          onClick={onClose}
+        >
+          <motion.div
+            className="bg-editor-surface border border-editor-border rounded-lg shadow-panel w-full max-w-3xl max-h-[80vh] flex flex-col"
+            initial={{ scale: 0.95, y: 10 }}
+            animate={{ scale: 1, y: 0 }}
+            exit={{ scale: 0.95, y: 10 }}
+            onClick={(e) => e.stopPropagation()}
+          >
+            <div className="flex items-center justify-between px-4 py-3 border-b border-editor-border">
+              <h2 className="text-lg font-semibold">Keyboard Shortcuts</h2>
+              <div className="flex items-center space-x-2">
+                <button className="btn btn-secondary text-sm" onClick={onCustomize}>
+                  Customize
+                </button>
+                <button className="btn-icon text-editor-text-muted" onClick={onClose} title="Close">
+                  <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor" className="w-5 h-5">
+                    <path d="M6.28 5.22a.75.75 0 0 0-1.06 1.06L8.94 10l-3.72 3.72a.75.75 0 1 0 1.06 1.06L10 11.06l3.72 3.72a.75.75 0 1 0 1.06-1.06L11.06 10l3.72-3.72a.75.75 0 0 0-1.06-1.06L10 8.94 6.28 5.22Z" />
+                  </svg>
+                </button>
+              </div>
+            </div>
+
+            <div className="flex-1 overflow-y-auto editor-scrollbar p-4 grid grid-cols-2 gap-x-8 gap-y-4">
+              {groups.map(group => (
+                <div key={group}>
+                  <h3 className="text-xs uppercase tracking-wide text-editor-text-muted mb-2">{group}</h3>
+                  {SHORTCUT_ACTIONS.filter(action => action.group === group).map(action => (
+                    <div key={action.id} className="flex items-center justify-between py-1 text-sm">
+                      <span className="mr-4">{action.name}</span>
+                      <span className="flex space-x-1 flex-shrink-0">
+                        {keymap[action.id].length > 0
+                          ? keymap[action.id].map(combo => <KeyCombo key={combo} combo={combo} />)
+                          : <span className="text-xs text-editor-text-muted">Unassigned</span>}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              ))}
+            </div>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default ShortcutSheet;
@@ -1,17 +1,41 @@
 import React, { useState, useRef } from 'react';
 import { motion } from 'framer-motion';
+import { getTrimModeFromEvent, TRIM_MODES } from '../../utils/trimUtils';
+import { getClipText } from '../../utils/textUtils';
+import { AUDIO_CLIP_TYPES } from '../../utils/audioUtils';
+import { getClipSpeed, isClipReversed } from '../../utils/clipUtils';
+import GainEnvelope from './GainEnvelope';
+import KeyframeMarkers from './KeyframeMarkers';
+import Waveform from './Waveform';
+import Filmstrip, { StillFilmstrip } from './Filmstrip';
 
 const Clip = ({ 
   clip, 
   pixelsPerSecond, 
   isSelected,
+  isLocked,
   onSelect,
   onUpdate,
+  onUpdateEnd,
+  onDragOverTrack,
+  onTrimStart,
+  onTrimUpdate,
+  onTrimEnd,
+  onUpdateAudio,
+  onUpdateAudioEnd,
+  onUpdateKeyframes,
+  onUpdateKeyframesEnd,
+  onUpdateText,
+  onSeek,
   isDraggingRef
 }) => {
   const [isDragging, setIsDragging] = useState(false);
+  const [activeTrim, setActiveTrim] = useState(null);
+  // Words of a caption being edited in place, or null when not editing
+  const [draftText, setDraftText] = useState(null);
   const startPosRef = useRef(0);
   const clipStartRef = useRef(0);
+  const isDraggingClipRef = useRef(false);
   
   // Calculate clip position and width
   const clipStyle = {
@@ -23,8 +47,10 @@ const Clip = ({
   const handleMouseDown = (e) => {
     e.stopPropagation();
     onSelect(clip.id);
+    if (isLocked) return;
     
     setIsDragging(true);
+    isDraggingClipRef.current = true;
     isDraggingRef.current = true;
     startPosRef.current = e.clientX;
     clipStartRef.current = clip.start;
@@ -35,23 +61,94 @@ const Clip = ({
   
   // Handle drag
   const handleMouseMove = (e) => {
-    if (!isDragging) return;
+    // Read the ref: this listener was registered before the isDragging state update rendered
+    if (!isDraggingClipRef.current) return;
     
     const delta = (e.clientX - startPosRef.current) / pixelsPerSecond;
     const newStart = clipStartRef.current + delta;
     
     onUpdate(clip.id, newStart);
+    
+    // Report the track under the cursor so another track can show where the clip would land
+    const trackElement = document.elementFromPoint(e.clientX, e.clientY)?.closest('[data-track-id]');
+    onDragOverTrack(clip, trackElement ? trackElement.dataset.trackId : null, Math.max(0, newStart));
   };
   
   // Handle drag end
   const handleMouseUp = () => {
     setIsDragging(false);
+    isDraggingClipRef.current = false;
     isDraggingRef.current = false;
+    onUpdateEnd(clip);
     
     document.removeEventListener('mousemove', handleMouseMove);
     document.removeEventListener('mouseup', handleMouseUp);
   };
   
+  // Handle trim start on a left or right edge handle.
+  // Shift ripples later clips along, Alt rolls the cut with the adjacent clip.
+  const handleTrimMouseDown = (e, edge) => {
+    e.stopPropagation();
+    e.preventDefault();
+    onSelect(clip.id);
+    
+    const mode = getTrimModeFromEvent(e);
+    const startX = e.clientX;
+    setActiveTrim({ edge, mode });
+    isDraggingRef.current = true;
+    onTrimStart(clip.id, edge, mode);
+    
+    const handleTrimMouseMove = (moveEvent) => {
+      onTrimUpdate((moveEvent.clientX - startX) / pixelsPerSecond);
+    };
+    
+    const handleTrimMouseUp = () => {
+      setActiveTrim(null);
+      onTrimEnd();
+      
+      // Keep the timeline from treating the release as a click that moves the playhead
+      setTimeout(() => {
+        isDraggingRef.current = false;
+      }, 0);
+      
+      document.removeEventListener('mousemove', handleTrimMouseMove);
+      document.removeEventListener('mouseup', handleTrimMouseUp);
+    };
+    
+    document.addEventListener('mousemove', handleTrimMouseMove);
+    document.addEventListener('mouseup', handleTrimMouseUp);
+  };
+  
+  // Badge for a clip that doesn't play at normal speed forwards, e.g. '200%' or '◀ 50%'
+  const getSpeedBadge = () => {
+    const speed = getClipSpeed(clip);
+    if (speed === 1 && !isClipReversed(clip)) return null;
+    return `${isClipReversed(clip) ? '◀ ' : ''}${Math.round(speed * 100)}%`;
+  };
+  
+  // Edit a caption's words in place on double-click
+  const handleDoubleClick = (e) => {
+    e.stopPropagation();
+    if (clip.type !== 'caption' || isLocked) return;
+    setDraftText(getClipText(clip));
+  };
+  
+  // Enter keeps the edit (Shift+Enter starts a new line) and Escape drops it
+  const handleDraftKeyDown = (e) => {
+    e.stopPropagation();
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      e.target.blur();
+    } else if (e.key === 'Escape') {
+      setDraftText(null);
+    }
+  };
+  
+  const commitDraft = () => {
+    if (draftText !== null && draftText !== getClipText(clip)) onUpdateText(clip.id, draftText);
+    setDraftText(null);
+  };
+  
   // Get clip background color based on type
   const getClipClass = () => {
     const baseClass = 'timeline-clip';
@@ -61,6 +158,8 @@ const Clip = ({
         return `${baseClass} timeline-clip-audio`;
       case 'text':
         return `${baseClass} timeline-clip-text`;
+      case 'caption':
+        return `${baseClass} timeline-clip-caption`;
       default:
         return baseClass;
     }
@@ -68,13 +167,14 @@ const Clip = ({
   
   return (
     <motion.div
-      className={`${getClipClass()} ${isSelected ? 'ring-2 ring-white' : ''}`}
+      className={`${getClipClass()} ${isSelected ? 'ring-2 ring-white' : ''} ${isLocked ? 'timeline-clip-locked' : ''}`}
       style={clipStyle}
       onMouseDown={handleMouseDown}
       onClick={(e) => {
         e.stopPropagation();
         onSelect(clip.id);
       }}
+      onDoubleClick={handleDoubleClick}
       whileHover={{ y: -1 }}
       animate={{ 
         boxShadow: isSelected 
@@ -82,9 +182,71 @@ const Clip = ({
           : 'none' 
       }}
     >
-      <span className="text-xs truncate">{clip.name}</span>
+      {clip.type === 'video' && <Filmstrip clip={clip} pixelsPerSecond={pixelsPerSecond} />}
+      {clip.type === 'image' && <StillFilmstrip clip={clip} />}
+      {AUDIO_CLIP_TYPES.includes(clip.type) && <Waveform clip={clip} pixelsPerSecond={pixelsPerSecond} />}
+      
+      {draftText !== null ? (
+        <textarea
+          className="clip-text-editor"
+          value={draftText}
+          autoFocus
+          rows={1}
+          onChange={(e) => setDraftText(e.target.value)}
+          onKeyDown={handleDraftKeyDown}
+          onBlur={commitDraft}
+          onMouseDown={(e) => e.stopPropagation()}
+          onClick={(e) => e.stopPropagation()}
+        />
+      ) : (
+        <span className="relative text-xs truncate" title={clip.type === 'caption' && !isLocked ? 'Double-click to edit' : undefined}>
+          {['text', 'caption'].includes(clip.type) ? getClipText(clip) : clip.name}
+        </span>
+      )}
+      {getSpeedBadge() && (
+        <span className="relative ml-1 text-[10px] font-semibold opacity-80 flex-shrink-0">{getSpeedBadge()}</span>
+      )}
+      
+      {/* Gain envelope, shown on the selected clip */}
+      {isSelected && AUDIO_CLIP_TYPES.includes(clip.type) && (
+        <GainEnvelope
+          clip={clip}
+          pixelsPerSecond={pixelsPerSecond}
+          isLocked={isLocked}
+          onChange={(audio, label) => onUpdateAudio(clip.id, audio, { label, coalesceKey: `envelope-${clip.id}` })}
+          onChangeEnd={onUpdateAudioEnd}
+        />
+      )}
+      
+      {/* Keyframes, shown on the selected clip */}
+      {isSelected && (
+        <KeyframeMarkers
+          clip={clip}
+          pixelsPerSecond={pixelsPerSecond}
+          isLocked={isLocked}
+          onChange={(keyframes, label) => onUpdateKeyframes(clip.id, keyframes, { label, coalesceKey: `keyframes-${clip.id}` })}
+          onChangeEnd={onUpdateKeyframesEnd}
+          onSeek={onSeek}
+        />
+      )}
+      
+      {/* Trim handles, left out on locked tracks */}
+      {!isLocked && ['left', 'right'].map(edge => (
+        <div
+          key={edge}
+          className={`clip-handle clip-handle-${edge} ${activeTrim?.edge === edge ? `clip-handle-${activeTrim.mode}` : ''}`}
+          onMouseDown={(e) => handleTrimMouseDown(e, edge)}
+          onClick={(e) => e.stopPropagation()}
+          title={`Drag to trim ${edge === 'left' ? 'in' : 'out'} point (Shift: ripple, Alt: roll)`}
+        />
+      ))}
       
-      {/* Resize handles would be added here in a full implementation */}
+      {/* Edit mode badge while trimming */}
+      {activeTrim && activeTrim.mode !== TRIM_MODES.trim && (
+        <span className="absolute top-0 right-2 text-[10px] uppercase font-semibold opacity-80">
+          {activeTrim.mode}
+        </span>
+      )}
     </motion.div>
   );
 };
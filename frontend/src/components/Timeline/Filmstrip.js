@@ -0,0 +1,87 @@
+import React, { useRef, useEffect } from 'react';
+import useInView from '../../hooks/useInView';
+import useMediaUrl from '../../hooks/useMediaUrl';
+import { getThumbnail, getCachedThumbnail } from '../../services/thumbnailStore';
+import { getClipSource, getMediaDuration, getClipSpeed, isClipReversed, timelineToHandleTime } from '../../utils/clipUtils';
+
+// Inner height of a timeline clip, inside its border, and the 16:9 frame that fits it
+const FRAME_HEIGHT = 36;
+const FRAME_WIDTH = 64;
+
+// Frames per canvas; tiles are drawn once, when first scrolled into view
+const FRAMES_PER_TILE = 8;
+const TILE_WIDTH = FRAME_WIDTH * FRAMES_PER_TILE;
+
+// One tile of a filmstrip, covering clip pixels [left, left + width)
+const FilmstripTile = ({ clip, left, width, pixelsPerSecond }) => {
+  const canvasRef = useRef(null);
+  const isVisible = useInView(canvasRef, TILE_WIDTH);
+  const mediaId = clip.mediaId;
+  const directSource = getClipSource(clip);
+  const mediaDuration = getMediaDuration(clip);
+  // Source time at the tile's left edge and source seconds per pixel, running backwards on a reversed clip
+  const sourceStart = timelineToHandleTime(clip, clip.start + left / pixelsPerSecond);
+  const secondsPerPixel = getClipSpeed(clip) / pixelsPerSecond * (isClipReversed(clip) ? -1 : 1);
+
+  useEffect(() => {
+    if (!isVisible) return;
+    let cancelled = false;
+    const ctx = canvasRef.current.getContext('2d');
+    ctx.clearRect(0, 0, width, FRAME_HEIGHT);
+
+    // Each frame shows the source time under its middle
+    for (let x = 0; x < width; x += FRAME_WIDTH) {
+      const time = Math.min(Math.max(sourceStart + (x + FRAME_WIDTH / 2) * secondsPerPixel, 0), mediaDuration);
+      const cached = getCachedThumbnail(mediaId, directSource, time);
+      if (cached) {
+        ctx.drawImage(cached, x, 0, FRAME_WIDTH, FRAME_HEIGHT);
+      } else {
+        getThumbnail(mediaId, directSource, time).then(frame => {
+          if (frame && !cancelled) ctx.drawImage(frame, x, 0, FRAME_WIDTH, FRAME_HEIGHT);
+        });
+      }
+    }
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isVisible, mediaId, directSource, sourceStart, secondsPerPixel, mediaDuration, width]);
+
+  return (
+    <canvas
+      ref={canvasRef}
+      className="clip-filmstrip-tile"
+      style={{ left: `${left}px` }}
+      width={width}
+      height={FRAME_HEIGHT}
+    />
+  );
+};
+
+// Frames from the part of the video a clip plays, spaced to suit the zoom
+const Filmstrip = ({ clip, pixelsPerSecond }) => {
+  const width = Math.ceil(clip.duration * pixelsPerSecond);
+  const tiles = [];
+  for (let left = 0; left < width; left += TILE_WIDTH) {
+    tiles.push(
+      <FilmstripTile
+        key={left}
+        clip={clip}
+        left={left}
+        width={Math.min(TILE_WIDTH, width - left)}
+        pixelsPerSecond={pixelsPerSecond}
+      />
+    );
+  }
+
+  return <div className="clip-filmstrip">{tiles}</div>;
+};
+
+// A still image repeated along its clip
+export const StillFilmstrip = ({ clip }) => {
+  const url = useMediaUrl(clip.mediaId, getClipSource(clip));
+  if (!url) return null;
+  return <div className="clip-filmstrip clip-filmstrip-still" style={{ backgroundImage: `url(${url})` }} />;
+};
+
+export default Filmstrip;
@@ -0,0 +1,126 @@
+import React from 'react';
+import { sourceToTimelineTime, timelineToHandleTime } from '../../utils/clipUtils';
+import { getClipAudio, MAX_GAIN } from '../../utils/audioUtils';
+
+// Inner height of a timeline clip, inside its border
+const ENVELOPE_HEIGHT = 36;
+
+// Gain envelope drawn over a selected clip with sound: the level line with its points, and the
+// fades shaded at either end. Click the line to add a point, drag a point to move it and
+// double-click one to remove it.
+const GainEnvelope = ({ clip, pixelsPerSecond, isLocked, onChange, onChangeEnd }) => {
+  const audio = getClipAudio(clip);
+  const width = clip.duration * pixelsPerSecond;
+  const envelope = [...audio.envelope].sort((a, b) => a.time - b.time);
+
+  const toX = (time) => (sourceToTimelineTime(clip, time) - clip.start) * pixelsPerSecond;
+  const toTime = (x) => timelineToHandleTime(clip, clip.start + x / pixelsPerSecond);
+  const toY = (gain) => (1 - gain / MAX_GAIN) * ENVELOPE_HEIGHT;
+  const clampGain = (gain) => Math.min(Math.max(gain, 0), MAX_GAIN);
+
+  // The line runs flat from the leftmost point back to the clip's start and from the rightmost on to
+  // its end. A reversed clip draws its points right to left.
+  const drawnPoints = envelope.map(point => [toX(point.time), toY(point.gain)]).sort((a, b) => a[0] - b[0]);
+  const linePoints = drawnPoints.length === 0
+    ? [[0, toY(1)], [width, toY(1)]]
+    : [
+      [Math.min(0, drawnPoints[0][0]), drawnPoints[0][1]],
+      ...drawnPoints,
+      [Math.max(width, drawnPoints[drawnPoints.length - 1][0]), drawnPoints[drawnPoints.length - 1][1]]
+    ];
+
+  // Drag point `index` of `points`, keeping it between its neighbours
+  const startPointDrag = (e, points, index) => {
+    const startX = e.clientX;
+    const startY = e.clientY;
+    const point = points[index];
+    const minTime = index > 0 ? points[index - 1].time : -Infinity;
+    const maxTime = index < points.length - 1 ? points[index + 1].time : Infinity;
+
+    const handleMouseMove = (moveEvent) => {
+      const time = toTime(toX(point.time) + moveEvent.clientX - startX);
+      const gain = point.gain - (moveEvent.clientY - startY) / ENVELOPE_HEIGHT * MAX_GAIN;
+      const moved = { time: Math.min(Math.max(time, minTime), maxTime), gain: clampGain(gain) };
+      onChange(
+        { ...audio, envelope: points.map((p, i) => (i === index ? moved : p)) },
+        "Move envelope point"
+      );
+    };
+
+    const handleMouseUp = () => {
+      onChangeEnd();
+      document.removeEventListener('mousemove', handleMouseMove);
+      document.removeEventListener('mouseup', handleMouseUp);
+    };
+
+    document.addEventListener('mousemove', handleMouseMove);
+    document.addEventListener('mouseup', handleMouseUp);
+  };
+
+  // Add a point where the line was pressed and carry on dragging it
+  const handleLineMouseDown = (e) => {
+    e.stopPropagation();
+    if (isLocked) return;
+
+    const bounds = e.currentTarget.ownerSVGElement.getBoundingClientRect();
+    const time = toTime(e.clientX - bounds.left);
+    const gain = clampGain((1 - (e.clientY - bounds.top) / ENVELOPE_HEIGHT) * MAX_GAIN);
+    const points = [...envelope, { time, gain }].sort((a, b) => a.time - b.time);
+    onChange({ ...audio, envelope: points }, "Add envelope point");
+    startPointDrag(e, points, points.findIndex(point => point.time === time));
+  };
+
+  const handlePointMouseDown = (e, index) => {
+    e.stopPropagation();
+    if (isLocked) return;
+    startPointDrag(e, envelope, index);
+  };
+
+  const handlePointDoubleClick = (e, index) => {
+    e.stopPropagation();
+    if (isLocked) return;
+    onChange({ ...audio, envelope: envelope.filter((_, i) => i !== index) }, "Remove envelope point");
+    onChangeEnd();
+  };
+
+  const fadeInX = Math.min(audio.fadeIn, clip.duration) * pixelsPerSecond;
+  const fadeOutX = width - Math.min(audio.fadeOut, clip.duration) * pixelsPerSecond;
+
+  return (
+    <svg
+      className="clip-envelope"
+      width={width}
+      height={ENVELOPE_HEIGHT}
+      onClick={(e) => e.stopPropagation()}
+    >
+      {fadeInX > 0 && (
+        <polygon className="clip-envelope-fade" points={`0,0 0,${ENVELOPE_HEIGHT} ${fadeInX},0`} />
+      )}
+      {fadeOutX < width && (
+        <polygon className="clip-envelope-fade" points={`${width},0 ${width},${ENVELOPE_HEIGHT} ${fadeOutX},0`} />
+      )}
+      <polyline className="clip-envelope-line" points={linePoints.join(' ')} />
+      {/* Wider invisible copy of the line that takes the clicks */}
+      <polyline
+        className="clip-envelope-hit"
+        points={linePoints.join(' ')}
+        onMouseDown={handleLineMouseDown}
+      />
+      {envelope.map((point, index) => (
+        <circle
+          key={index}
+          className="clip-envelope-point"
+          cx={toX(point.time)}
+          cy={toY(point.gain)}
+          r={3.5}
+          onMouseDown={(e) => handlePointMouseDown(e, index)}
+          onDoubleClick={(e) => handlePointDoubleClick(e, index)}
+        >
+          <title>{`${Math.round(point.gain * 100)}%`}</title>
+        </circle>
+      ))}
+    </svg>
+  );
+};
+
+export default GainEnvelope;
@@ -0,0 +1,84 @@
+import React from 'react';
+import { getSourceIn, getSourceOut, sourceToTimelineTime, timelineToHandleTime } from '../../utils/clipUtils';
+import { getKeyframeTimes, moveKeyframes, removeKeyframesAt } from '../../utils/keyframeUtils';
+
+// Height of the strip the keyframes sit on, along the bottom of the clip
+const MARKER_HEIGHT = 12;
+
+// Keyframes drawn along the bottom of a selected clip, one diamond for each time that has a keyframe
+// on any property. Click a diamond to move the playhead to it, drag it to move the keyframes there
+// and double-click it to remove them.
+const KeyframeMarkers = ({ clip, pixelsPerSecond, isLocked, onChange, onChangeEnd, onSeek }) => {
+  const sourceIn = getSourceIn(clip);
+  const sourceOut = getSourceOut(clip);
+  const width = clip.duration * pixelsPerSecond;
+  const times = getKeyframeTimes(clip).filter(time => time >= sourceIn && time <= sourceOut);
+
+  const toX = (time) => (sourceToTimelineTime(clip, time) - clip.start) * pixelsPerSecond;
+
+  // Drag the keyframes at `time` along the clip; a press that doesn't move seeks to them instead
+  const handleMouseDown = (e, time) => {
+    e.stopPropagation();
+    const startX = e.clientX;
+    let hasMoved = false;
+
+    const handleMouseMove = (moveEvent) => {
+      if (isLocked) return;
+      hasMoved = true;
+      const moved = timelineToHandleTime(clip, sourceToTimelineTime(clip, time) + (moveEvent.clientX - startX) / pixelsPerSecond);
+      const to = Math.min(Math.max(moved, sourceIn), sourceOut);
+      onChange(moveKeyframes(clip, time, to), "Move keyframes");
+    };
+
+    const handleMouseUp = () => {
+      if (hasMoved) {
+        onChangeEnd();
+      } else {
+        onSeek(sourceToTimelineTime(clip, time));
+      }
+      document.removeEventListener('mousemove', handleMouseMove);
+      document.removeEventListener('mouseup', handleMouseUp);
+    };
+
+    document.addEventListener('mousemove', handleMouseMove);
+    document.addEventListener('mouseup', handleMouseUp);
+  };
+
+  const handleDoubleClick = (e, time) => {
+    e.stopPropagation();
+    if (isLocked) return;
+    onChange(removeKeyframesAt(clip, time), "Remove keyframes");
+    onChangeEnd();
+  };
+
+  if (times.length === 0) return null;
+
+  const y = MARKER_HEIGHT / 2;
+  const size = 4;
+
+  return (
+    <svg
+      className="clip-keyframes"
+      width={width}
+      height={MARKER_HEIGHT}
+      onClick={(e) => e.stopPropagation()}
+    >
+      {times.map(time => {
+        const x = toX(time);
+        return (
+          <polygon
+            key={time}
+            className="clip-keyframe"
+            points={`${x},${y - size} ${x + size},${y} ${x},${y + size} ${x - size},${y}`}
+            onMouseDown={(e) => handleMouseDown(e, time)}
+            onDoubleClick={(e) => handleDoubleClick(e, time)}
+          >
+            <title>{`Keyframe at ${(sourceToTimelineTime(clip, time) - clip.start).toFixed(2)}s`}</title>
+          </polygon>
+        );
+      })}
+    </svg>
+  );
+};
+
+export default KeyframeMarkers;
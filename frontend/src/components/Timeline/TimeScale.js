@@ -1,46 +1,115 @@
-import React from 'react';
-
-const TimeScale = ({ duration, pixelsPerSecond, containerWidth }) => {
-  // Generate time markers based on zoom level
-  const getTimeMarkers = () => {
-    const markers = [];
-    
-    // Determine marker interval based on zoom level
-    let interval = 1; // default: 1 second
-    
-    if (pixelsPerSecond < 50) interval = 10;
-    else if (pixelsPerSecond < 100) interval = 5;
-    else if (pixelsPerSecond < 200) interval = 2;
-    
-    // Generate markers at regular intervals
-    for (let i = 0; i <= Math.ceil(duration); i += interval) {
-      const position = i * pixelsPerSecond;
-      
-      // Format time as MM:SS
-      const minutes = Math.floor(i / 60);
-      const seconds = Math.floor(i % 60);
-      const formattedTime = `${minutes}:${seconds.toString().padStart(2, '0')}`;
-      
-      markers.push(
-        <div 
-          key={i} 
-          className="time-marker" 
-          style={{ left: `${position}px` }}
-        >
-          <div className="h-3 w-px bg-editor-border"></div>
-          <div className="text-xs text-editor-text-muted mt-1">{formattedTime}</div>
-        </div>
-      );
-    }
-    
-    return markers;
-  };
-  
+import React, { useState, useEffect, useRef } from 'react';
+import { FRAME_RATE } from '../../utils/clipUtils';
+import { getMarkerColor, isRegion } from '../../utils/markerUtils';
+
+// Candidate tick spacings in frames, from single frames up to an hour
+const TICK_STEPS = [1, 2, 5, 10, 15, 30, 60, 150, 300, 450, 900, 1800, 3600, 9000, 18000, 54000, 108000];
+
+// Closest labelled ticks and unlabelled ticks may get, in pixels
+const MIN_LABEL_SPACING = 80;
+const MIN_TICK_SPACING = 8;
+
+// Choose labelled (major) and unlabelled (minor) tick spacings, in frames, for a zoom level.
+// Minor ticks divide the major spacing evenly, down to single frames at the closest zoom.
+const getTickSteps = (pixelsPerSecond) => {
+  const pixelsPerFrame = pixelsPerSecond / FRAME_RATE;
+  const major = TICK_STEPS.find(step => step * pixelsPerFrame >= MIN_LABEL_SPACING) || TICK_STEPS[TICK_STEPS.length - 1];
+  const minor = TICK_STEPS.find(step => major % step === 0 && step * pixelsPerFrame >= MIN_TICK_SPACING) || major;
+  return { major, minor };
+};
+
+// Format a frame number as M:SS, or M:SS:FF when labels fall between whole seconds
+const formatTick = (frame, showFrames) => {
+  const totalSeconds = Math.floor(frame / FRAME_RATE);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  const label = `${minutes}:${seconds.toString().padStart(2, '0')}`;
+  return showFrames ? `${label}:${(frame % FRAME_RATE).toString().padStart(2, '0')}` : label;
+};
+
+// Ruler above the tracks. Scrolls with them and only draws the ticks in view, so it stays cheap at
+// frame-level zoom on long projects. Markers and regions sit on the ruler; clicking one seeks to it.
+const TimeScale = ({ pixelsPerSecond, width, scrollRef, markIn = null, markOut = null, markers = [], onSeek }) => {
+  const rulerRef = useRef(null);
+  const [visibleRange, setVisibleRange] = useState({ left: 0, right: 0 });
+
+  // Follow the part of the ruler the scroll container shows; the ruler starts after the track labels
+  useEffect(() => {
+    const container = scrollRef.current;
+    if (!container) return;
+
+    const update = () => {
+      const left = container.scrollLeft - rulerRef.current.offsetLeft;
+      setVisibleRange({ left, right: left + container.clientWidth });
+    };
+    update();
+
+    const resizeObserver = new ResizeObserver(update);
+    resizeObserver.observe(container);
+    container.addEventListener('scroll', update, { passive: true });
+    return () => {
+      resizeObserver.disconnect();
+      container.removeEventListener('scroll', update);
+    };
+  }, [scrollRef]);
+
+  const { major, minor } = getTickSteps(pixelsPerSecond);
+  const pixelsPerFrame = pixelsPerSecond / FRAME_RATE;
+  const showFrames = major < FRAME_RATE;
+
+  const firstFrame = Math.max(0, Math.floor(visibleRange.left / pixelsPerFrame / minor) * minor);
+  const lastFrame = Math.min(visibleRange.right, width) / pixelsPerFrame;
+
+  const ticks = [];
+  for (let frame = firstFrame; frame <= lastFrame; frame += minor) {
+    const isMajor = frame % major === 0;
+    ticks.push(
+      <div
+        key={frame}
+        className="time-marker"
+        style={{ left: `${frame * pixelsPerFrame}px` }}
+      >
+        <div className={`${isMajor ? 'h-3' : 'h-1.5'} w-px bg-editor-border`}></div>
+        {isMajor && <div className="text-[10px] leading-none text-editor-text-muted mt-0.5">{formatTick(frame, showFrames)}</div>}
+      </div>
+    );
+  }
+
+  // Shade the marked range; a lone mark shades up to the end or from the start
+  const hasMarks = markIn !== null || markOut !== null;
+  const rangeLeft = (markIn ?? 0) * pixelsPerSecond;
+  const rangeRight = markOut !== null ? markOut * pixelsPerSecond : width;
+
   return (
-    <div className="time-scale">
-      {getTimeMarkers()}
+    <div ref={rulerRef} className="time-scale ml-24" style={{ width: `${width}px` }}>
+      {hasMarks && (
+        <div className="time-scale-range" style={{ left: `${rangeLeft}px`, width: `${Math.max(0, rangeRight - rangeLeft)}px` }} />
+      )}
+      {markIn !== null && <div className="time-scale-mark time-scale-mark-in" style={{ left: `${rangeLeft}px` }} title="In" />}
+      {markOut !== null && <div className="time-scale-mark time-scale-mark-out" style={{ left: `${rangeRight}px` }} title="Out" />}
+      {ticks}
+      {markers.map(marker => {
+        const title = marker.notes ? `${marker.name}\n${marker.notes}` : marker.name;
+        const style = {
+          left: `${marker.time * pixelsPerSecond}px`,
+          width: isRegion(marker) ? `${marker.duration * pixelsPerSecond}px` : undefined,
+          '--marker-color': getMarkerColor(marker)
+        };
+        return (
+          <div
+            key={marker.id}
+            className={isRegion(marker) ? 'time-scale-region' : 'time-scale-marker'}
+            style={style}
+            title={title}
+            onClick={(e) => {
+              e.stopPropagation();
+              onSeek(marker.time);
+            }}
+          />
+        );
+      })}
     </div>
   );
 };
 
-export default TimeScale;
\ No newline at end of file
+export default TimeScale;
@@ -1,33 +1,180 @@
-import React, { forwardRef, useRef, useEffect, useState } from 'react';
+import React, { forwardRef, useRef, useEffect, useLayoutEffect, useImperativeHandle, useState } from 'react';
 import { motion } from 'framer-motion';
 import TimeScale from './TimeScale';
 import Track from './Track';
+import { TRACK_TYPES, canDropOnTrack, findClipTrack } from '../../utils/trackUtils';
+import { getSnapPoints, findSnap, SNAP_DISTANCE_PX } from '../../utils/snapUtils';
+import { getClipEnd } from '../../utils/clipUtils';
+import { clampZoom, getPixelsPerSecond, getZoomForRange } from '../../utils/zoomUtils';
+
+// Width of the label column beside each track (w-24); clips, the ruler and the playhead start after it
+const TRACK_LABEL_WIDTH = 96;
+
+// Space kept around the project or selection when zooming to fit it
+const FIT_MARGIN = 40;
 
 const Timeline = forwardRef(({
   tracks,
   currentTime,
   duration,
   zoom,
+  markIn = null,
+  markOut = null,
+  markers = [],
+  snapping,
   selectedClipId,
   onSelectClip,
   onUpdateClip,
-  onTimeUpdate
+  onUpdateClipEnd,
+  onMoveClipToTrack,
+  onDropMedia,
+  onTrimStart,
+  onTrimUpdate,
+  onTrimEnd,
+  onUpdateClipAudio,
+  onUpdateClipAudioEnd,
+  onUpdateClipKeyframes,
+  onUpdateClipKeyframesEnd,
+  onUpdateClipText,
+  onAddTrack,
+  onRemoveTrack,
+  onReorderTrack,
+  onToggleTrackSetting,
+  onSetTrackOverlapMode,
+  onTimeUpdate,
+  onZoomChange
 }, ref) => {
   const timelineRef = useRef(null);
   const containerRef = useRef(null);
   const isDraggingRef = useRef(false);
   const playheadRef = useRef(null); // Add a reference for the playhead
   const [containerWidth, setContainerWidth] = useState(0);
-  const [timelineWidth, setTimelineWidth] = useState(0);
+  // Zoom most recently asked for, ahead of the render that applies it
+  const zoomRef = useRef(zoom);
+  // Timeline time to keep under a point of the view while a zoom change renders: { time, offsetX }
+  const zoomAnchorRef = useRef(null);
+  // Ghost clip shown on the track a clip or media item would be dropped on
+  const [dropPreview, setDropPreview] = useState(null);
+  const dropPreviewRef = useRef(null);
+  // Snap point an edge is currently held at, drawn as the snap indicator
+  const [snapLine, setSnapLine] = useState(null);
+  const trimSnapRef = useRef(null);
   
   // Calculate pixel per second based on zoom factor
-  const pixelsPerSecond = 100 * zoom;
+  const pixelsPerSecond = getPixelsPerSecond(zoom);
+  
+  // Room for the whole project, plus half a view to zoom and scroll past its end
+  const timelineWidth = Math.max(
+    TRACK_LABEL_WIDTH + duration * pixelsPerSecond + containerWidth / 2,
+    containerWidth,
+    1000
+  );
   
-  // Calculate timeline content width
   useEffect(() => {
-    const width = Math.max(duration * pixelsPerSecond, 1000);
-    setTimelineWidth(width);
-  }, [duration, pixelsPerSecond]);
+    zoomRef.current = zoom;
+  }, [zoom]);
+  
+  // Change the zoom, keeping the time `offsetX` pixels into the view where it is
+  const zoomAround = (newZoom, offsetX) => {
+    const clamped = clampZoom(newZoom);
+    if (clamped === zoomRef.current) return;
+    
+    // While an earlier change is still rendering, work from where it will leave the view
+    const anchor = zoomAnchorRef.current;
+    const currentPixelsPerSecond = getPixelsPerSecond(zoomRef.current);
+    const time = anchor
+      ? anchor.time + (offsetX - anchor.offsetX) / currentPixelsPerSecond
+      : (containerRef.current.scrollLeft + offsetX - TRACK_LABEL_WIDTH) / currentPixelsPerSecond;
+    
+    zoomAnchorRef.current = { time, offsetX };
+    zoomRef.current = clamped;
+    onZoomChange(clamped);
+  };
+  
+  // Scroll so the anchored time stays put once the new zoom has laid out
+  useLayoutEffect(() => {
+    const anchor = zoomAnchorRef.current;
+    if (!anchor || !containerRef.current) return;
+    zoomAnchorRef.current = null;
+    containerRef.current.scrollLeft = TRACK_LABEL_WIDTH + anchor.time * pixelsPerSecond - anchor.offsetX;
+  }, [pixelsPerSecond]);
+  
+  // Zoom so `start` to `end` fills the view, starting at its left edge
+  const zoomToRange = (start, end) => {
+    const viewWidth = containerRef.current.clientWidth - TRACK_LABEL_WIDTH - FIT_MARGIN * 2;
+    const newZoom = getZoomForRange(end - start, viewWidth);
+    zoomAnchorRef.current = { time: start, offsetX: TRACK_LABEL_WIDTH + FIT_MARGIN };
+    if (newZoom === zoomRef.current) {
+      // No re-render to wait for
+      containerRef.current.scrollLeft = start * pixelsPerSecond - FIT_MARGIN;
+      zoomAnchorRef.current = null;
+      return;
+    }
+    zoomRef.current = newZoom;
+    onZoomChange(newZoom);
+  };
+  
+  // Commands for the zoom controls outside the timeline
+  useImperativeHandle(ref, () => ({
+    // Set the zoom, keeping the playhead in place if it is in view, or the middle of the view otherwise
+    setZoom: (newZoom) => {
+      const container = containerRef.current;
+      const playheadX = TRACK_LABEL_WIDTH + currentTime * pixelsPerSecond - container.scrollLeft;
+      const isPlayheadVisible = playheadX >= TRACK_LABEL_WIDTH && playheadX <= container.clientWidth;
+      zoomAround(newZoom, isPlayheadVisible ? playheadX : (TRACK_LABEL_WIDTH + container.clientWidth) / 2);
+    },
+    
+    zoomToFit: () => {
+      if (duration > 0) zoomToRange(0, duration);
+    },
+    
+    zoomToSelection: () => {
+      const clip = findClipTrack(tracks, selectedClipId)?.clips.find(c => c.id === selectedClipId);
+      if (clip) zoomToRange(clip.start, getClipEnd(clip));
+    }
+  }));
+  
+  // Ctrl+wheel and trackpad pinches (sent as Ctrl+wheel) zoom around the cursor. Safari reports
+  // pinches as gesture events instead. Listeners are added by hand so they can prevent page zoom.
+  useEffect(() => {
+    const container = containerRef.current;
+    let gestureStartZoom = null;
+    
+    const getOffsetX = (e) => e.clientX - container.getBoundingClientRect().left;
+    
+    const handleWheel = (e) => {
+      if (!e.ctrlKey && !e.metaKey) return;
+      e.preventDefault();
+      // Line-based deltas (Firefox) are roughly 16px per line
+      const delta = e.deltaMode === 1 ? e.deltaY * 16 : e.deltaY;
+      zoomAround(zoomRef.current * Math.exp(-delta * 0.002), getOffsetX(e));
+    };
+    
+    const handleGestureStart = (e) => {
+      e.preventDefault();
+      gestureStartZoom = zoomRef.current;
+    };
+    
+    const handleGestureChange = (e) => {
+      e.preventDefault();
+      if (gestureStartZoom !== null) zoomAround(gestureStartZoom * e.scale, getOffsetX(e));
+    };
+    
+    const handleGestureEnd = () => {
+      gestureStartZoom = null;
+    };
+    
+    container.addEventListener('wheel', handleWheel, { passive: false });
+    container.addEventListener('gesturestart', handleGestureStart);
+    container.addEventListener('gesturechange', handleGestureChange);
+    container.addEventListener('gestureend', handleGestureEnd);
+    return () => {
+      container.removeEventListener('wheel', handleWheel);
+      container.removeEventListener('gesturestart', handleGestureStart);
+      container.removeEventListener('gesturechange', handleGestureChange);
+      container.removeEventListener('gestureend', handleGestureEnd);
+    };
+  });
   
   // Measure container width for time scale
   useEffect(() => {
@@ -45,14 +192,106 @@ const Timeline = forwardRef(({
     }
   }, []);
   
+  // Update the ghost clip; the ref lets a drag that started earlier read the latest preview
+  const updateDropPreview = (preview) => {
+    dropPreviewRef.current = preview;
+    setDropPreview(preview);
+  };
+  
+  // Snap an edge time to the nearest snap point within reach, or leave it if there is none
+  const snapEdges = (edges, excludeClipId) => {
+    if (!snapping) return null;
+    const points = getSnapPoints(tracks, { currentTime, markers, excludeClipId });
+    const snap = findSnap(edges, points, SNAP_DISTANCE_PX / pixelsPerSecond);
+    setSnapLine(snap);
+    return snap;
+  };
+  
+  // Snap a clip start so that either of the clip's edges lands on a snap point
+  const snapClipStart = (start, duration, excludeClipId = null) => {
+    const snap = snapEdges([start, start + duration], excludeClipId);
+    return snap ? Math.max(0, start + snap.offset) : start;
+  };
+  
+  // Move a dragged clip, snapping its edges
+  const handleClipUpdate = (clipId, newStart) => {
+    const clip = findClipTrack(tracks, clipId)?.clips.find(c => c.id === clipId);
+    if (!clip) return;
+    onUpdateClip(clipId, snapClipStart(Math.max(0, newStart), clip.duration, clipId));
+  };
+  
+  // Remember which edge is trimmed so its position can be snapped as it moves
+  const handleTrimStart = (clipId, edge, mode) => {
+    const clip = findClipTrack(tracks, clipId)?.clips.find(c => c.id === clipId);
+    if (clip) {
+      trimSnapRef.current = { clipId, edgeTime: edge === 'left' ? clip.start : getClipEnd(clip) };
+    }
+    onTrimStart(clipId, edge, mode);
+  };
+  
+  // Trim by the dragged distance, adjusted so the edge lands on a snap point
+  const handleTrimUpdate = (delta) => {
+    const session = trimSnapRef.current;
+    const snap = session ? snapEdges([session.edgeTime + delta], session.clipId) : null;
+    onTrimUpdate(snap ? delta + snap.offset : delta);
+  };
+  
+  const handleTrimEnd = () => {
+    trimSnapRef.current = null;
+    setSnapLine(null);
+    onTrimEnd();
+  };
+  
+  // Clear the ghost when a media drag ends anywhere, including outside the timeline
+  useEffect(() => {
+    const clearPreview = () => {
+      updateDropPreview(null);
+      setSnapLine(null);
+    };
+    document.addEventListener('dragend', clearPreview);
+    document.addEventListener('drop', clearPreview);
+    return () => {
+      document.removeEventListener('dragend', clearPreview);
+      document.removeEventListener('drop', clearPreview);
+    };
+  }, []);
+  
+  // Show where a clip dragged over another track would land
+  const handleClipDragOverTrack = (clip, trackId, start) => {
+    const sourceTrack = findClipTrack(tracks, clip.id);
+    const targetTrack = tracks.find(track => track.id === trackId);
+    if (!targetTrack || targetTrack === sourceTrack) {
+      if (dropPreviewRef.current) updateDropPreview(null);
+      return;
+    }
+    
+    updateDropPreview({
+      trackId,
+      start: snapClipStart(start, clip.duration, clip.id),
+      duration: clip.duration,
+      name: clip.name,
+      isValid: canDropOnTrack(targetTrack, clip.type)
+    });
+  };
+  
+  // Finish a clip drag, moving the clip to the previewed track if it accepts it
+  const handleClipDragEnd = (clip) => {
+    const preview = dropPreviewRef.current;
+    updateDropPreview(null);
+    setSnapLine(null);
+    if (preview && preview.isValid) {
+      onMoveClipToTrack(clip.id, preview.trackId);
+    }
+    onUpdateClipEnd(clip.id);
+  };
+  
   // Handle timeline click to update current time
   const handleTimelineClick = (e) => {
     if (isDraggingRef.current) return;
     
+    // The content's box moves as it scrolls, so its left edge already accounts for the scroll
     const rect = timelineRef.current.getBoundingClientRect();
-    const offsetX = e.clientX - rect.left;
-    const scrollLeft = containerRef.current.scrollLeft;
-    const newTime = (offsetX + scrollLeft) / pixelsPerSecond;
+    const newTime = (e.clientX - rect.left - TRACK_LABEL_WIDTH) / pixelsPerSecond;
     
     onTimeUpdate(Math.max(0, Math.min(newTime, duration)));
   };
@@ -65,7 +304,7 @@ const Timeline = forwardRef(({
     // This makes the playhead move more responsively
     const updatePlayhead = () => {
       if (playheadRef.current) {
-        const playheadPosition = currentTime * pixelsPerSecond;
+        const playheadPosition = TRACK_LABEL_WIDTH + currentTime * pixelsPerSecond;
         playheadRef.current.style.left = `${playheadPosition}px`;
       }
     };
@@ -84,11 +323,14 @@ const Timeline = forwardRef(({
     };
   }, [currentTime, pixelsPerSecond]);
   
-  // Auto-scroll to keep the playhead visible during playback with improved performance
+  // Auto-scroll to keep the playhead visible during playback with improved performance.
+  // Only a moving playhead scrolls; zooming leaves the view where the zoom put it.
+  const autoScrollTimeRef = useRef(currentTime);
   useEffect(() => {
-    if (!containerRef.current) return;
+    if (!containerRef.current || autoScrollTimeRef.current === currentTime) return;
+    autoScrollTimeRef.current = currentTime;
     
-    const playheadPosition = currentTime * pixelsPerSecond;
+    const playheadPosition = TRACK_LABEL_WIDTH + currentTime * pixelsPerSecond;
     const container = containerRef.current;
     const containerRect = container.getBoundingClientRect();
     
@@ -127,7 +369,7 @@ const Timeline = forwardRef(({
   // Render playhead at current time position
   const renderPlayhead = () => {
     // Initial position only - actual updates happen in the effect above
-    const playheadPosition = currentTime * pixelsPerSecond;
+    const playheadPosition = TRACK_LABEL_WIDTH + currentTime * pixelsPerSecond;
     
     return (
       <div 
@@ -144,12 +386,6 @@ const Timeline = forwardRef(({
   
   return (
     <div className="timeline-component flex flex-col h-full bg-editor-timeline">
-      <TimeScale 
-        duration={duration} 
-        pixelsPerSecond={pixelsPerSecond}
-        containerWidth={containerWidth}
-      />
-      
       <div 
         ref={containerRef}
         className="timeline-scroll editor-scrollbar"
@@ -160,18 +396,70 @@ const Timeline = forwardRef(({
           style={{ width: `${timelineWidth}px` }}
           onClick={handleTimelineClick}
         >
+          <TimeScale
+            pixelsPerSecond={pixelsPerSecond}
+            width={timelineWidth - TRACK_LABEL_WIDTH}
+            scrollRef={containerRef}
+            markIn={markIn}
+            markOut={markOut}
+            markers={markers}
+            onSeek={onTimeUpdate}
+          />
+          
           {tracks.map((track) => (
             <Track
               key={track.id}
               track={track}
+              tracks={tracks}
               pixelsPerSecond={pixelsPerSecond}
               selectedClipId={selectedClipId}
+              dropPreview={dropPreview}
               onSelectClip={onSelectClip}
-              onUpdateClip={onUpdateClip}
+              onUpdateClip={handleClipUpdate}
+              onUpdateClipEnd={handleClipDragEnd}
+              onClipDragOverTrack={handleClipDragOverTrack}
+              onDropPreviewChange={updateDropPreview}
+              onDropMedia={onDropMedia}
+              onSnapStart={snapClipStart}
+              onTrimStart={handleTrimStart}
+              onTrimUpdate={handleTrimUpdate}
+              onTrimEnd={handleTrimEnd}
+              onUpdateClipAudio={onUpdateClipAudio}
+              onUpdateClipAudioEnd={onUpdateClipAudioEnd}
+              onUpdateClipKeyframes={onUpdateClipKeyframes}
+              onUpdateClipKeyframesEnd={onUpdateClipKeyframesEnd}
+              onUpdateClipText={onUpdateClipText}
+              onSeek={onTimeUpdate}
+              onRemoveTrack={onRemoveTrack}
+              onReorderTrack={onReorderTrack}
+              onToggleTrackSetting={onToggleTrackSetting}
+              onSetTrackOverlapMode={onSetTrackOverlapMode}
               isDraggingRef={isDraggingRef}
             />
           ))}
           
+          {/* Add track buttons under the last track */}
+          <div className="sticky left-0 w-24 flex flex-col py-1 px-2 space-y-1" onClick={(e) => e.stopPropagation()}>
+            {TRACK_TYPES.map(type => (
+              <button
+                key={type}
+                className="text-left text-xs text-editor-text-muted hover:text-editor-text"
+                onClick={() => onAddTrack(type)}
+              >
+                + <span className="capitalize">{type}</span> track
+              </button>
+            ))}
+          </div>
+          
+          {/* Snap indicator, in the same coordinates as the clips beside the track labels */}
+          {snapLine && (
+            <div className="absolute top-0 bottom-0 left-24 right-0 pointer-events-none z-20">
+              <div className="snap-indicator" style={{ left: `${snapLine.time * pixelsPerSecond}px` }}>
+                <span className="snap-indicator-label">{snapLine.kind}</span>
+              </div>
+            </div>
+          )}
+          
           {renderPlayhead()}
         </div>
       </div>
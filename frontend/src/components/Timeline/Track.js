@@ -1,15 +1,46 @@
-import React from 'react';
+import React, { useState, useRef } from 'react';
 import { motion } from 'framer-motion';
 import Clip from './Clip';
+import { getTrackName, hasTrackAudio, hasTrackPicture, canDropOnTrack } from '../../utils/trackUtils';
+import { getDraggedMedia } from '../../utils/mediaDrag';
+import { snapToFrame } from '../../utils/clipUtils';
+import { getOverlapMode, getNextOverlapMode } from '../../utils/overlapUtils';
+import { getTrackTransitions, getTransitionType } from '../../utils/transitionUtils';
+
+// Drag data type used when reordering tracks by their label
+const TRACK_DRAG_TYPE = 'application/x-editor-track';
 
 const Track = ({ 
   track, 
+  tracks,
   pixelsPerSecond, 
   selectedClipId, 
+  dropPreview,
   onSelectClip,
   onUpdateClip,
+  onUpdateClipEnd,
+  onClipDragOverTrack,
+  onDropPreviewChange,
+  onDropMedia,
+  onSnapStart,
+  onTrimStart,
+  onTrimUpdate,
+  onTrimEnd,
+  onUpdateClipAudio,
+  onUpdateClipAudioEnd,
+  onUpdateClipKeyframes,
+  onUpdateClipKeyframesEnd,
+  onUpdateClipText,
+  onSeek,
+  onRemoveTrack,
+  onReorderTrack,
+  onToggleTrackSetting,
+  onSetTrackOverlapMode,
   isDraggingRef
 }) => {
+  const [isDropTarget, setIsDropTarget] = useState(false);
+  const contentRef = useRef(null);
+
   const trackTypeIcons = {
     video: (
       <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor" className="w-4 h-4 mr-2">
@@ -25,32 +56,191 @@ const Track = ({
       <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor" className="w-4 h-4 mr-2">
         <path fillRule="evenodd" d="M4.5 2A1.5 1.5 0 0 0 3 3.5v13A1.5 1.5 0 0 0 4.5 18h11a1.5 1.5 0 0 0 1.5-1.5V7.621a1.5 1.5 0 0 0-.44-1.06l-4.12-4.122A1.5 1.5 0 0 0 11.378 2H4.5Zm2.25 8.5a.75.75 0 0 0 0 1.5h6.5a.75.75 0 0 0 0-1.5h-6.5Zm0 3a.75.75 0 0 0 0 1.5h6.5a.75.75 0 0 0 0-1.5h-6.5Z" clipRule="evenodd" />
       </svg>
+    ),
+    caption: (
+      <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor" className="w-4 h-4 mr-2">
+        <path fillRule="evenodd" d="M10 2c-2.236 0-4.43.18-6.57.524C1.993 2.755 1 4.014 1 5.426v5.148c0 1.413.993 2.67 2.43 2.902 1.168.188 2.352.327 3.55.414.28.02.521.18.642.413l1.713 3.293a.75.75 0 0 0 1.33 0l1.713-3.293a.783.783 0 0 1 .642-.413 41.102 41.102 0 0 0 3.55-.414c1.437-.231 2.43-1.49 2.43-2.902V5.426c0-1.413-.993-2.67-2.43-2.902A41.289 41.289 0 0 0 10 2ZM6.75 6a.75.75 0 0 0 0 1.5h6.5a.75.75 0 0 0 0-1.5h-6.5Zm0 2.5a.75.75 0 0 0 0 1.5h3.5a.75.75 0 0 0 0-1.5h-3.5Z" clipRule="evenodd" />
+      </svg>
     )
   };
 
+  // Toggles shown under the track name; mute and solo only apply to tracks with sound
+  const toggles = [
+    hasTrackAudio(track) && { setting: 'muted', label: 'M', title: 'Mute', activeClass: 'bg-editor-error text-white' },
+    hasTrackAudio(track) && { setting: 'solo', label: 'S', title: 'Solo', activeClass: 'bg-yellow-500 text-black' },
+    hasTrackPicture(track) && { setting: 'hidden', label: 'H', title: 'Hide', activeClass: 'bg-editor-text-muted text-black' },
+    { setting: 'locked', label: 'L', title: 'Lock', activeClass: 'bg-editor-primary text-white' }
+  ].filter(Boolean);
+  
+  // Start reordering by dragging the label
+  const handleLabelDragStart = (e) => {
+    e.dataTransfer.setData(TRACK_DRAG_TYPE, track.id);
+    e.dataTransfer.effectAllowed = 'move';
+  };
+  
+  // Get the timeline time under the cursor, on a frame boundary
+  const getDropTime = (e) => {
+    const rect = contentRef.current.getBoundingClientRect();
+    return Math.max(0, snapToFrame((e.clientX - rect.left) / pixelsPerSecond));
+  };
+  
+  // Accept tracks being reordered, and media of this track's type
+  const handleDragOver = (e) => {
+    if (e.dataTransfer.types.includes(TRACK_DRAG_TYPE)) {
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+      setIsDropTarget(true);
+      return;
+    }
+    
+    const media = getDraggedMedia(e);
+    if (!media) return;
+    
+    const isValid = canDropOnTrack(track, media.type);
+    onDropPreviewChange({
+      trackId: track.id,
+      start: onSnapStart(getDropTime(e), media.duration),
+      duration: media.duration,
+      name: media.name,
+      isValid
+    });
+    
+    // Leaving the default in place rejects the drop
+    if (isValid) {
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'copy';
+    }
+  };
+  
+  const handleDrop = (e) => {
+    setIsDropTarget(false);
+    
+    const draggedTrackId = e.dataTransfer.getData(TRACK_DRAG_TYPE);
+    if (draggedTrackId) {
+      e.preventDefault();
+      onReorderTrack(draggedTrackId, track.id);
+      return;
+    }
+    
+    const media = getDraggedMedia(e);
+    onDropPreviewChange(null);
+    if (media && canDropOnTrack(track, media.type)) {
+      e.preventDefault();
+      onDropMedia(media, track.id, onSnapStart(getDropTime(e), media.duration));
+    }
+  };
+
   return (
-    <div className="timeline-track group relative">
-      {/* Track label */}
-      <div className="absolute top-0 left-0 bottom-0 w-24 bg-editor-surface-light border-r border-editor-border z-10 flex items-center px-2 text-xs font-medium">
-        <div className="flex items-center">
+    <div
+      data-track-id={track.id}
+      className={`timeline-track group relative ${isDropTarget ? 'timeline-track-drop-target' : ''}`}
+      onDragOver={handleDragOver}
+      onDragLeave={() => setIsDropTarget(false)}
+      onDrop={handleDrop}
+    >
+      {/* Track label; drag it to reorder tracks */}
+      <div
+        className="absolute top-0 left-0 bottom-0 w-24 bg-editor-surface-light border-r border-editor-border z-10 flex flex-col justify-center px-2 text-xs font-medium cursor-grab"
+        draggable
+        onDragStart={handleLabelDragStart}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center min-w-0">
           {trackTypeIcons[track.type]}
-          <span className="capitalize">{track.type}</span>
+          <span className="truncate flex-1">{getTrackName(track, tracks)}</span>
+          <button
+            className="ml-1 text-editor-text-muted hover:text-editor-error opacity-0 group-hover:opacity-100"
+            onClick={() => onRemoveTrack(track.id)}
+            title="Remove Track"
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor" className="w-3 h-3">
+              <path d="M6.28 5.22a.75.75 0 0 0-1.06 1.06L8.94 10l-3.72 3.72a.75.75 0 1 0 1.06 1.06L10 11.06l3.72 3.72a.75.75 0 1 0 1.06-1.06L11.06 10l3.72-3.72a.75.75 0 0 0-1.06-1.06L10 8.94 6.28 5.22Z" />
+            </svg>
+          </button>
+        </div>
+        <div className="flex items-center space-x-1 mt-1">
+          {toggles.map(({ setting, label, title, activeClass }) => (
+            <button
+              key={setting}
+              className={`track-toggle ${track[setting] ? activeClass : 'text-editor-text-muted hover:text-editor-text'}`}
+              onClick={() => onToggleTrackSetting(track.id, setting)}
+              title={track[setting] ? `Un${title.toLowerCase()}` : title}
+            >
+              {label}
+            </button>
+          ))}
+          <button
+            className="track-toggle track-toggle-overlap text-editor-text-muted hover:text-editor-text"
+            onClick={() => onSetTrackOverlapMode(track.id, getNextOverlapMode(track))}
+            title={`Overlapping clips: ${getOverlapMode(track)} (click to change)`}
+          >
+            {getOverlapMode(track).charAt(0).toUpperCase()}
+          </button>
         </div>
       </div>
       
       {/* Track content area */}
-      <div className="ml-24 h-full relative">
+      <div ref={contentRef} className={`ml-24 h-full relative ${track.hidden ? 'opacity-40' : ''}`}>
         {track.clips.map(clip => (
           <Clip
             key={clip.id}
             clip={clip}
             pixelsPerSecond={pixelsPerSecond}
             isSelected={selectedClipId === clip.id}
+            isLocked={!!track.locked}
             onSelect={onSelectClip}
             onUpdate={onUpdateClip}
+            onUpdateEnd={onUpdateClipEnd}
+            onDragOverTrack={onClipDragOverTrack}
+            onTrimStart={onTrimStart}
+            onTrimUpdate={onTrimUpdate}
+            onTrimEnd={onTrimEnd}
+            onUpdateAudio={onUpdateClipAudio}
+            onUpdateAudioEnd={onUpdateClipAudioEnd}
+            onUpdateKeyframes={onUpdateClipKeyframes}
+            onUpdateKeyframesEnd={onUpdateClipKeyframesEnd}
+            onUpdateText={onUpdateClipText}
+            onSeek={onSeek}
             isDraggingRef={isDraggingRef}
           />
         ))}
+        
+        {/* Transitions, spanning the blend across each cut; click one to select the clip it leaves */}
+        {getTrackTransitions(track).map(transition => (
+          <div
+            key={transition.id}
+            className={`timeline-transition ${selectedClipId === transition.from.id ? 'timeline-transition-selected' : ''}`}
+            style={{
+              left: `${transition.start * pixelsPerSecond}px`,
+              width: `${transition.duration * pixelsPerSecond}px`
+            }}
+            title={`${getTransitionType(transition.type).name} transition (${transition.duration.toFixed(1)}s)`}
+            onMouseDown={(e) => e.stopPropagation()}
+            onClick={(e) => {
+              e.stopPropagation();
+              onSelectClip(transition.from.id);
+            }}
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 10" fill="currentColor" className="h-2.5">
+              <path d="M0 0 10 5 0 10ZM20 0 10 5 20 10Z" />
+            </svg>
+          </div>
+        ))}
+        
+        {/* Ghost of a clip being dragged onto this track */}
+        {dropPreview && dropPreview.trackId === track.id && (
+          <div
+            className={`timeline-clip-ghost ${dropPreview.isValid ? '' : 'timeline-clip-ghost-invalid'}`}
+            style={{
+              left: `${dropPreview.start * pixelsPerSecond}px`,
+              width: `${dropPreview.duration * pixelsPerSecond}px`
+            }}
+          >
+            <span className="text-xs truncate">
+              {dropPreview.isValid ? dropPreview.name : `Can't place ${dropPreview.name} on a ${track.type} track`}
+            </span>
+          </div>
+        )}
       </div>
     </div>
   );
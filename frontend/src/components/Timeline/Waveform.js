@@ -0,0 +1,63 @@
+import React, { useRef, useEffect } from 'react';
+import useWaveform from '../../hooks/useWaveform';
+import useInView from '../../hooks/useInView';
+import { drawWaveform } from '../../utils/waveformUtils';
+import { getClipSource, getClipSpeed, isClipReversed, timelineToHandleTime } from '../../utils/clipUtils';
+
+// Width of each canvas a waveform is split into. Tiles are drawn once, when first scrolled into
+// view, so scrolling only moves canvases that are already drawn.
+const TILE_WIDTH = 512;
+
+// Inner height of a timeline clip, inside its border
+const WAVEFORM_HEIGHT = 36;
+
+const WAVEFORM_COLOR = 'rgba(255, 255, 255, 0.35)';
+
+// One tile of a waveform, starting `sourceStart` seconds into the media
+const WaveformTile = ({ waveform, left, width, sourceStart, secondsPerPixel }) => {
+  const canvasRef = useRef(null);
+  // Wait until the tile is near the visible part of the timeline
+  const isVisible = useInView(canvasRef, TILE_WIDTH);
+
+  useEffect(() => {
+    if (!isVisible) return;
+    drawWaveform(canvasRef.current.getContext('2d'), waveform, sourceStart, secondsPerPixel, WAVEFORM_COLOR);
+  }, [isVisible, waveform, sourceStart, secondsPerPixel, width]);
+
+  return (
+    <canvas
+      ref={canvasRef}
+      className="clip-waveform-tile"
+      style={{ left: `${left}px` }}
+      width={width}
+      height={WAVEFORM_HEIGHT}
+    />
+  );
+};
+
+// Waveform of the part of the media a clip plays, drawn behind its label
+const Waveform = ({ clip, pixelsPerSecond }) => {
+  const waveform = useWaveform(clip.mediaId, getClipSource(clip));
+  if (!waveform) return null;
+
+  const width = Math.ceil(clip.duration * pixelsPerSecond);
+  // Source seconds each pixel covers, running backwards on a reversed clip
+  const secondsPerPixel = getClipSpeed(clip) / pixelsPerSecond * (isClipReversed(clip) ? -1 : 1);
+  const tiles = [];
+  for (let left = 0; left < width; left += TILE_WIDTH) {
+    tiles.push(
+      <WaveformTile
+        key={left}
+        waveform={waveform}
+        left={left}
+        width={Math.min(TILE_WIDTH, width - left)}
+        sourceStart={timelineToHandleTime(clip, clip.start + left / pixelsPerSecond)}
+        secondsPerPixel={secondsPerPixel}
+      />
+    );
+  }
+
+  return <div className="clip-waveform">{tiles}</div>;
+};
+
+export default Waveform;
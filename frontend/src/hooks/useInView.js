@@ -0,0 +1,20 @@
+import { useState, useEffect } from 'react';
+
+// Report whether an element has come within `margin` pixels of the visible part of the page,
+// including scroll containers. Stays true once it has, for content that only needs drawing once.
+const useInView = (ref, margin = 0) => {
+  const [inView, setInView] = useState(false);
+
+  useEffect(() => {
+    if (inView || !ref.current) return;
+    const observer = new IntersectionObserver(entries => {
+      if (entries.some(entry => entry.isIntersecting)) setInView(true);
+    }, { rootMargin: `${margin}px` });
+    observer.observe(ref.current);
+    return () => observer.disconnect();
+  }, [ref, margin, inView]);
+
+  return inView;
+};
+
+export default useInView;
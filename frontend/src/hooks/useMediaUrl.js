@@ -0,0 +1,37 @@
+import { useState, useEffect } from 'react';
+import { resolveMediaUrl, getCachedMediaUrl } from '../services/mediaStore';
+
+// Resolve a playable URL for a media asset, loading its Blob from storage if needed.
+// Returns null while the URL is being resolved or if the asset is missing.
+const useMediaUrl = (mediaId, directSource = null) => {
+  const key = directSource || mediaId || null;
+  const [resolved, setResolved] = useState(() => ({
+    key,
+    url: directSource || (mediaId ? getCachedMediaUrl(mediaId) : null)
+  }));
+
+  useEffect(() => {
+    let cancelled = false;
+
+    resolveMediaUrl(mediaId, directSource)
+      .then(url => {
+        if (!cancelled) setResolved({ key, url });
+      })
+      .catch(error => {
+        console.error('Error resolving media URL:', error);
+        if (!cancelled) setResolved({ key, url: null });
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [key, mediaId, directSource]);
+
+  // Never hand back the URL of a previous asset while the new one resolves
+  if (resolved.key !== key) {
+    return directSource || (mediaId ? getCachedMediaUrl(mediaId) : null);
+  }
+  return resolved.url;
+};
+
+export default useMediaUrl;
@@ -0,0 +1,28 @@
+import { useState, useEffect } from 'react';
+import { getPoster, getCachedPoster } from '../services/thumbnailStore';
+
+// Load the poster image URL of a video asset, grabbing the frame on first use.
+// Returns undefined while it loads and null when no frame could be taken.
+const usePoster = (mediaId, directSource = null) => {
+  const key = directSource || mediaId || null;
+  const [loaded, setLoaded] = useState(() => ({ key, url: getCachedPoster(mediaId, directSource) }));
+
+  useEffect(() => {
+    if (!key) return;
+    let cancelled = false;
+
+    getPoster(mediaId, directSource).then(url => {
+      if (!cancelled) setLoaded({ key, url });
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [key, mediaId, directSource]);
+
+  // Never hand back the poster of a previous asset while the new one loads
+  if (loaded.key !== key) return getCachedPoster(mediaId, directSource);
+  return loaded.url;
+};
+
+export default usePoster;
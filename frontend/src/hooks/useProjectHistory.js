@@ -0,0 +1,160 @@
+import { useState, useCallback } from 'react';
+
+// Oldest commands are dropped beyond this many entries
+const MAX_HISTORY = 100;
+
+// The part of the project that edits change and undo restores.
+// Playhead position, selection and zoom are view state and stay where they are.
+const getDocument = (project) => ({
+  tracks: project.tracks,
+  duration: project.duration,
+  markIn: project.markIn,
+  markOut: project.markOut,
+  markers: project.markers
+});
+
+// Restore a document snapshot, clearing the selection if the selected clip no longer exists
+const applyDocument = (project, doc) => {
+  const selectionExists = doc.tracks.some(track =>
+    track.clips.some(clip => clip.id === project.selectedClipId)
+  );
+
+  return {
+    ...project,
+    ...doc,
+    selectedClipId: selectionExists ? project.selectedClipId : null
+  };
+};
+
+let nextCommandId = 1;
+
+// Undo/redo history around project state.
+//
+// Every edit goes through `applyEdit(label, updater, { coalesceKey })`, which records a command
+// holding the document before and after the edit. Consecutive edits with the same coalesceKey
+// (e.g. every mousemove of one clip drag) merge into a single command until `endCoalescing()`.
+// `setProject` changes the project without recording anything, for playhead and selection updates.
+const useProjectHistory = (initialProject) => {
+  const [state, setState] = useState({
+    project: initialProject,
+    past: [],
+    future: [],
+    openKey: null
+  });
+
+  // Update the project without recording a history entry
+  const setProject = useCallback((updater) => {
+    setState(prev => {
+      const project = typeof updater === 'function' ? updater(prev.project) : updater;
+      return project === prev.project ? prev : { ...prev, project };
+    });
+  }, []);
+
+  // Apply an undoable edit
+  const applyEdit = useCallback((label, updater, { coalesceKey = null } = {}) => {
+    setState(prev => {
+      const project = updater(prev.project);
+      if (project === prev.project) return prev;
+
+      const after = getDocument(project);
+      const top = prev.past[prev.past.length - 1];
+
+      // Fold into the open command of the same continuous operation
+      if (coalesceKey && top && prev.openKey === coalesceKey) {
+        return {
+          project,
+          past: [...prev.past.slice(0, -1), { ...top, after, timestamp: Date.now() }],
+          future: [],
+          openKey: coalesceKey
+        };
+      }
+
+      const command = {
+        id: nextCommandId++,
+        label,
+        timestamp: Date.now(),
+        before: getDocument(prev.project),
+        after
+      };
+
+      return {
+        project,
+        past: [...prev.past, command].slice(-MAX_HISTORY),
+        future: [],
+        openKey: coalesceKey
+      };
+    });
+  }, []);
+
+  // Close the open command so the next edit starts a new one
+  const endCoalescing = useCallback(() => {
+    setState(prev => (prev.openKey ? { ...prev, openKey: null } : prev));
+  }, []);
+
+  const undo = useCallback(() => {
+    setState(prev => {
+      if (prev.past.length === 0) return prev;
+      const command = prev.past[prev.past.length - 1];
+      return {
+        project: applyDocument(prev.project, command.before),
+        past: prev.past.slice(0, -1),
+        future: [command, ...prev.future],
+        openKey: null
+      };
+    });
+  }, []);
+
+  const redo = useCallback(() => {
+    setState(prev => {
+      if (prev.future.length === 0) return prev;
+      const [command, ...future] = prev.future;
+      return {
+        project: applyDocument(prev.project, command.after),
+        past: [...prev.past, command],
+        future,
+        openKey: null
+      };
+    });
+  }, []);
+
+  // Jump to the state after `position` commands (0 is the state before the first command)
+  const jumpToHistory = useCallback((position) => {
+    setState(prev => {
+      const commands = [...prev.past, ...prev.future];
+      const target = Math.max(0, Math.min(position, commands.length));
+      if (target === prev.past.length) return prev;
+
+      const doc = target === 0 ? commands[0].before : commands[target - 1].after;
+      return {
+        project: applyDocument(prev.project, doc),
+        past: commands.slice(0, target),
+        future: commands.slice(target),
+        openKey: null
+      };
+    });
+  }, []);
+
+  // Replace the project and forget its history, e.g. after opening another project
+  const resetHistory = useCallback((project) => {
+    setState({ project, past: [], future: [], openKey: null });
+  }, []);
+
+  return {
+    project: state.project,
+    setProject,
+    applyEdit,
+    endCoalescing,
+    undo,
+    redo,
+    jumpToHistory,
+    resetHistory,
+    canUndo: state.past.length > 0,
+    canRedo: state.future.length > 0,
+    history: {
+      entries: [...state.past, ...state.future].map(({ id, label, timestamp }) => ({ id, label, timestamp })),
+      position: state.past.length
+    }
+  };
+};
+
+export default useProjectHistory;
@@ -0,0 +1,38 @@
+import { useEffect, useRef } from 'react';
+import { getKeyCombo, findShortcutAction } from '../utils/shortcutUtils';
+
+// Check whether a key press belongs to a field being typed in
+const isTypingTarget = (target) => {
+  const tag = target.tagName;
+  if (tag === 'TEXTAREA' || tag === 'SELECT' || target.isContentEditable) return true;
+  // Checkboxes and buttons don't use the keyboard beyond being clicked; sliders keep their arrow keys
+  return tag === 'INPUT' && !['checkbox', 'radio', 'button'].includes(target.type);
+};
+
+// Run the handler for each shortcut in `keymap` pressed anywhere in the editor, except while
+// typing in a text field. `handlers` maps action ids to functions; unhandled actions are ignored.
+const useShortcuts = (keymap, handlers, { enabled = true } = {}) => {
+  // Read the latest handlers without re-registering the listener on every render
+  const handlersRef = useRef(handlers);
+  handlersRef.current = handlers;
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    const handleKeyDown = (e) => {
+      if (e.defaultPrevented || isTypingTarget(e.target)) return;
+      const combo = getKeyCombo(e);
+      const action = combo && findShortcutAction(keymap, combo);
+      const handler = action && handlersRef.current[action];
+      if (!handler) return;
+
+      e.preventDefault();
+      handler(e);
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [keymap, enabled]);
+};
+
+export default useShortcuts;
@@ -0,0 +1,27 @@
+import { useState, useEffect } from 'react';
+import { getWaveform, getCachedWaveform, getWaveformKey } from '../services/waveformStore';
+
+// Load the waveform of a media asset, decoding it on first use.
+// Returns null while it loads and for media without sound.
+const useWaveform = (mediaId, directSource = null) => {
+  const key = getWaveformKey(mediaId, directSource);
+  const [loaded, setLoaded] = useState(() => ({ key, waveform: getCachedWaveform(key) || null }));
+
+  useEffect(() => {
+    let cancelled = false;
+
+    getWaveform(mediaId, directSource).then(waveform => {
+      if (!cancelled) setLoaded({ key, waveform });
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [key, mediaId, directSource]);
+
+  // Never hand back the waveform of a previous asset while the new one loads
+  if (loaded.key !== key) return getCachedWaveform(key) || null;
+  return loaded.waveform;
+};
+
+export default useWaveform;
@@ -0,0 +1,67 @@
+// Web Audio mixing for preview playback.
+//
+// Every media element that plays sound is routed through its own gain node into one AudioContext,
+// so each clip's level (volume, fades, envelope, crossfades, mute and solo) can be set every frame
+// without touching the elements themselves.
+
+// Time constant for gain changes, short enough to follow an envelope but long enough not to click
+const GAIN_SMOOTHING = 0.015;
+
+export const createAudioMixer = () => {
+  let context = null;
+  // Gain stage for each routed element: { source, gain }
+  const channels = new Map();
+
+  const getContext = () => {
+    if (!context) {
+      const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+      context = new AudioContextClass();
+    }
+    return context;
+  };
+
+  return {
+    // Route an element's sound through the mixer, starting silent
+    connect: (element) => {
+      if (channels.has(element)) return;
+      const audioContext = getContext();
+      const source = audioContext.createMediaElementSource(element);
+      const gain = audioContext.createGain();
+      gain.gain.value = 0;
+      source.connect(gain).connect(audioContext.destination);
+      channels.set(element, { source, gain });
+    },
+
+    // Set the level an element plays at
+    setGain: (element, value) => {
+      const channel = channels.get(element);
+      if (!channel) return;
+      channel.gain.gain.setTargetAtTime(value, context.currentTime, GAIN_SMOOTHING);
+    },
+
+    disconnect: (element) => {
+      const channel = channels.get(element);
+      if (!channel) return;
+      channel.source.disconnect();
+      channel.gain.disconnect();
+      channels.delete(element);
+    },
+
+    // Browsers keep audio suspended until the page has been interacted with; call when playback starts
+    resume: () => {
+      if (context && context.state === 'suspended') {
+        context.resume().catch(error => console.warn('Could not resume audio:', error));
+      }
+    },
+
+    destroy: () => {
+      channels.forEach(channel => {
+        channel.source.disconnect();
+        channel.gain.disconnect();
+      });
+      channels.clear();
+      if (context) context.close();
+      context = null;
+    }
+  };
+};
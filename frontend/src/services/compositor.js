@@ -0,0 +1,333 @@
+import { isTimeInClip, getClipEnd } from '../utils/clipUtils';
+import { isTrackVisible } from '../utils/trackUtils';
+import { getClipTransformAt, getLayerGeometry } from '../utils/transformUtils';
+import { getKeyframeValue } from '../utils/keyframeUtils';
+import { getClipMotionRect } from '../utils/motionUtils';
+import { getClipEffects, getCssFilter } from '../utils/effectUtils';
+import { getTransitionAt, getTransitionProgress, getTrackTransitions } from '../utils/transitionUtils';
+import { getCaptionTextClip } from '../utils/captionUtils';
+import {
+  getClipText,
+  getClipTextStyle,
+  getTextAnimationState,
+  TEXT_REFERENCE_HEIGHT
+} from '../utils/textUtils';
+
+// Resolution the preview canvas draws at; the canvas is scaled to fit the panel
+export const PREVIEW_WIDTH = 1280;
+export const PREVIEW_HEIGHT = 720;
+
+// Get the visible layers at a timeline time, bottom track first so later layers draw on top.
+// Each layer is { clip, track }. During a transition the layer is the outgoing clip, with
+// `transition: { type, progress, clip }` naming the incoming clip it blends into. Caption cues come
+// back as the text clips they are drawn as.
+export const getLayersAt = (tracks, time) => {
+  const layers = [];
+  for (let i = tracks.length - 1; i >= 0; i--) {
+    const track = tracks[i];
+    if (!isTrackVisible(track)) continue;
+
+    const transition = getTransitionAt(track, time);
+    if (transition) {
+      layers.push({
+        clip: transition.from,
+        track,
+        transition: { type: transition.type, progress: getTransitionProgress(transition, time), clip: transition.to }
+      });
+      continue;
+    }
+
+    const clip = track.clips.find(c => isTimeInClip(c, time));
+    if (clip) layers.push({ clip: track.type === 'caption' ? getCaptionTextClip(clip, track) : clip, track });
+  }
+  return layers;
+};
+
+// Get every clip a layer draws
+export const getLayerClips = (layer) => (layer.transition ? [layer.clip, layer.transition.clip] : [layer.clip]);
+
+// Find the next time after `time` where the clips seen or heard can change
+export const getNextLayerBoundary = (tracks, time) => {
+  let boundary = Infinity;
+  tracks.forEach(track => {
+    const edges = [
+      ...track.clips.flatMap(clip => [clip.start, getClipEnd(clip)]),
+      ...getTrackTransitions(track).flatMap(transition => [transition.start, transition.end])
+    ];
+    edges.forEach(edge => {
+      if (edge > time) boundary = Math.min(boundary, edge);
+    });
+  });
+  return boundary;
+};
+
+// Get the pixel size of a video or image element, or zeros before it has loaded
+const getSourceSize = (element) => {
+  if (element instanceof HTMLVideoElement) return [element.videoWidth, element.videoHeight];
+  return [element.naturalWidth, element.naturalHeight];
+};
+
+// Canvas a layer's picture is mixed on when its effects apply at part intensity
+let mixCanvas = null;
+
+// Mix the unfiltered and filtered picture of a layer at `intensity`, as the export's blend does,
+// and return the canvas holding it at the size it is drawn
+const mixEffects = (element, geometry, filter, intensity) => {
+  if (!mixCanvas) mixCanvas = document.createElement('canvas');
+  mixCanvas.width = Math.max(1, Math.round(geometry.width));
+  mixCanvas.height = Math.max(1, Math.round(geometry.height));
+  const ctx = mixCanvas.getContext('2d');
+
+  const drawSource = () => ctx.drawImage(
+    element,
+    geometry.cropX, geometry.cropY, geometry.cropWidth, geometry.cropHeight,
+    0, 0, mixCanvas.width, mixCanvas.height
+  );
+  drawSource();
+  ctx.filter = filter;
+  ctx.globalAlpha = intensity;
+  drawSource();
+  return mixCanvas;
+};
+
+// Draw a video frame or image with the clip's effects, transform and motion at `time`, faded by `alpha`
+const drawMediaLayer = (ctx, clip, element, time, alpha) => {
+  const [sourceWidth, sourceHeight] = getSourceSize(element);
+  if (!sourceWidth || !sourceHeight) return;
+
+  const geometry = getLayerGeometry(
+    sourceWidth, sourceHeight, ctx.canvas.width, ctx.canvas.height,
+    getClipTransformAt(clip, time), getClipMotionRect(clip, time)
+  );
+  const effects = getClipEffects(clip);
+  const filter = getCssFilter(effects);
+  const intensity = Math.min(Math.max(getKeyframeValue(clip, 'intensity', time, effects.intensity), 0), 1);
+
+  ctx.save();
+  ctx.globalAlpha = geometry.opacity * alpha;
+  ctx.translate(geometry.centerX, geometry.centerY);
+  ctx.rotate(geometry.rotation);
+  if (filter !== 'none' && intensity > 0 && intensity < 1) {
+    ctx.drawImage(mixEffects(element, geometry, filter, intensity), -geometry.width / 2, -geometry.height / 2, geometry.width, geometry.height);
+  } else {
+    ctx.filter = intensity > 0 ? filter : 'none';
+    ctx.drawImage(
+      element,
+      geometry.cropX, geometry.cropY, geometry.cropWidth, geometry.cropHeight,
+      -geometry.width / 2, -geometry.height / 2, geometry.width, geometry.height
+    );
+  }
+  ctx.restore();
+};
+
+// Get the canvas font for a text style at a pixel size
+const getTextFont = (style, size) => {
+  return `${style.italic ? 'italic ' : ''}${style.bold ? 700 : 400} ${size}px "${style.font}", sans-serif`;
+};
+
+// Make sure a text clip's font is loaded before drawing it somewhere that won't be redrawn
+export const loadTextFont = (clip) => document.fonts.load(getTextFont(getClipTextStyle(clip), 16));
+
+// Lay out a text clip for a frame of the given height, before its transform is applied.
+// Lines are positioned from the full text so typing it out doesn't make it shift.
+const layoutText = (ctx, clip, frameHeight) => {
+  const style = getClipTextStyle(clip);
+  const size = style.size * frameHeight / TEXT_REFERENCE_HEIGHT;
+  ctx.font = getTextFont(style, size);
+
+  const lines = getClipText(clip).split('\n');
+  const lineWidths = lines.map(line => ctx.measureText(line).width);
+  const width = Math.max(...lineWidths, 0);
+  const lineHeight = size * 1.25;
+  const height = lines.length * lineHeight;
+
+  return {
+    style,
+    size,
+    width,
+    height,
+    // Padding of the background box
+    padding: size * 0.3,
+    lines: lines.map((line, i) => {
+      let x = -width / 2;
+      if (style.align === 'center') x = -lineWidths[i] / 2;
+      else if (style.align === 'right') x = width / 2 - lineWidths[i];
+      return { text: line, x, y: -height / 2 + lineHeight * (i + 0.5) };
+    })
+  };
+};
+
+// Get the area a text clip covers on a canvas at timeline time `time`, ignoring rotation, as
+// { left, top, width, height }
+export const getTextBounds = (ctx, clip, time) => {
+  const { width, height } = ctx.canvas;
+  const transform = getClipTransformAt(clip, time);
+  ctx.save();
+  const layout = layoutText(ctx, clip, height);
+  ctx.restore();
+
+  const boxWidth = (layout.width + layout.padding * 2) * transform.scale;
+  const boxHeight = (layout.height + layout.padding * 2) * transform.scale;
+  return {
+    left: width * (0.5 + transform.x) - boxWidth / 2,
+    top: height * (0.5 + transform.y) - boxHeight / 2,
+    width: boxWidth,
+    height: boxHeight
+  };
+};
+
+// Draw a text clip centred on its transform position. `state` is the point its animation has reached,
+// from getTextAnimationState, and its keyframed `transform`: the export renders each state once, the
+// preview every frame.
+export const drawTextClip = (ctx, clip, { alpha = 1, offsetY = 0, visibleChars = null, transform } = {}) => {
+  const { width, height } = ctx.canvas;
+
+  ctx.save();
+  ctx.globalAlpha = transform.opacity * alpha;
+  ctx.translate(width * (0.5 + transform.x), height * (0.5 + transform.y + offsetY));
+  ctx.rotate(transform.rotation * Math.PI / 180);
+  ctx.scale(transform.scale, transform.scale);
+
+  const layout = layoutText(ctx, clip, height);
+  const { style, size, padding } = layout;
+
+  if (style.background) {
+    ctx.save();
+    ctx.globalAlpha *= style.backgroundOpacity;
+    ctx.fillStyle = style.backgroundColor;
+    ctx.fillRect(-layout.width / 2 - padding, -layout.height / 2 - padding, layout.width + padding * 2, layout.height + padding * 2);
+    ctx.restore();
+  }
+
+  // Type out the text line by line
+  let remaining = visibleChars ?? Infinity;
+  const lines = layout.lines.map(line => {
+    const text = line.text.slice(0, Math.max(remaining, 0));
+    remaining -= line.text.length + 1;
+    return { ...line, text };
+  });
+
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'middle';
+  ctx.lineJoin = 'round';
+  if (style.shadow) {
+    ctx.shadowColor = 'rgba(0, 0, 0, 0.7)';
+    ctx.shadowBlur = size * 0.15 * transform.scale;
+    ctx.shadowOffsetX = size * 0.06 * transform.scale;
+    ctx.shadowOffsetY = size * 0.06 * transform.scale;
+  }
+
+  if (style.strokeWidth > 0) {
+    // The stroke is centred on the outline, so twice the width leaves `strokeWidth` outside the fill
+    ctx.lineWidth = style.strokeWidth * 2 * height / TEXT_REFERENCE_HEIGHT;
+    ctx.strokeStyle = style.strokeColor;
+    lines.forEach(line => ctx.strokeText(line.text, line.x, line.y));
+    // Only the outline casts the shadow
+    ctx.shadowColor = 'transparent';
+  }
+
+  ctx.fillStyle = style.color;
+  lines.forEach(line => {
+    ctx.fillText(line.text, line.x, line.y);
+    if (style.underline && line.text) {
+      ctx.fillRect(line.x, line.y + size * 0.55, ctx.measureText(line.text).width, Math.max(1, size / 15));
+    }
+  });
+
+  ctx.restore();
+};
+
+// Draw a text clip as its animation leaves it at `time`, faded by `alpha`
+const drawTextLayer = (ctx, clip, time, alpha) => {
+  const state = getTextAnimationState(clip, time);
+  drawTextClip(ctx, clip, { ...state, alpha: state.alpha * alpha, transform: getClipTransformAt(clip, time) });
+};
+
+// Draw one clip of a layer
+const drawClip = (ctx, clip, getElement, time, alpha = 1) => {
+  if (clip.type === 'text') {
+    drawTextLayer(ctx, clip, time, alpha);
+    return;
+  }
+  const element = getElement(clip);
+  if (element) drawMediaLayer(ctx, clip, element, time, alpha);
+};
+
+// Smooth 0 to 1 ramp between two edges, as in GLSL and ffmpeg's xfade
+const smoothstep = (edge0, edge1, x) => {
+  const t = Math.min(Math.max((x - edge0) / (edge1 - edge0), 0), 1);
+  return t * t * (3 - 2 * t);
+};
+
+// Draw a layer that is part way through a transition, following the xfade transition the export uses
+const drawTransitionLayer = (ctx, { clip, transition }, getElement, time) => {
+  const { width, height } = ctx.canvas;
+  const { type, progress } = transition;
+  const drawFrom = (alpha) => drawClip(ctx, clip, getElement, time, alpha);
+  const drawTo = (alpha) => drawClip(ctx, transition.clip, getElement, time, alpha);
+
+  switch (type) {
+    case 'fade': {
+      // Dip to black at the cut
+      if (progress < 0.5) drawFrom(); else drawTo();
+      ctx.save();
+      ctx.globalAlpha = 1 - Math.abs(1 - progress * 2);
+      ctx.fillStyle = '#000';
+      ctx.fillRect(0, 0, width, height);
+      ctx.restore();
+      break;
+    }
+    case 'wipe': {
+      // The incoming clip is uncovered from the right
+      drawFrom();
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(width * (1 - progress), 0, width * progress, height);
+      ctx.clip();
+      drawTo();
+      ctx.restore();
+      break;
+    }
+    case 'slide': {
+      // Both clips move left, the incoming one following the outgoing one
+      ctx.save();
+      ctx.translate(-width * progress, 0);
+      drawFrom();
+      ctx.translate(width, 0);
+      drawTo();
+      ctx.restore();
+      break;
+    }
+    case 'zoom': {
+      // The outgoing clip zooms in while the incoming one fades through it
+      const zoom = 1 / Math.max(smoothstep(0.5, 1, 1 - progress), 0.05);
+      drawTo();
+      ctx.save();
+      ctx.translate(width / 2, height / 2);
+      ctx.scale(zoom, zoom);
+      ctx.translate(-width / 2, -height / 2);
+      drawFrom(smoothstep(0, 0.5, 1 - progress));
+      ctx.restore();
+      break;
+    }
+    default:
+      // Dissolve
+      drawFrom();
+      drawTo(progress);
+  }
+};
+
+// Draw the frame at timeline time `time`: black, then each layer in order.
+// `getElement(clip)` returns the loaded video or image element for a media clip, or null if it isn't ready.
+export const drawFrame = (ctx, layers, getElement, time) => {
+  ctx.fillStyle = '#000';
+  ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+
+  layers.forEach(layer => {
+    if (layer.transition) {
+      drawTransitionLayer(ctx, layer, getElement, time);
+    } else {
+      drawClip(ctx, layer.clip, getElement, time);
+    }
+  });
+};
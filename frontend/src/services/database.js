@@ -0,0 +1,99 @@
+// Shared IndexedDB connection for everything the editor persists locally
+
+const DB_NAME = 'videoEditor';
+const DB_VERSION = 4;
+
+// Object store names
+export const STORES = {
+  projects: 'projects',
+  media: 'media',           // Media asset metadata, small enough to list in one read
+  mediaBlobs: 'mediaBlobs', // Original file Blobs keyed by asset id
+  waveforms: 'waveforms',   // Audio peaks decoded from each asset, keyed by asset id
+  posters: 'posters'        // Poster frame image of each video asset, keyed by asset id
+};
+
+let dbPromise = null;
+
+// Create or upgrade object stores; each version only adds what it introduced
+const upgradeDatabase = (db, oldVersion) => {
+  if (oldVersion < 1) {
+    const projects = db.createObjectStore(STORES.projects, { keyPath: 'id' });
+    projects.createIndex('modifiedAt', 'modifiedAt');
+  }
+
+  if (oldVersion < 2) {
+    const media = db.createObjectStore(STORES.media, { keyPath: 'id' });
+    media.createIndex('createdAt', 'createdAt');
+    db.createObjectStore(STORES.mediaBlobs, { keyPath: 'id' });
+  }
+
+  if (oldVersion < 3) {
+    db.createObjectStore(STORES.waveforms, { keyPath: 'id' });
+  }
+
+  if (oldVersion < 4) {
+    db.createObjectStore(STORES.posters, { keyPath: 'id' });
+  }
+};
+
+// Open the database once and reuse the connection
+export const openDatabase = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+      reject(new Error('IndexedDB is not available in this browser'));
+      return;
+    }
+
+    const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = (event) => upgradeDatabase(request.result, event.oldVersion);
+    request.onsuccess = () => {
+      const db = request.result;
+      // Let a newer version in another tab upgrade the schema
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error('Database upgrade blocked by another open tab'));
+  });
+
+  // Allow a retry after a failed open
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+
+  return dbPromise;
+};
+
+// Wrap an IDBRequest in a promise
+export const requestToPromise = (request) => {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+// Run `callback` against one or more object stores and resolve with its result once the transaction completes.
+// With an array of store names the callback receives the stores in the same order.
+export const withStore = async (storeNames, mode, callback) => {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const names = Array.isArray(storeNames) ? storeNames : [storeNames];
+    const transaction = db.transaction(names, mode);
+    const stores = names.map(name => transaction.objectStore(name));
+    let result;
+
+    Promise.resolve(callback(...stores))
+      .then(value => { result = value; })
+      .catch(reject);
+
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+};
@@ -0,0 +1,733 @@
+import { fetchFile, toBlobURL } from '@ffmpeg/util';
+import {
+  getClipSource,
+  getClipSpeed,
+  getMediaDuration,
+  isClipReversed,
+  timelineToHandleTime,
+  FRAME_RATE
+} from '../utils/clipUtils';
+import { getClipMediaData } from './mediaStore';
+import { isTrackAudible, isTrackVisible, getTrackName } from '../utils/trackUtils';
+import { getClipTransform, clampCrop } from '../utils/transformUtils';
+import { getClipMotion } from '../utils/motionUtils';
+import { hasKeyframes, getMaxKeyframeValue, buildKeyframeExpression } from '../utils/keyframeUtils';
+import { getClipEffects, getFfmpegEffectFilters } from '../utils/effectUtils';
+import { getClipTransitions, getTransitionType } from '../utils/transitionUtils';
+import { getTextFrameRuns } from '../utils/textUtils';
+import { buildGainExpression, isPitchPreserved } from '../utils/audioUtils';
+import { getChapters, buildFfmetadata } from '../utils/markerUtils';
+import { getCaptionTextClip, getTrackCues, buildSrt } from '../utils/captionUtils';
+import { drawTextClip, loadTextFont } from './compositor';
+
+// ffmpeg.wasm core build matching the @ffmpeg/core version in package.json
+const CORE_BASE_URL = 'https://unpkg.com/@ffmpeg/core@0.12.6/dist/esm';
+
+// Frame rate and audio sample rate used for every export
+export const EXPORT_FPS = FRAME_RATE;
+const AUDIO_SAMPLE_RATE = 48000;
+
+// Output dimensions and bitrates for the quality presets in ExportPanel
+export const QUALITY_SETTINGS = {
+  low: { width: 854, height: 480, videoBitrate: '1M', audioBitrate: '96k' },
+  medium: { width: 1280, height: 720, videoBitrate: '2M', audioBitrate: '128k' },
+  high: { width: 1920, height: 1080, videoBitrate: '5M', audioBitrate: '192k' },
+  ultra: { width: 3840, height: 2160, videoBitrate: '20M', audioBitrate: '256k' }
+};
+
+// Encoder arguments for each output format
+export const FORMAT_SETTINGS = {
+  mp4: {
+    mimeType: 'video/mp4',
+    hasAudio: true,
+    hasChapters: true,
+    subtitleCodec: 'mov_text',
+    videoArgs: (quality) => ['-c:v', 'libx264', '-preset', 'veryfast', '-b:v', quality.videoBitrate, '-pix_fmt', 'yuv420p'],
+    audioArgs: (quality) => ['-c:a', 'aac', '-b:a', quality.audioBitrate],
+    containerArgs: ['-movflags', '+faststart']
+  },
+  webm: {
+    mimeType: 'video/webm',
+    hasAudio: true,
+    hasChapters: false,
+    subtitleCodec: 'webvtt',
+    videoArgs: (quality) => ['-c:v', 'libvpx', '-b:v', quality.videoBitrate, '-deadline', 'realtime', '-cpu-used', '8'],
+    audioArgs: (quality) => ['-c:a', 'libopus', '-b:a', quality.audioBitrate],
+    containerArgs: []
+  },
+  gif: {
+    mimeType: 'image/gif',
+    hasAudio: false,
+    hasChapters: false,
+    subtitleCodec: null,
+    videoArgs: () => [],
+    audioArgs: () => [],
+    containerArgs: ['-loop', '0']
+  }
+};
+
+// Widest a still is enlarged to before panning and zooming across it, to bound memory use
+const MAX_MOTION_SOURCE_WIDTH = 4096;
+
+// Smallest scale a layer is fitted at, so a keyframe at zero scale still leaves a picture to shrink
+const MIN_FIT_SCALE = 0.01;
+
+// Metadata file carrying the chapters made from the project's markers
+const CHAPTERS_FILE_NAME = 'chapters.txt';
+
+// Track types whose clips appear in the render
+const RENDERED_TRACK_TYPES = ['video', 'audio', 'text', 'caption'];
+
+// How captions reach the export: drawn into the picture, or as subtitle streams players can turn on
+export const CAPTION_MODES = {
+  burn: 'burn',
+  soft: 'soft'
+};
+
+// Get how captions are exported in a format; formats without subtitle streams burn them in
+export const getCaptionMode = (format, captions = CAPTION_MODES.burn) => {
+  const formatSettings = FORMAT_SETTINGS[format];
+  return formatSettings && formatSettings.subtitleCodec ? captions : CAPTION_MODES.burn;
+};
+
+// Loads in progress, by ffmpeg instance, so callers that arrive mid-load wait for it instead of
+// starting another
+const pendingLoads = new WeakMap();
+
+// Load the ffmpeg.wasm core into the given instance (no-op if already loaded)
+export const loadFFmpeg = (ffmpeg) => {
+  if (ffmpeg.loaded) return Promise.resolve();
+  if (pendingLoads.has(ffmpeg)) return pendingLoads.get(ffmpeg);
+
+  const load = (async () => {
+    console.log('Loading ffmpeg core...');
+    await ffmpeg.load({
+      coreURL: await toBlobURL(`${CORE_BASE_URL}/ffmpeg-core.js`, 'text/javascript'),
+      wasmURL: await toBlobURL(`${CORE_BASE_URL}/ffmpeg-core.wasm`, 'application/wasm')
+    });
+    console.log('ffmpeg core loaded');
+  })().finally(() => {
+    if (pendingLoads.get(ffmpeg) === load) pendingLoads.delete(ffmpeg);
+  });
+  pendingLoads.set(ffmpeg, load);
+  return load;
+};
+
+// Terminate the ffmpeg worker, abandoning whatever it was doing, and load a fresh core
+export const restartFFmpeg = (ffmpeg) => {
+  ffmpeg.terminate();
+  pendingLoads.delete(ffmpeg);
+  return loadFFmpeg(ffmpeg);
+};
+
+// Format seconds for use inside a filtergraph
+const formatSeconds = (seconds) => Number(Math.max(0, seconds).toFixed(3)).toString();
+
+// Format any number for use inside a filtergraph
+const formatNumber = (value) => Number(value.toFixed(4)).toString();
+
+// Get a file extension for an input so ffmpeg can pick a demuxer quickly
+const getInputExtension = (clip) => {
+  const match = /\.([a-z0-9]{2,4})$/i.exec(clip.name || '') || /\.([a-z0-9]{2,4})(?:\?|$)/i.exec(clip.src || '');
+  if (match) return match[1].toLowerCase();
+  if (clip.type === 'image') return 'png';
+  return clip.type === 'audio' ? 'mp3' : 'mp4';
+};
+
+// Read whether an input file contains an audio stream, and the picture size of its video stream,
+// from ffmpeg's probe output
+const probeInput = async (ffmpeg, fileName) => {
+  const lines = [];
+  const onLog = ({ message }) => lines.push(message);
+
+  ffmpeg.on('log', onLog);
+  try {
+    // Without an output ffmpeg exits with an error after printing the stream info
+    await ffmpeg.exec(['-hide_banner', '-i', fileName]);
+  } finally {
+    ffmpeg.off('log', onLog);
+  }
+
+  const videoLine = lines.find(line => /Stream #\d+:\d+.*Video:/.test(line));
+  const size = videoLine && /, (\d+)x(\d+)[,\s]/.exec(videoLine);
+  return {
+    hasAudio: lines.some(line => /Stream #\d+:\d+.*Audio:/.test(line)),
+    width: size ? Number(size[1]) : 0,
+    height: size ? Number(size[2]) : 0
+  };
+};
+
+// Get every clip that contributes to the render, bottom track first so higher tracks overlay lower ones.
+// Each clip records whether its picture and sound are used, following its track's toggles, and the
+// transitions into and out of it (`transitionOut.to` being the renderable clip it blends into).
+// Burned-in caption cues are rendered as the text clips the preview draws them as.
+export const getRenderableClips = (project, { captions = CAPTION_MODES.burn } = {}) => {
+  return [...project.tracks]
+    .reverse()
+    .filter(track => RENDERED_TRACK_TYPES.includes(track.type))
+    .filter(track => track.type !== 'caption' || captions === CAPTION_MODES.burn)
+    .flatMap(track => {
+      const renderVideo = isTrackVisible(track);
+      const renderAudio = isTrackAudible(track, project.tracks);
+      const clips = track.clips
+        .map(clip => (track.type === 'caption' ? getCaptionTextClip(clip, track) : clip))
+        .map(clip => ({
+          ...clip,
+          trackType: track.type,
+          renderVideo,
+          // Stills have no sound
+          renderAudio: renderAudio && clip.type !== 'image'
+        }))
+        .filter(clip => (
+          (clip.renderVideo || clip.renderAudio) && clip.duration > 0 &&
+          (clip.type === 'text' || clip.mediaId || getClipSource(clip))
+        ));
+
+      const findRenderable = (clip) => clip && clips.find(c => c.id === clip.id);
+      return clips.map(clip => {
+        const transitions = getClipTransitions(track, clip.id);
+        const to = transitions.out && findRenderable(transitions.out.to);
+        return {
+          ...clip,
+          transitionIn: transitions.in && findRenderable(transitions.in.from) ? transitions.in : null,
+          transitionOut: to ? { ...transitions.out, to } : null
+        };
+      });
+    });
+};
+
+// Get the caption tracks exported as subtitle streams: those shown and holding cues
+const getSubtitleTracks = (project) => {
+  return project.tracks.filter(track => track.type === 'caption' && isTrackVisible(track) && getTrackCues(track).length > 0);
+};
+
+// Get the length of the rendered output in seconds
+export const getRenderDuration = (clips) => {
+  return Math.max(...clips.map(clip => clip.start + clip.duration), 0);
+};
+
+// Key identifying the media a clip plays, so clips sharing media share one input.
+// Each text clip is an input of its own.
+const getInputKey = (clip) => (clip.type === 'text' ? `text:${clip.id}` : clip.mediaId || getClipSource(clip));
+
+// Render a text clip with the preview's drawing code, once per distinct frame of its animation,
+// and write the frames with a concat list that shows each for as long as it lasts. Each file goes into
+// `writtenFiles` as soon as it is written, so frames from a clip that fails part way are removed too.
+const writeTextInput = async (ffmpeg, clip, index, { width, height, fps }, writtenFiles) => {
+  await loadTextFont(clip);
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+
+  const files = [];
+  const list = [];
+  const runs = getTextFrameRuns(clip, fps);
+  for (let n = 0; n < runs.length; n++) {
+    ctx.clearRect(0, 0, width, height);
+    drawTextClip(ctx, clip, runs[n].state);
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    const frameName = `text-${index}-${n}.png`;
+    await ffmpeg.writeFile(frameName, new Uint8Array(await blob.arrayBuffer()));
+    writtenFiles.push(frameName);
+    files.push(frameName);
+    list.push(`file '${frameName}'`, `duration ${formatNumber(runs[n].duration)}`);
+  }
+  // The concat demuxer ignores the last duration unless the last file is listed again
+  list.push(`file '${files[files.length - 1]}'`);
+
+  const fileName = `input-${index}.txt`;
+  await ffmpeg.writeFile(fileName, list.join('\n'));
+  writtenFiles.push(fileName);
+  return { index, fileName, files: [...files, fileName], isText: true, isImage: false, hasAudio: false };
+};
+
+// Write each distinct clip media into the ffmpeg virtual file system, and text clips as rendered frames.
+// Each file is added to `writtenFiles` once written, so a failure part way through can still remove them.
+const writeInputs = async (ffmpeg, clips, frameSettings, writtenFiles) => {
+  const inputs = new Map();
+
+  for (const clip of clips) {
+    const key = getInputKey(clip);
+    if (inputs.has(key)) continue;
+
+    if (clip.type === 'text') {
+      console.log(`Rendering text clip ${clip.name}`);
+      inputs.set(key, await writeTextInput(ffmpeg, clip, inputs.size, frameSettings, writtenFiles));
+      continue;
+    }
+
+    const data = await getClipMediaData(clip);
+    if (!data) {
+      throw new Error(`Media for clip "${clip.name}" is missing from the library`);
+    }
+
+    const index = inputs.size;
+    const fileName = `input-${index}.${getInputExtension(clip)}`;
+    console.log(`Writing ${clip.name} to ${fileName}`);
+    await ffmpeg.writeFile(fileName, await fetchFile(data));
+    writtenFiles.push(fileName);
+
+    const isImage = clip.type === 'image';
+    const { hasAudio, width, height } = await probeInput(ffmpeg, fileName);
+    inputs.set(key, {
+      index,
+      fileName,
+      isImage,
+      // Stills have no sound, whatever the file holds
+      hasAudio: hasAudio && !isImage,
+      width,
+      height
+    });
+  }
+
+  return inputs;
+};
+
+// Get the scale a layer is fitted at before its transform: its own scale, or the largest one its
+// keyframes reach so that shrinking it on each frame never enlarges it
+const getFitScale = (clip) => {
+  return Math.max(getMaxKeyframeValue(clip, 'scale', getClipTransform(clip).scale), MIN_FIT_SCALE);
+};
+
+// Build the filters that crop, scale, fade and rotate a layer with its clip transform, `offset` seconds
+// into the clip. Mirrors getLayerGeometry, which the preview compositor uses. `fitFilter` replaces the
+// scale that fits the cropped source inside the frame.
+//
+// Keyframed properties become expressions evaluated on each frame. Sizes stay fixed until the last
+// filter, which takes a keyframed scale from the fitted size down to the scale on that frame.
+const buildTransformFilters = (clip, { width, height }, offset, fitFilter = null) => {
+  const filters = [];
+  const transform = getClipTransform(clip);
+  const crop = clampCrop(transform.crop);
+  const fitScale = getFitScale(clip);
+  // ffmpeg names the frame time t in most filters and T in geq
+  const animate = (property, time = 't') => {
+    return buildKeyframeExpression(clip, property, `${time}+${formatNumber(offset)}`, transform[property]);
+  };
+
+  if (crop.top || crop.right || crop.bottom || crop.left) {
+    filters.push(
+      `crop=w=iw*${formatNumber(1 - crop.left - crop.right)}:h=ih*${formatNumber(1 - crop.top - crop.bottom)}:` +
+      `x=iw*${formatNumber(crop.left)}:y=ih*${formatNumber(crop.top)}`
+    );
+  }
+
+  // Fit the cropped source inside the frame at the clip's scale
+  filters.push(
+    fitFilter ||
+    `scale=w=${Math.max(1, Math.round(width * fitScale))}:h=${Math.max(1, Math.round(height * fitScale))}:` +
+    'force_original_aspect_ratio=decrease',
+    'setsar=1',
+    'format=rgba'
+  );
+
+  if (hasKeyframes(clip, 'opacity')) {
+    filters.push(`geq=r='r(X,Y)':g='g(X,Y)':b='b(X,Y)':a='alpha(X,Y)*clip(${animate('opacity', 'T')},0,1)'`);
+  } else if (transform.opacity < 1) {
+    filters.push(`colorchannelmixer=aa=${formatNumber(transform.opacity)}`);
+  }
+
+  if (hasKeyframes(clip, 'rotation')) {
+    // Leave room for the layer at any angle
+    filters.push(`rotate=a='${animate('rotation')}*PI/180':c=none:ow='hypot(iw,ih)':oh='hypot(iw,ih)'`);
+  } else if (transform.rotation) {
+    const angle = formatNumber(transform.rotation * Math.PI / 180);
+    filters.push(`rotate=a=${angle}:c=none:ow=rotw(${angle}):oh=roth(${angle})`);
+  }
+
+  if (hasKeyframes(clip, 'scale')) {
+    const factor = `${animate('scale')}/${formatNumber(fitScale)}`;
+    filters.push(`scale=w='max(1,round(iw*${factor}))':h='max(1,round(ih*${factor}))':eval=frame`);
+  }
+
+  return filters.join(',');
+};
+
+// Get what a piece of a clip `length` seconds long from timeline time `at` plays of its input:
+//   start, duration  the source range, cut to the media
+//   speed, reverse   how fast and which way the range plays
+//   startHold        seconds at the start of the piece before the media begins, where a transition
+//                    reaches past it
+// Every moment of a still is the same picture, and text frames are rendered from the clip's start,
+// so those always play from the top of their input.
+const getSourcePiece = (clip, input, at, length) => {
+  if (input.isImage || input.isText) {
+    return { start: 0, duration: length, speed: 1, reverse: false, startHold: 0 };
+  }
+
+  const speed = getClipSpeed(clip);
+  const reverse = isClipReversed(clip);
+  const ends = [timelineToHandleTime(clip, at), timelineToHandleTime(clip, at + length)];
+  const start = Math.max(Math.min(...ends), 0);
+  // Played forwards, a piece running past the end of the media simply stops early
+  const end = reverse ? Math.min(ends[0], getMediaDuration(clip)) : ends[1];
+  return {
+    start,
+    duration: Math.max(end - start, 0),
+    speed,
+    reverse,
+    startHold: (reverse ? ends[0] - end : start - ends[0]) / speed
+  };
+};
+
+// Build the filters that cut a piece of a clip's source video, `length` seconds long once played.
+// Transitions reach past the clip into media that may not exist, so with `hold` the first and
+// last frames are repeated to fill the range. Reversing holds the piece's frames in memory.
+const buildVideoRange = (piece, length, fps, hold = false) => {
+  const startHold = hold ? piece.startHold : 0;
+  const filters = [
+    `trim=start=${formatSeconds(piece.start)}:duration=${formatSeconds(piece.duration)}`,
+    piece.speed === 1 ? 'setpts=PTS-STARTPTS' : `setpts=(PTS-STARTPTS)/${formatNumber(piece.speed)}`
+  ];
+  if (piece.reverse) filters.push('reverse');
+  filters.push(`fps=${fps}`);
+  if (hold) {
+    filters.push(
+      `tpad=start_mode=clone:start_duration=${formatSeconds(startHold)}:stop_mode=clone:stop_duration=${formatSeconds(length)}`,
+      `trim=duration=${formatSeconds(length)}`
+    );
+  }
+  return filters.join(',');
+};
+
+// Build the filters that play sound `speed` times as fast. atempo keeps the pitch but takes factors
+// from 0.5 to 2 per filter, so bigger changes are chained. Without it the sound is resampled and its
+// pitch rises and falls with the speed.
+const buildTempoFilters = (speed, preservePitch) => {
+  if (!preservePitch) {
+    return [`asetrate=${Math.round(AUDIO_SAMPLE_RATE * speed)}`, `aresample=${AUDIO_SAMPLE_RATE}`];
+  }
+  const filters = [];
+  let remaining = speed;
+  for (; remaining > 2; remaining /= 2) filters.push('atempo=2');
+  for (; remaining < 0.5; remaining /= 0.5) filters.push('atempo=0.5');
+  filters.push(`atempo=${formatNumber(remaining)}`);
+  return filters;
+};
+
+// Build the filters that cut a piece of a clip's source audio, `length` seconds long once played,
+// padding with silence where the range runs outside the media when `pad` is set
+const buildAudioRange = (clip, piece, length, pad = false) => {
+  const startPad = pad ? piece.startHold : 0;
+  const filters = [
+    `atrim=start=${formatSeconds(piece.start)}:duration=${formatSeconds(piece.duration)}`,
+    'asetpts=PTS-STARTPTS',
+    `aresample=${AUDIO_SAMPLE_RATE}`
+  ];
+  if (piece.reverse) filters.push('areverse');
+  if (piece.speed !== 1) filters.push(...buildTempoFilters(piece.speed, isPitchPreserved(clip)));
+  filters.push('aformat=channel_layouts=stereo');
+  if (pad) {
+    if (startPad > 0) filters.push(`adelay=delays=${Math.round(startPad * 1000)}:all=1`);
+    filters.push(`apad=whole_dur=${formatSeconds(length)}`, `atrim=duration=${formatSeconds(length)}`);
+  }
+  return filters.join(',');
+};
+
+// Build the filter that applies a clip's volume, fades and envelope to sound starting `offset` seconds into the clip
+const buildGainFilter = (clip, offset) => `volume='${buildGainExpression(clip, offset)}':eval=frame`;
+
+// Build the filters that pan and zoom a still across its motion rectangles, starting `offset` seconds
+// into the clip, in place of the scale that fits it inside the frame. Mirrors getClipMotionRect.
+// zoompan crops whole pixels, so the picture is first enlarged to keep slow moves from juddering.
+const buildMotionFilter = (clip, input, transform, { width, height, fps }, offset) => {
+  const { start, end } = getClipMotion(clip);
+  const crop = clampCrop(transform.crop);
+  const cropWidth = input.width * (1 - crop.left - crop.right);
+  const cropHeight = input.height * (1 - crop.top - crop.bottom);
+  const fit = Math.min(width / cropWidth, height / cropHeight) * transform.scale;
+  const outWidth = Math.max(2, Math.round(cropWidth * fit / 2) * 2);
+  const outHeight = Math.max(2, Math.round(cropHeight * fit / 2) * 2);
+  const enlarge = Math.max(1, Math.min(Math.ceil(1 / Math.min(start.width, end.width)), Math.floor(MAX_MOTION_SOURCE_WIDTH / outWidth)));
+
+  const progress = `clip((on/${fps}+${formatNumber(offset)})/${formatNumber(clip.duration)},0,1)`;
+  const lerp = (key) => `(${formatNumber(start[key])}+${formatNumber(end[key] - start[key])}*${progress})`;
+  return [
+    `scale=w=${outWidth * enlarge}:h=${outHeight * enlarge}`,
+    `zoompan=z='1/${lerp('width')}':x='iw*${lerp('x')}':y='ih*${lerp('y')}':d=1:s=${outWidth}x${outHeight}:fps=${fps}`
+  ].join(',');
+};
+
+// Build the filters that apply a clip's effects at their intensity, `offset` seconds into the clip.
+// At part intensity the filtered picture is blended over the unfiltered one, as the preview mixes
+// them; the chain branches to do that, so `label` names the branches.
+const buildEffectFilters = (clip, offset, label) => {
+  const effects = getClipEffects(clip);
+  const effectFilters = getFfmpegEffectFilters(effects);
+  if (effectFilters.length === 0) return [];
+  if (!hasKeyframes(clip, 'intensity')) {
+    if (effects.intensity >= 1) return effectFilters;
+    if (effects.intensity <= 0) return [];
+  }
+
+  const intensity = `clip(${buildKeyframeExpression(clip, 'intensity', `T+${formatNumber(offset)}`, effects.intensity)},0,1)`;
+  return [
+    `format=rgba,split[${label}u][${label}f];` +
+    `[${label}f]${effectFilters.join(',')},format=rgba[${label}e];` +
+    `[${label}u][${label}e]blend=all_expr='A+(B-A)*${intensity}'`
+  ];
+};
+
+// Build the filters that colour and transform a clip's picture, `offset` seconds into the clip
+const buildLayerFilters = (clip, input, frameSettings, offset, label) => {
+  const fitFilter = getClipMotion(clip) && input.width && input.height
+    ? buildMotionFilter(clip, input, { ...getClipTransform(clip), scale: getFitScale(clip) }, frameSettings, offset)
+    : null;
+  return [
+    ...buildEffectFilters(clip, offset, label),
+    buildTransformFilters(clip, frameSettings, offset, fitFilter)
+  ].join(',');
+};
+
+// Get the overlay position that centres a layer on its clip's transform position; w and h are the
+// layer's own size. `clipTime` is an expression for the clip time at the overlay, for keyframed positions.
+const getOverlayPosition = (clip, width, height, clipTime) => {
+  const transform = getClipTransform(clip);
+  if (!hasKeyframes(clip, 'x') && !hasKeyframes(clip, 'y')) {
+    return `x=${formatNumber(width * (0.5 + transform.x))}-w/2:y=${formatNumber(height * (0.5 + transform.y))}-h/2`;
+  }
+  const x = buildKeyframeExpression(clip, 'x', clipTime, transform.x);
+  const y = buildKeyframeExpression(clip, 'y', clipTime, transform.y);
+  return `x='${width}*(0.5+${x})-w/2':y='${height}*(0.5+${y})-h/2'`;
+};
+
+// Build the filter_complex that lays every clip out on the timeline.
+//
+// Each clip is overlaid on a black background for the part of it outside any transition. A
+// transition is rendered as its own segment: both clips are laid out on full-frame transparent
+// layers, blended with xfade (and their sound with acrossfade), and overlaid over the cut.
+export const buildFilterGraph = (clips, inputs, { width, height, fps, duration, includeAudio, format }) => {
+  const filters = [];
+  const audioLabels = [];
+  const totalDuration = formatSeconds(duration);
+
+  // Black background spanning the whole project so gaps render as black frames
+  filters.push(`color=c=black:s=${width}x${height}:r=${fps}:d=${totalDuration}[base0]`);
+  let videoLabel = 'base0';
+  let layerCount = 0;
+
+  const overlay = (label, position) => {
+    layerCount += 1;
+    filters.push(`[${videoLabel}][${label}]overlay=${position}:eof_action=pass[base${layerCount}]`);
+    videoLabel = `base${layerCount}`;
+  };
+
+  const hasSound = (clip) => includeAudio && clip.renderAudio && inputs.get(getInputKey(clip)).hasAudio;
+
+  // Lay out `length` seconds of a clip's picture, from timeline time `at`, on a full-frame transparent layer
+  const buildFullFrameLayer = (clip, at, length, label) => {
+    const input = inputs.get(getInputKey(clip));
+    const piece = getSourcePiece(clip, input, at, length);
+    const offset = at - clip.start;
+    const layerFilters = buildLayerFilters(clip, input, { width, height, fps }, offset, `${label}x`);
+    filters.push(`[${input.index}:v]${buildVideoRange(piece, length, fps, true)},${layerFilters}[${label}l]`);
+    filters.push(`color=c=black@0:s=${width}x${height}:r=${fps}:d=${formatSeconds(length)},format=rgba[${label}c]`);
+    filters.push(`[${label}c][${label}l]overlay=${getOverlayPosition(clip, width, height, `t+${formatNumber(offset)}`)}:format=rgb[${label}]`);
+  };
+
+  // Get `length` seconds of a clip's sound from timeline time `at`, or silence for a clip without any
+  const buildAudioPiece = (clip, at, length, label) => {
+    if (!hasSound(clip)) {
+      filters.push(`anullsrc=r=${AUDIO_SAMPLE_RATE}:cl=stereo,atrim=duration=${formatSeconds(length)}[${label}]`);
+      return;
+    }
+    const input = inputs.get(getInputKey(clip));
+    const piece = getSourcePiece(clip, input, at, length);
+    filters.push(`[${input.index}:a]${buildAudioRange(clip, piece, length, true)},${buildGainFilter(clip, at - clip.start)}[${label}]`);
+  };
+
+  clips.forEach((clip, n) => {
+    const input = inputs.get(getInputKey(clip));
+
+    // The part of the clip outside its transitions
+    const inset = clip.transitionIn ? clip.transitionIn.duration / 2 : 0;
+    const outset = clip.transitionOut ? clip.transitionOut.duration / 2 : 0;
+    const bodyStart = clip.start + inset;
+    const bodyLength = clip.duration - inset - outset;
+    const piece = getSourcePiece(clip, input, bodyStart, bodyLength);
+    const start = formatSeconds(bodyStart);
+
+    if (bodyLength > 0 && clip.renderVideo && input.isText) {
+      // Text frames arrive drawn, placed and animated, so they only need timing
+      filters.push(
+        `[${input.index}:v]${buildVideoRange(piece, bodyLength, fps, true)},format=rgba,` +
+        `setpts=PTS+${start}/TB[v${n}]`
+      );
+      overlay(`v${n}`, 'x=0:y=0');
+    } else if (bodyLength > 0 && clip.renderVideo) {
+      // Trim the source range, apply the clip's effects and transform and shift it to its timeline position
+      filters.push(
+        `[${input.index}:v]${buildVideoRange(piece, bodyLength, fps)},` +
+        `${buildLayerFilters(clip, input, { width, height, fps }, inset, `v${n}x`)},` +
+        `setpts=PTS+${start}/TB[v${n}]`
+      );
+      // The overlay runs on timeline time
+      overlay(`v${n}`, getOverlayPosition(clip, width, height, `t-${formatNumber(clip.start)}`));
+    }
+
+    if (bodyLength > 0 && hasSound(clip)) {
+      const delay = Math.round(bodyStart * 1000);
+      filters.push(
+        `[${input.index}:a]${buildAudioRange(clip, piece, bodyLength)},${buildGainFilter(clip, inset)},` +
+        `adelay=delays=${delay}:all=1[a${n}]`
+      );
+      audioLabels.push(`[a${n}]`);
+    }
+
+    const transition = clip.transitionOut;
+    if (!transition) return;
+    const transitionStart = formatSeconds(transition.start);
+    const transitionDuration = formatSeconds(transition.duration);
+
+    if (clip.renderVideo) {
+      buildFullFrameLayer(clip, transition.start, transition.duration, `t${n}a`);
+      buildFullFrameLayer(transition.to, transition.start, transition.duration, `t${n}b`);
+      filters.push(
+        `[t${n}a][t${n}b]xfade=transition=${getTransitionType(transition.type).xfade}:` +
+        `duration=${transitionDuration}:offset=0,setpts=PTS+${transitionStart}/TB[tv${n}]`
+      );
+      overlay(`tv${n}`, 'x=0:y=0');
+    }
+
+    if (hasSound(clip) || hasSound(transition.to)) {
+      buildAudioPiece(clip, transition.start, transition.duration, `t${n}x`);
+      buildAudioPiece(transition.to, transition.start, transition.duration, `t${n}y`);
+      filters.push(
+        `[t${n}x][t${n}y]acrossfade=d=${transitionDuration}:c1=tri:c2=tri,` +
+        `adelay=delays=${Math.round(transition.start * 1000)}:all=1[ta${n}]`
+      );
+      audioLabels.push(`[ta${n}]`);
+    }
+  });
+
+  if (format === 'gif') {
+    // GIFs need a palette generated from the rendered frames
+    filters.push(`[${videoLabel}]fps=12,split[gif0][gif1]`);
+    filters.push('[gif0]palettegen[palette]');
+    filters.push('[gif1][palette]paletteuse[vout]');
+  } else {
+    filters.push(`[${videoLabel}]format=yuv420p[vout]`);
+  }
+
+  if (includeAudio) {
+    // Silent bed keeps the mix as long as the project even where no clip has audio
+    filters.push(`anullsrc=r=${AUDIO_SAMPLE_RATE}:cl=stereo,atrim=duration=${totalDuration}[abase]`);
+    filters.push(
+      `[abase]${audioLabels.join('')}amix=inputs=${audioLabels.length + 1}:duration=first:normalize=0[aout]`
+    );
+  }
+
+  return filters.join(';');
+};
+
+// Render the project timeline to a Blob in the requested format and quality
+export const renderTimeline = async (ffmpeg, project, { format = 'mp4', quality = 'medium', captions, onLog, onProgress } = {}) => {
+  const formatSettings = FORMAT_SETTINGS[format];
+  const qualitySettings = QUALITY_SETTINGS[quality];
+  if (!formatSettings || !qualitySettings) {
+    throw new Error(`Unsupported export settings: ${format} / ${quality}`);
+  }
+
+  const captionMode = getCaptionMode(format, captions);
+  const clips = getRenderableClips(project, { captions: captionMode });
+  const duration = getRenderDuration(clips);
+  if (clips.length === 0 || duration <= 0) {
+    throw new Error('Nothing to export: add clips to the timeline first');
+  }
+
+  const outputName = `output.${format}`;
+  const chapters = formatSettings.hasChapters ? getChapters(project.markers, duration) : [];
+  const subtitles = captionMode === CAPTION_MODES.soft ? getSubtitleTracks(project) : [];
+  const writtenFiles = [];
+  const subtitleFileNames = [];
+
+  try {
+    const inputs = await writeInputs(ffmpeg, clips, {
+      width: qualitySettings.width,
+      height: qualitySettings.height,
+      fps: EXPORT_FPS
+    }, writtenFiles);
+
+    const filterGraph = buildFilterGraph(clips, inputs, {
+      width: qualitySettings.width,
+      height: qualitySettings.height,
+      fps: EXPORT_FPS,
+      duration,
+      includeAudio: formatSettings.hasAudio,
+      format
+    });
+
+    const args = ['-hide_banner'];
+    inputs.forEach(input => {
+      // Stills loop as a video stream long enough for any clip that uses them
+      if (input.isImage) {
+        args.push('-loop', '1', '-framerate', String(EXPORT_FPS), '-t', formatSeconds(duration));
+      } else if (input.isText) {
+        args.push('-f', 'concat', '-safe', '0');
+      }
+      args.push('-i', input.fileName);
+    });
+    // Markers become chapters, read from a metadata file after the media inputs
+    let nextInputIndex = inputs.size;
+    const chaptersIndex = chapters.length > 0 ? nextInputIndex++ : null;
+    if (chaptersIndex !== null) {
+      await ffmpeg.writeFile(CHAPTERS_FILE_NAME, buildFfmetadata(chapters));
+      args.push('-f', 'ffmetadata', '-i', CHAPTERS_FILE_NAME);
+    }
+    // Each caption track becomes a subtitle stream, read from an SRT file after those
+    const subtitleInputs = [];
+    for (const [n, track] of subtitles.entries()) {
+      const fileName = `captions-${n}.srt`;
+      await ffmpeg.writeFile(fileName, buildSrt(getTrackCues(track)));
+      subtitleFileNames.push(fileName);
+      args.push('-i', fileName);
+      subtitleInputs.push({ index: nextInputIndex++, track });
+    }
+    args.push('-filter_complex', filterGraph, '-map', '[vout]');
+    if (formatSettings.hasAudio) {
+      args.push('-map', '[aout]');
+    }
+    subtitleInputs.forEach(({ index, track }, n) => {
+      args.push('-map', `${index}:s`, `-metadata:s:s:${n}`, `title=${getTrackName(track, project.tracks)}`);
+    });
+    if (subtitleInputs.length > 0) {
+      args.push('-c:s', formatSettings.subtitleCodec);
+    }
+    if (chaptersIndex !== null) {
+      args.push('-map_chapters', String(chaptersIndex));
+    }
+    args.push(
+      ...formatSettings.videoArgs(qualitySettings),
+      ...formatSettings.audioArgs(qualitySettings),
+      ...formatSettings.containerArgs,
+      '-t', formatSeconds(duration),
+      '-y', outputName
+    );
+
+    console.log('Running ffmpeg with filtergraph:', filterGraph);
+
+    // Only report events from the render itself, not from probing the inputs
+    if (onLog) ffmpeg.on('log', onLog);
+    if (onProgress) ffmpeg.on('progress', onProgress);
+    let exitCode;
+    try {
+      exitCode = await ffmpeg.exec(args);
+    } finally {
+      if (onLog) ffmpeg.off('log', onLog);
+      if (onProgress) ffmpeg.off('progress', onProgress);
+    }
+    if (exitCode !== 0) {
+      throw new Error(`ffmpeg exited with code ${exitCode}`);
+    }
+
+    const data = await ffmpeg.readFile(outputName);
+    return new Blob([data.buffer], { type: formatSettings.mimeType });
+  } finally {
+    // Free the virtual file system so repeated exports don't accumulate memory
+    const fileNames = [...writtenFiles, outputName];
+    if (chapters.length > 0) fileNames.push(CHAPTERS_FILE_NAME);
+    fileNames.push(...subtitleFileNames);
+    await Promise.all(fileNames.map(name => ffmpeg.deleteFile(name).catch(() => {})));
+  }
+};
@@ -0,0 +1,159 @@
+import { withStore, requestToPromise, STORES } from './database';
+import { getClipSource } from '../utils/clipUtils';
+
+// localStorage key used by the old base64 media library
+const LEGACY_LIBRARY_KEY = 'videoEditor_mediaLibrary';
+
+// Object URLs handed out this session, keyed by asset id
+const objectUrls = new Map();
+
+// Create a fresh asset id
+export const createMediaId = (index = 0) => `upload-${Date.now()}-${index}`;
+
+// Store an uploaded file as a media asset and return its metadata
+export const addMediaAsset = async (blob, metadata) => {
+  const asset = {
+    ...metadata,
+    fileType: metadata.fileType || blob.type,
+    fileSize: blob.size,
+    createdAt: new Date().toISOString()
+  };
+
+  await withStore([STORES.media, STORES.mediaBlobs], 'readwrite', (media, mediaBlobs) => {
+    media.put(asset);
+    mediaBlobs.put({ id: asset.id, blob });
+  });
+
+  return asset;
+};
+
+// List stored media assets, oldest first
+export const listMediaAssets = async () => {
+  const assets = await withStore(STORES.media, 'readonly', store => requestToPromise(store.getAll()));
+  return assets.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+};
+
+// Get the metadata of a stored asset, or null
+export const getMediaAsset = (id) => {
+  return withStore(STORES.media, 'readonly', store => requestToPromise(store.get(id)))
+    .then(asset => asset || null);
+};
+
+// Get the original Blob of a stored asset, or null
+export const getMediaBlob = async (id) => {
+  const record = await withStore(STORES.mediaBlobs, 'readonly', store => requestToPromise(store.get(id)));
+  return record ? record.blob : null;
+};
+
+// Get an object URL for a stored asset, creating it on first request
+export const getMediaUrl = async (id) => {
+  if (objectUrls.has(id)) return objectUrls.get(id);
+
+  const blob = await getMediaBlob(id);
+  if (!blob) return null;
+
+  // Another caller may have created the URL while the Blob was loading
+  if (!objectUrls.has(id)) {
+    objectUrls.set(id, URL.createObjectURL(blob));
+  }
+  return objectUrls.get(id);
+};
+
+// Get an object URL synchronously if one was already handed out
+export const getCachedMediaUrl = (id) => objectUrls.get(id) || null;
+
+// Release the object URL of an asset
+export const revokeMediaUrl = (id) => {
+  const url = objectUrls.get(id);
+  if (url) {
+    URL.revokeObjectURL(url);
+    objectUrls.delete(id);
+  }
+};
+
+// Delete a stored asset, its Blob and anything derived from it
+export const deleteMediaAsset = async (id) => {
+  revokeMediaUrl(id);
+  const stores = [STORES.media, STORES.mediaBlobs, STORES.waveforms, STORES.posters];
+  await withStore(stores, 'readwrite', (...assetStores) => {
+    assetStores.forEach(store => store.delete(id));
+  });
+};
+
+// Resolve the URL a clip or library item plays from.
+// Sample media and clips from older projects carry their own source; uploads are looked up by id.
+export const resolveMediaUrl = async (mediaId, directSource = null) => {
+  if (directSource) return directSource;
+  if (!mediaId) return null;
+  return getMediaUrl(mediaId);
+};
+
+// Get the data ffmpeg should read for a clip: a stored Blob or a URL
+export const getClipMediaData = async (clip) => {
+  const directSource = getClipSource(clip);
+  if (directSource) return directSource;
+  return getMediaBlob(clip.mediaId);
+};
+
+// Report how much storage the editor uses and how much the browser allows
+export const getStorageEstimate = async () => {
+  if (!navigator.storage || !navigator.storage.estimate) return null;
+  const { usage, quota } = await navigator.storage.estimate();
+  return { usage, quota };
+};
+
+// Ask the browser not to evict stored media under storage pressure
+export const requestPersistentStorage = async () => {
+  if (!navigator.storage || !navigator.storage.persist) return false;
+  try {
+    return await navigator.storage.persist();
+  } catch (error) {
+    console.warn('Persistent storage request failed:', error);
+    return false;
+  }
+};
+
+// Check whether an error means the storage quota ran out
+export const isQuotaError = (error) => {
+  return !!error && (error.name === 'QuotaExceededError' || /quota/i.test(error.message || ''));
+};
+
+// Convert a base64 data URL back into a Blob
+export const dataUrlToBlob = async (dataUrl) => {
+  const response = await fetch(dataUrl);
+  return response.blob();
+};
+
+// Convert a Blob to a base64 data URL
+export const blobToDataUrl = (blob) => {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.readAsDataURL(blob);
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+  });
+};
+
+// Move uploads from the old localStorage library into IndexedDB, then drop the localStorage copy
+export const migrateLegacyMediaLibrary = async () => {
+  const saved = localStorage.getItem(LEGACY_LIBRARY_KEY);
+  if (!saved) return 0;
+
+  let migrated = 0;
+  try {
+    const items = JSON.parse(saved);
+    for (const item of items) {
+      if (!item.fileData) continue;
+
+      const { fileData, ...metadata } = item;
+      await addMediaAsset(await dataUrlToBlob(fileData), metadata);
+      migrated++;
+    }
+    localStorage.removeItem(LEGACY_LIBRARY_KEY);
+    console.log('Migrated', migrated, 'media items from localStorage to IndexedDB');
+  } catch (error) {
+    console.error('Error migrating media library from localStorage:', error);
+  }
+
+  return migrated;
+};
@@ -0,0 +1,355 @@
+import { resolveMediaUrl } from './mediaStore';
+import { getLayersAt, getLayerClips, getNextLayerBoundary, drawFrame } from './compositor';
+import { createAudioMixer } from './audioMixer';
+import {
+  timelineToHandleTime,
+  getMediaDuration,
+  getClipSource,
+  getClipSpeed,
+  isClipReversed,
+  isTimeInClip,
+  FRAME_RATE
+} from '../utils/clipUtils';
+import { isTrackAudible, hasTrackAudio } from '../utils/trackUtils';
+import { getTransitionAt, getTransitionProgress } from '../utils/transitionUtils';
+import { getClipGain, isPitchPreserved, AUDIO_CLIP_TYPES } from '../utils/audioUtils';
+
+// How far a playing element may drift from the master clock before it is re-seeked
+const MAX_PLAYING_DRIFT = 0.25;
+
+// How far a paused element may be from the requested frame before it is re-seeked
+const MAX_PAUSED_DRIFT = 0.5 / FRAME_RATE;
+
+// Fastest playback rate browsers accept on a media element
+const MAX_ELEMENT_RATE = 16;
+
+// Minimum interval between time reports, so the editor re-renders at most ~30 times a second
+const TIME_REPORT_INTERVAL_MS = 33;
+
+// Wait for one of the named events on an element
+const waitForEvent = (element, ...eventNames) => new Promise(resolve => {
+  const handler = (event) => {
+    eventNames.forEach(name => element.removeEventListener(name, handler));
+    resolve(event);
+  };
+  eventNames.forEach(name => element.addEventListener(name, handler));
+});
+
+// Get the source position for a clip at a timeline time, held on the first or last frame of the
+// media where a transition reaches past it
+const getSourcePosition = (clip, time) => {
+  const handleTime = timelineToHandleTime(clip, time);
+  const sourceTime = Math.min(Math.max(handleTime, 0), getMediaDuration(clip));
+  return { sourceTime, isHeld: sourceTime !== handleTime };
+};
+
+// Get the clips sounding at a timeline time on every track that carries audio, hidden or not.
+// Each voice is { clip, track, weight } where weight is the clip's share of a transition's crossfade.
+const getVoicesAt = (tracks, time) => {
+  return tracks.filter(hasTrackAudio).flatMap(track => {
+    const transition = getTransitionAt(track, time);
+    if (transition) {
+      const progress = getTransitionProgress(transition, time);
+      return [
+        { clip: transition.from, track, weight: 1 - progress },
+        { clip: transition.to, track, weight: progress }
+      ];
+    }
+    const clip = track.clips.find(c => isTimeInClip(c, time));
+    return clip ? [{ clip, track, weight: 1 }] : [];
+  }).filter(({ clip }) => AUDIO_CLIP_TYPES.includes(clip.type));
+};
+
+// Preview playback of every layer on the timeline, composited onto a canvas, with sound from
+// every audio and video track mixed through Web Audio.
+//
+// Each media clip under the playhead gets its own <video>, <audio> or <img>, and the clips
+// that come next are loaded and parked on their first frame ahead of time, so a cut never
+// waits on media. A master clock drives the timeline time; media follows it, gaps between
+// clips draw black, and playback stops at the project duration. Each clip's level comes from
+// its volume, fades and envelope, and during a transition both clips play and crossfade.
+export const createPlaybackEngine = (canvas, { onTimeUpdate, onEnded, onWaitingChange, onError }) => {
+  const ctx = canvas.getContext('2d');
+  const mixer = createAudioMixer();
+  // Loaded media by clip id: { element, isReady, disposed }
+  const sources = new Map();
+
+  let tracks = [];
+  let duration = 0;
+  let time = 0;
+  let layers = [];
+  let isPlaying = false;
+  let rate = 1;            // Playback speed; negative plays backwards
+  let isWaiting = false;
+  let clockOrigin = 0;     // performance.now() when the clock was last anchored
+  let timeAtOrigin = 0;    // Timeline time at that moment
+  let frameId = null;
+  let lastReportAt = 0;
+  let reportedTime = null;
+
+  const setWaiting = (waiting) => {
+    if (waiting === isWaiting) return;
+    isWaiting = waiting;
+    if (onWaitingChange) onWaitingChange(waiting);
+  };
+
+  // Restart the master clock from the current time
+  const anchorClock = () => {
+    clockOrigin = performance.now();
+    timeAtOrigin = time;
+  };
+
+  const reportTime = (force = false) => {
+    const now = performance.now();
+    if (!force && now - lastReportAt < TIME_REPORT_INTERVAL_MS) return;
+    lastReportAt = now;
+    reportedTime = time;
+    onTimeUpdate(time);
+  };
+
+  const draw = () => {
+    drawFrame(ctx, layers, (clip) => {
+      const source = sources.get(clip.id);
+      return source && source.isReady ? source.element : null;
+    }, time);
+  };
+
+  // Text drawn before its web font arrived falls back to another font; draw again once it has
+  document.fonts.addEventListener('loadingdone', draw);
+
+  // Load a media clip's video, audio or image and, for video and audio, park it at `sourceTime`
+  const loadSource = async (clip, sourceTime) => {
+    const source = { element: null, isReady: false, disposed: false };
+    sources.set(clip.id, source);
+
+    // A clip whose media can't be had draws nothing, and the clock moves on rather than wait for it
+    const skipSource = () => {
+      source.element = null;
+      source.isReady = true;
+      render();
+    };
+
+    const url = await resolveMediaUrl(clip.mediaId, getClipSource(clip));
+    if (source.disposed) return;
+    if (!url) {
+      console.warn('No media available for clip:', clip.name);
+      skipSource();
+      return;
+    }
+
+    const isImage = clip.type === 'image';
+    const element = isImage ? new Image() : document.createElement(clip.type === 'audio' ? 'audio' : 'video');
+    element.crossOrigin = 'anonymous';
+    if (!isImage) {
+      element.playsInline = true;
+      element.preload = 'auto';
+      mixer.connect(element);
+      // Redraw once a seek made while paused lands on its frame
+      element.addEventListener('seeked', () => {
+        if (!isPlaying && !source.disposed) draw();
+      });
+    }
+    source.element = element;
+    element.src = url;
+
+    const loaded = await waitForEvent(element, isImage ? 'load' : 'loadeddata', 'error');
+    if (source.disposed) return;
+    if (loaded.type === 'error') {
+      console.error('Error loading preview media for clip:', clip.name);
+      if (element instanceof HTMLMediaElement) mixer.disconnect(element);
+      skipSource();
+      if (onError) onError(clip);
+      return;
+    }
+
+    if (!isImage && Math.abs(element.currentTime - sourceTime) > MAX_PAUSED_DRIFT) {
+      element.currentTime = sourceTime;
+      await waitForEvent(element, 'seeked');
+      if (source.disposed) return;
+    }
+
+    source.isReady = true;
+    render();
+  };
+
+  const disposeSource = (source) => {
+    source.disposed = true;
+    if (source.element instanceof HTMLMediaElement) {
+      mixer.disconnect(source.element);
+      source.element.pause();
+      source.element.removeAttribute('src');
+      source.element.load();
+    }
+  };
+
+  // Keep a video or audio element in step with the timeline, playing at `gain`. The media runs at the
+  // clip's speed times the playback rate. Media can't play backwards, so when the timeline runs in
+  // reverse or the clip is reversed it stays paused, silent and is seeked every frame.
+  const syncMedia = (element, clip, gain) => {
+    const { sourceTime, isHeld } = getSourcePosition(clip, time);
+    const mediaRate = rate * getClipSpeed(clip) * (isClipReversed(clip) ? -1 : 1);
+    const isRolling = isPlaying && mediaRate > 0;
+    mixer.setGain(element, isPlaying && mediaRate < 0 ? 0 : gain);
+    // Faster than browsers play, the element falls behind and is re-seeked to keep up
+    const elementRate = Math.min(mediaRate, MAX_ELEMENT_RATE);
+    if (mediaRate > 0 && element.playbackRate !== elementRate) element.playbackRate = elementRate;
+    const preservesPitch = isPitchPreserved(clip);
+    if (element.preservesPitch !== preservesPitch) element.preservesPitch = preservesPitch;
+
+    const drift = Math.abs(element.currentTime - sourceTime);
+    if (drift > (isRolling ? MAX_PLAYING_DRIFT * mediaRate : MAX_PAUSED_DRIFT)) {
+      element.currentTime = sourceTime;
+    }
+
+    // Held frames stay paused so they don't run on and get pulled back every frame
+    if (isRolling && !isHeld && element.paused) {
+      element.play().catch(error => {
+        // Fall back to muted playback where the browser blocks autoplay with sound
+        console.warn('Preview play blocked, retrying muted:', error);
+        element.muted = true;
+        element.play().catch(e => console.error('Preview play error:', e));
+      });
+    } else if ((!isRolling || isHeld) && !element.paused) {
+      element.pause();
+    }
+  };
+
+  // Bring loaded media, the mix and the canvas in line with the timeline at the current time
+  const render = () => {
+    layers = getLayersAt(tracks, time);
+    const voices = getVoicesAt(tracks, time);
+
+    // Load the clips seen or heard now and the ones that take over at the next cut
+    const boundary = getNextLayerBoundary(tracks, time);
+    const clipsAt = (at, layerList, voiceList) => [...layerList.flatMap(getLayerClips), ...voiceList.map(({ clip }) => clip)]
+      .filter(clip => clip.type !== 'text')
+      .map(clip => [clip, at]);
+    const upcoming = boundary < duration ? clipsAt(boundary, getLayersAt(tracks, boundary), getVoicesAt(tracks, boundary)) : [];
+    const wanted = new Set();
+    [...clipsAt(time, layers, voices), ...upcoming].forEach(([clip, at]) => {
+      wanted.add(clip.id);
+      if (!sources.has(clip.id)) loadSource(clip, getSourcePosition(clip, at).sourceTime);
+    });
+
+    // Release media no longer needed, and pause anything preloaded but not yet playing
+    const active = new Map(clipsAt(time, layers, voices));
+    sources.forEach((source, clipId) => {
+      if (!wanted.has(clipId)) {
+        disposeSource(source);
+        sources.delete(clipId);
+      } else if (![...active.keys()].some(clip => clip.id === clipId) &&
+          source.element instanceof HTMLMediaElement && !source.element.paused) {
+        source.element.pause();
+      }
+    });
+
+    let allReady = true;
+    active.forEach((at, clip) => {
+      const source = sources.get(clip.id);
+      if (!source.isReady) {
+        allReady = false;
+      } else if (source.element instanceof HTMLMediaElement) {
+        // Clips only seen, such as on a muted track, play silently
+        const voice = voices.find(v => v.clip.id === clip.id);
+        const gain = voice && isTrackAudible(voice.track, tracks) ? getClipGain(clip, time) * voice.weight : 0;
+        syncMedia(source.element, clip, gain);
+      }
+    });
+    setWaiting(!allReady);
+
+    draw();
+  };
+
+  // Advance the master clock one animation frame
+  const tick = () => {
+    frameId = null;
+    if (!isPlaying) return;
+
+    if (isWaiting) {
+      // Hold the clock while a layer under the playhead is still loading
+      anchorClock();
+    } else {
+      time = timeAtOrigin + (performance.now() - clockOrigin) / 1000 * rate;
+    }
+
+    // Stop at the end, or at the start when playing backwards
+    if ((rate > 0 && time >= duration) || (rate < 0 && time <= 0)) {
+      time = Math.min(Math.max(time, 0), duration);
+      isPlaying = false;
+      render();
+      reportTime(true);
+      if (onEnded) onEnded();
+      return;
+    }
+
+    render();
+    reportTime();
+    frameId = requestAnimationFrame(tick);
+  };
+
+  return {
+    // Replace the timeline being played, e.g. after an edit
+    setTimeline: (newTracks, newDuration) => {
+      tracks = newTracks;
+      duration = newDuration;
+      if (time > duration) time = duration;
+      render();
+    },
+
+    play: () => {
+      if (isPlaying) return;
+      // Start over when playback is asked for at the very end, or the very start in reverse
+      if (rate > 0 && time >= duration) time = 0;
+      if (rate < 0 && time <= 0) time = duration;
+      isPlaying = true;
+      mixer.resume();
+      anchorClock();
+      render();
+      frameId = requestAnimationFrame(tick);
+    },
+
+    pause: () => {
+      if (!isPlaying) return;
+      isPlaying = false;
+      if (frameId) cancelAnimationFrame(frameId);
+      frameId = null;
+      render();
+      reportTime(true);
+    },
+
+    // Set the playback speed, e.g. 2 for double speed or -1 for backwards
+    setRate: (newRate) => {
+      if (newRate === rate) return;
+      rate = newRate;
+      anchorClock();
+      render();
+    },
+
+    seek: (newTime) => {
+      time = Math.max(0, Math.min(newTime, duration));
+      anchorClock();
+      render();
+    },
+
+    // Drop all loaded media and load it again, e.g. to retry after an error
+    reload: () => {
+      sources.forEach(disposeSource);
+      sources.clear();
+      render();
+    },
+
+    getTime: () => time,
+
+    // Last time passed to onTimeUpdate, to tell the engine's own updates apart from seeks
+    getReportedTime: () => reportedTime,
+
+    destroy: () => {
+      isPlaying = false;
+      if (frameId) cancelAnimationFrame(frameId);
+      document.fonts.removeEventListener('loadingdone', draw);
+      sources.forEach(disposeSource);
+      sources.clear();
+      mixer.destroy();
+    }
+  };
+};
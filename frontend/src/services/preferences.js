@@ -0,0 +1,29 @@
+// Editor preferences, kept per browser in localStorage and shared by every project
+
+const PREFERENCES_KEY = 'videoEditor_preferences';
+
+export const DEFAULT_PREFERENCES = {
+  // Length in seconds of a still image placed on the timeline
+  stillDuration: 5,
+  // Shortcut overrides by action id, each a list of key combos; actions left out use their defaults
+  keymap: {}
+};
+
+// Load saved preferences, filling in defaults for anything not saved yet
+export const loadPreferences = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PREFERENCES_KEY));
+    return { ...DEFAULT_PREFERENCES, ...saved };
+  } catch (error) {
+    console.warn('Ignoring unreadable preferences:', error);
+    return DEFAULT_PREFERENCES;
+  }
+};
+
+export const savePreferences = (preferences) => {
+  try {
+    localStorage.setItem(PREFERENCES_KEY, JSON.stringify(preferences));
+  } catch (error) {
+    console.error('Error saving preferences:', error);
+  }
+};
@@ -0,0 +1,241 @@
+import { withStore, requestToPromise, STORES } from './database';
+import { getClipSource, getSourceIn } from '../utils/clipUtils';
+import {
+  resolveMediaUrl,
+  getMediaAsset,
+  getMediaBlob,
+  addMediaAsset,
+  blobToDataUrl,
+  dataUrlToBlob
+} from './mediaStore';
+
+// Identifies a project document, in IndexedDB and in shared .vproj files
+const PROJECT_FORMAT = 'videoeditor-project';
+
+// Bump when the document layout changes and add a step to migrateProjectDocument
+export const PROJECT_FORMAT_VERSION = 1;
+
+// File extension for shared project files
+export const PROJECT_FILE_EXTENSION = '.vproj';
+
+// Size of the thumbnail stored with each project
+const THUMBNAIL_WIDTH = 160;
+const THUMBNAIL_HEIGHT = 90;
+
+// Create a fresh project id
+export const createProjectId = () => `project-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Keep only the project fields that belong in a saved document
+const getPersistentProject = (project) => ({
+  name: project.name,
+  duration: project.duration,
+  zoom: project.zoom,
+  markIn: project.markIn,
+  markOut: project.markOut,
+  markers: project.markers,
+  tracks: project.tracks
+});
+
+// Serialize the project to a versioned document
+export const serializeProject = (project, { thumbnail = null, createdAt } = {}) => {
+  const now = new Date().toISOString();
+
+  return {
+    format: PROJECT_FORMAT,
+    version: PROJECT_FORMAT_VERSION,
+    id: project.id,
+    name: project.name,
+    createdAt: createdAt || now,
+    modifiedAt: now,
+    thumbnail,
+    project: getPersistentProject(project)
+  };
+};
+
+// Upgrade a document from an older format version to the current one
+const migrateProjectDocument = (doc) => {
+  if (doc.version > PROJECT_FORMAT_VERSION) {
+    throw new Error(`This project was saved by a newer version of the editor (format v${doc.version})`);
+  }
+
+  // Version 1 is the first format, so there is nothing to migrate yet
+  return doc;
+};
+
+// Validate a project document and turn it back into editor project state
+export const deserializeProject = (doc) => {
+  if (!doc || doc.format !== PROJECT_FORMAT || typeof doc.version !== 'number') {
+    throw new Error('Not a valid project file');
+  }
+
+  const migrated = migrateProjectDocument(doc);
+  const { project } = migrated;
+  if (!project || !Array.isArray(project.tracks)) {
+    throw new Error('Project file has no tracks');
+  }
+
+  return {
+    id: migrated.id,
+    name: project.name || migrated.name || 'Untitled Project',
+    currentTime: 0,
+    duration: project.duration || 0,
+    tracks: project.tracks.map(track => ({ ...track, clips: track.clips || [] })),
+    selectedClipId: null,
+    zoom: project.zoom || 1,
+    markIn: project.markIn ?? null,
+    markOut: project.markOut ?? null,
+    markers: project.markers || []
+  };
+};
+
+// Save a project document, keeping its original creation date
+export const saveProjectDocument = (doc) => {
+  return withStore(STORES.projects, 'readwrite', async (store) => {
+    const existing = await requestToPromise(store.get(doc.id));
+    const saved = existing ? { ...doc, createdAt: existing.createdAt } : doc;
+    await requestToPromise(store.put(saved));
+    return saved;
+  });
+};
+
+// List saved projects, most recently modified first, without their track data
+export const listProjects = async () => {
+  const docs = await withStore(STORES.projects, 'readonly', store => requestToPromise(store.getAll()));
+
+  return docs
+    .map(({ id, name, createdAt, modifiedAt, thumbnail, project }) => ({
+      id,
+      name,
+      createdAt,
+      modifiedAt,
+      thumbnail,
+      clipCount: project.tracks.reduce((count, track) => count + track.clips.length, 0),
+      duration: project.duration
+    }))
+    .sort((a, b) => b.modifiedAt.localeCompare(a.modifiedAt));
+};
+
+// Load a saved project document by id
+export const loadProjectDocument = async (id) => {
+  const doc = await withStore(STORES.projects, 'readonly', store => requestToPromise(store.get(id)));
+  if (!doc) {
+    throw new Error('Project not found');
+  }
+  return doc;
+};
+
+// Delete a saved project
+export const deleteProject = (id) => {
+  return withStore(STORES.projects, 'readwrite', store => requestToPromise(store.delete(id)));
+};
+
+// Get the ids of uploaded media assets the project's clips reference
+const getReferencedMediaIds = (doc) => {
+  const ids = doc.project.tracks.flatMap(track =>
+    track.clips.filter(clip => clip.mediaId && !getClipSource(clip)).map(clip => clip.mediaId)
+  );
+  return [...new Set(ids)];
+};
+
+// Download a project document as a .vproj file, bundling the uploaded media it uses
+export const exportProjectFile = async (doc) => {
+  const media = [];
+  for (const id of getReferencedMediaIds(doc)) {
+    const [asset, blob] = await Promise.all([getMediaAsset(id), getMediaBlob(id)]);
+    if (asset && blob) {
+      media.push({ ...asset, data: await blobToDataUrl(blob) });
+    } else {
+      console.warn(`Media ${id} is missing and will not be included in the project file`);
+    }
+  }
+
+  const blob = new Blob([JSON.stringify({ ...doc, media })], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `${doc.name || 'project'}${PROJECT_FILE_EXTENSION}`;
+  document.body.appendChild(a);
+  a.click();
+  setTimeout(() => {
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }, 0);
+};
+
+// Read a .vproj file and save it as a new project so it never overwrites a local one
+export const importProjectFile = async (file) => {
+  let doc;
+  try {
+    doc = JSON.parse(await file.text());
+  } catch (error) {
+    throw new Error(`${file.name} is not a valid project file`);
+  }
+
+  // Validate before storing anything
+  deserializeProject(doc);
+
+  // Add bundled media the library doesn't have yet; ids are kept so clips still resolve
+  const { media = [], ...projectDoc } = doc;
+  for (const { data, ...asset } of media) {
+    if (await getMediaAsset(asset.id)) continue;
+    await addMediaAsset(await dataUrlToBlob(data), asset);
+  }
+
+  const now = new Date().toISOString();
+  return saveProjectDocument({
+    ...projectDoc,
+    id: createProjectId(),
+    createdAt: now,
+    modifiedAt: now
+  });
+};
+
+// Grab a small frame from the project's first video clip for the open dialog
+export const captureProjectThumbnail = (project) => {
+  const videoTrack = project.tracks.find(track => track.type === 'video');
+  const clip = videoTrack && videoTrack.clips[0];
+  if (!clip) return Promise.resolve(null);
+
+  return resolveMediaUrl(clip.mediaId, getClipSource(clip)).then(source => new Promise((resolve) => {
+    if (!source) {
+      resolve(null);
+      return;
+    }
+
+    const video = document.createElement('video');
+    video.crossOrigin = 'anonymous';
+    video.muted = true;
+    video.preload = 'auto';
+
+    const finish = (result) => {
+      clearTimeout(timeoutId);
+      video.removeAttribute('src');
+      video.load();
+      resolve(result);
+    };
+
+    // Give up rather than blocking the save on a slow or unreachable source
+    const timeoutId = setTimeout(() => finish(null), 5000);
+
+    video.onloadeddata = () => {
+      video.currentTime = getSourceIn(clip) + Math.min(clip.duration / 2, 1);
+    };
+
+    video.onseeked = () => {
+      try {
+        const canvas = document.createElement('canvas');
+        canvas.width = THUMBNAIL_WIDTH;
+        canvas.height = THUMBNAIL_HEIGHT;
+        canvas.getContext('2d').drawImage(video, 0, 0, THUMBNAIL_WIDTH, THUMBNAIL_HEIGHT);
+        finish(canvas.toDataURL('image/jpeg', 0.7));
+      } catch (error) {
+        // Cross-origin sources taint the canvas
+        console.warn('Could not capture project thumbnail:', error);
+        finish(null);
+      }
+    };
+
+    video.onerror = () => finish(null);
+    video.src = source;
+  }));
+};
@@ -0,0 +1,144 @@
+import { loadFFmpeg, restartFFmpeg, renderTimeline, getRenderableClips, getRenderDuration, getCaptionMode } from './ffmpegExport';
+
+// Number of ffmpeg log lines kept while rendering
+const MAX_LOG_LINES = 200;
+
+// Number of log lines shown when a render fails
+const FAILURE_LOG_LINES = 12;
+
+// Lines in ffmpeg output that usually explain why a render failed
+const ERROR_LINE_PATTERN = /error|invalid|failed|cannot|unable|no such|not found|mismatch|unknown/i;
+
+// ffmpeg status lines look like "frame=  120 fps= 24 ... time=00:00:04.00 ..."
+const STATUS_LINE_PATTERN = /frame=\s*(\d+).*?time=\s*(-?\d+):(\d+):(\d+(?:\.\d+)?)/;
+
+// Job states that mean a render is still in progress
+export const ACTIVE_JOB_STATUSES = ['loading', 'rendering'];
+
+// Pick the log lines that explain a failed render
+export const getFailureLogLines = (logs) => {
+  const errorLines = logs.filter(line => ERROR_LINE_PATTERN.test(line));
+  const lines = errorLines.length > 0 ? errorLines : logs;
+  return lines.slice(-FAILURE_LOG_LINES);
+};
+
+// Create a render job that exports the project and reports progress through onUpdate
+export const createRenderJob = (ffmpeg, project, { format, quality, captions }, onUpdate) => {
+  const duration = getRenderDuration(getRenderableClips(project, { captions: getCaptionMode(format, captions) }));
+  let cancelled = false;
+  let state = {
+    status: 'pending',
+    format,
+    quality,
+    duration,
+    progress: 0,
+    frame: 0,
+    renderedTime: 0,
+    startedAt: null,
+    elapsed: 0,
+    eta: null,
+    logs: [],
+    failureLines: [],
+    error: null,
+    blob: null
+  };
+
+  const update = (changes) => {
+    state = { ...state, ...changes };
+    onUpdate(state);
+  };
+
+  // Recompute progress, elapsed time and the estimate from the latest render time
+  const updateProgress = (renderedTime, frame) => {
+    if (cancelled || state.status !== 'rendering') return;
+
+    const time = Math.max(state.renderedTime, renderedTime);
+    const progress = duration > 0 ? Math.min(time / duration, 1) : 0;
+    const elapsed = (Date.now() - state.startedAt) / 1000;
+    const eta = progress > 0.01 ? (elapsed * (1 - progress)) / progress : null;
+
+    update({
+      renderedTime: time,
+      frame: frame ?? state.frame,
+      progress,
+      elapsed,
+      eta
+    });
+  };
+
+  const handleLog = ({ message }) => {
+    const logs = [...state.logs, message].slice(-MAX_LOG_LINES);
+    state = { ...state, logs };
+
+    const match = STATUS_LINE_PATTERN.exec(message);
+    if (match) {
+      const [, frame, hours, minutes, seconds] = match;
+      const time = Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+      updateProgress(time, Number(frame));
+    }
+  };
+
+  const handleProgress = ({ time }) => {
+    // ffmpeg.wasm reports the output position in microseconds
+    updateProgress(time / 1000000);
+  };
+
+  const start = async () => {
+    try {
+      update({ status: 'loading' });
+      await loadFFmpeg(ffmpeg);
+      if (cancelled) return state;
+
+      update({ status: 'rendering', startedAt: Date.now() });
+      const blob = await renderTimeline(ffmpeg, project, {
+        format,
+        quality,
+        captions,
+        onLog: handleLog,
+        onProgress: handleProgress
+      });
+      if (cancelled) return state;
+
+      update({
+        status: 'done',
+        progress: 1,
+        eta: 0,
+        elapsed: (Date.now() - state.startedAt) / 1000,
+        blob
+      });
+    } catch (error) {
+      if (cancelled) return state;
+
+      console.error('Render failed:', error);
+      update({
+        status: 'failed',
+        error: error.message || String(error),
+        failureLines: getFailureLogLines(state.logs)
+      });
+    }
+
+    return state;
+  };
+
+  // Abort the render by terminating the ffmpeg worker, then load a fresh one
+  const cancel = async () => {
+    if (!ACTIVE_JOB_STATUSES.includes(state.status)) return;
+
+    // The next export's start waits for this reload rather than loading the core a second time
+    cancelled = true;
+    const reload = restartFFmpeg(ffmpeg);
+    update({ status: 'cancelled', eta: null });
+
+    try {
+      await reload;
+    } catch (error) {
+      console.error('Error reloading ffmpeg after cancel:', error);
+    }
+  };
+
+  return {
+    start,
+    cancel,
+    getState: () => state
+  };
+};
@@ -0,0 +1,197 @@
+import { withStore, requestToPromise, STORES } from './database';
+import { resolveMediaUrl } from './mediaStore';
+
+// Frames taken from video assets for filmstrips, hover-scrubbing and poster images.
+//
+// Frames are grabbed by seeking a hidden <video> and drawing it onto a small canvas. Each asset has
+// one video element at a time, seeked through its queued requests in order and released once the
+// queue runs dry. Frames sit on a fixed grid of source times so zooming reuses what is cached.
+
+// Spacing of the frame grid in source seconds
+const FRAME_INTERVAL = 0.5;
+
+// Size frames are stored at, 16:9 and large enough for a library card
+export const THUMBNAIL_WIDTH = 160;
+export const THUMBNAIL_HEIGHT = 90;
+
+// Where the poster frame is taken, in seconds, unless the video is shorter
+const POSTER_TIME = 1;
+
+// Per-asset state by asset id or source URL: { frames, pending, video, queued, chain }
+const assets = new Map();
+
+// Poster object URLs by asset id or source URL; null for media a frame couldn't be taken from
+const posters = new Map();
+const pendingPosters = new Map();
+
+// Wait for one of the named events on an element
+const waitForEvent = (element, ...eventNames) => new Promise(resolve => {
+  const handler = (event) => {
+    eventNames.forEach(name => element.removeEventListener(name, handler));
+    resolve(event);
+  };
+  eventNames.forEach(name => element.addEventListener(name, handler));
+});
+
+const getKey = (mediaId, directSource) => directSource || mediaId || null;
+
+const getAsset = (key) => {
+  if (!assets.has(key)) {
+    assets.set(key, { frames: new Map(), pending: new Map(), video: null, queued: 0, chain: Promise.resolve() });
+  }
+  return assets.get(key);
+};
+
+// Load a hidden video element for an asset, resolving with null if it can't be played
+const loadVideo = async (mediaId, directSource) => {
+  const url = await resolveMediaUrl(mediaId, directSource);
+  if (!url) return null;
+
+  const video = document.createElement('video');
+  video.crossOrigin = 'anonymous';
+  video.muted = true;
+  video.preload = 'auto';
+  video.src = url;
+  const loaded = await waitForEvent(video, 'loadeddata', 'error');
+  return loaded.type === 'error' ? null : video;
+};
+
+const releaseVideo = (video) => {
+  video.removeAttribute('src');
+  video.load();
+};
+
+// Seek a video to a time inside it
+const seekVideo = async (video, time) => {
+  video.currentTime = Math.min(Math.max(time, 0), Math.max(video.duration - 0.05, 0));
+  await waitForEvent(video, 'seeked', 'error');
+};
+
+// Seek a video and copy the frame there onto a new canvas, cropped to fill it
+const grabFrame = async (video, time) => {
+  await seekVideo(video, time);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = THUMBNAIL_WIDTH;
+  canvas.height = THUMBNAIL_HEIGHT;
+  const scale = Math.max(THUMBNAIL_WIDTH / video.videoWidth, THUMBNAIL_HEIGHT / video.videoHeight);
+  const width = video.videoWidth * scale;
+  const height = video.videoHeight * scale;
+  canvas.getContext('2d').drawImage(video, (THUMBNAIL_WIDTH - width) / 2, (THUMBNAIL_HEIGHT - height) / 2, width, height);
+  return canvas;
+};
+
+// Run `task` with the asset's video element once the requests queued before it are done
+const enqueue = (asset, mediaId, directSource, task) => {
+  asset.queued += 1;
+  const run = async () => {
+    if (!asset.video) asset.video = loadVideo(mediaId, directSource);
+    const video = await asset.video;
+    return video ? task(video) : null;
+  };
+
+  const result = asset.chain.then(run).catch(error => {
+    console.error('Error grabbing video frame:', error);
+    return null;
+  });
+  asset.chain = result.then(async () => {
+    asset.queued -= 1;
+    if (asset.queued === 0 && asset.video) {
+      const video = await asset.video;
+      asset.video = null;
+      if (video) releaseVideo(video);
+    }
+  });
+  return result;
+};
+
+const getFrameIndex = (time) => Math.max(0, Math.round(time / FRAME_INTERVAL));
+
+// Get the frame nearest a source time if it was already grabbed, or null
+export const getCachedThumbnail = (mediaId, directSource, time) => {
+  const asset = assets.get(getKey(mediaId, directSource));
+  return (asset && asset.frames.get(getFrameIndex(time))) || null;
+};
+
+// Get the frame nearest a source time as a canvas, grabbing it on first request.
+// Resolves with null for media that can't be played.
+export const getThumbnail = (mediaId, directSource, time) => {
+  const key = getKey(mediaId, directSource);
+  if (!key) return Promise.resolve(null);
+
+  const asset = getAsset(key);
+  const index = getFrameIndex(time);
+  if (asset.frames.has(index)) return Promise.resolve(asset.frames.get(index));
+  if (asset.pending.has(index)) return asset.pending.get(index);
+
+  const promise = enqueue(asset, mediaId, directSource, video => grabFrame(video, index * FRAME_INTERVAL))
+    .then(frame => {
+      asset.pending.delete(index);
+      if (frame) asset.frames.set(index, frame);
+      return frame;
+    });
+  asset.pending.set(index, promise);
+  return promise;
+};
+
+// Grab the frame at a source time at the video's full size, e.g. for a freeze frame. Resolves with a
+// PNG Blob, or null when no frame could be taken.
+export const captureFrame = (mediaId, directSource, time) => {
+  const key = getKey(mediaId, directSource);
+  if (!key) return Promise.resolve(null);
+
+  return enqueue(getAsset(key), mediaId, directSource, async video => {
+    await seekVideo(video, time);
+    const canvas = document.createElement('canvas');
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    canvas.getContext('2d').drawImage(video, 0, 0);
+    return new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+  });
+};
+
+// Grab the poster frame of a video and store it for uploads
+const loadPoster = async (mediaId, directSource) => {
+  if (!directSource && mediaId) {
+    const stored = await withStore(STORES.posters, 'readonly', store => requestToPromise(store.get(mediaId)));
+    if (stored) return stored.blob;
+  }
+
+  const asset = getAsset(getKey(mediaId, directSource));
+  const frame = await enqueue(asset, mediaId, directSource, video => grabFrame(video, Math.min(POSTER_TIME, video.duration / 2)));
+  if (!frame) return null;
+
+  const blob = await new Promise(resolve => frame.toBlob(resolve, 'image/jpeg', 0.8));
+  if (blob && !directSource && mediaId) {
+    await withStore(STORES.posters, 'readwrite', store => {
+      store.put({ id: mediaId, blob });
+    });
+  }
+  return blob;
+};
+
+// Get a poster image URL for a video asset synchronously if it was already loaded, or undefined
+export const getCachedPoster = (mediaId, directSource = null) => posters.get(getKey(mediaId, directSource));
+
+// Get a poster image URL for a video asset, grabbing the frame on first request.
+// Resolves with null when no frame could be taken.
+export const getPoster = (mediaId, directSource = null) => {
+  const key = getKey(mediaId, directSource);
+  if (!key) return Promise.resolve(null);
+  if (posters.has(key)) return Promise.resolve(posters.get(key));
+  if (pendingPosters.has(key)) return pendingPosters.get(key);
+
+  const promise = loadPoster(mediaId, directSource)
+    .catch(error => {
+      console.error('Error loading poster frame:', error);
+      return null;
+    })
+    .then(blob => {
+      const url = blob ? URL.createObjectURL(blob) : null;
+      posters.set(key, url);
+      pendingPosters.delete(key);
+      return url;
+    });
+  pendingPosters.set(key, promise);
+  return promise;
+};
@@ -0,0 +1,79 @@
+import { withStore, requestToPromise, STORES } from './database';
+import { resolveMediaUrl } from './mediaStore';
+import { computePeaks } from '../utils/waveformUtils';
+
+// Waveforms decoded this session, keyed by asset id or source URL. Media without sound maps to null.
+const waveforms = new Map();
+
+// Decodes in progress, so an asset shown in several places is only decoded once
+const pending = new Map();
+
+let decodeContext = null;
+
+// An offline context decodes without an output device or a user gesture
+const getDecodeContext = () => {
+  if (!decodeContext) {
+    const OfflineContextClass = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+    decodeContext = new OfflineContextClass(1, 1, 44100);
+  }
+  return decodeContext;
+};
+
+const decodeWaveform = async (mediaId, directSource) => {
+  const url = await resolveMediaUrl(mediaId, directSource);
+  if (!url) return null;
+
+  const response = await fetch(url);
+  const data = await response.arrayBuffer();
+  try {
+    const audioBuffer = await getDecodeContext().decodeAudioData(data);
+    return computePeaks(audioBuffer);
+  } catch (error) {
+    // Video without an audio stream, or a codec the browser can't decode
+    return null;
+  }
+};
+
+// Load stored peaks for an uploaded asset, or decode them from the media and store them
+const loadWaveform = async (mediaId, directSource) => {
+  if (!directSource && mediaId) {
+    const stored = await withStore(STORES.waveforms, 'readonly', store => requestToPromise(store.get(mediaId)));
+    if (stored) return stored.waveform;
+  }
+
+  const waveform = await decodeWaveform(mediaId, directSource);
+  if (!directSource && mediaId) {
+    await withStore(STORES.waveforms, 'readwrite', store => {
+      store.put({ id: mediaId, waveform });
+    });
+  }
+  return waveform;
+};
+
+// Get the key a media asset's waveform is cached under
+export const getWaveformKey = (mediaId, directSource = null) => directSource || mediaId || null;
+
+// Get a waveform synchronously if it was already loaded, or undefined
+export const getCachedWaveform = (key) => waveforms.get(key);
+
+// Get the waveform of a media asset, decoding it on first request. Resolves with null for media
+// without sound.
+export const getWaveform = (mediaId, directSource = null) => {
+  const key = getWaveformKey(mediaId, directSource);
+  if (!key) return Promise.resolve(null);
+  if (waveforms.has(key)) return Promise.resolve(waveforms.get(key));
+  if (pending.has(key)) return pending.get(key);
+
+  const promise = loadWaveform(mediaId, directSource)
+    .catch(error => {
+      console.error('Error loading waveform:', error);
+      return null;
+    })
+    .then(waveform => {
+      waveforms.set(key, waveform);
+      pending.delete(key);
+      return waveform;
+    });
+  pending.set(key, promise);
+  return promise;
+};
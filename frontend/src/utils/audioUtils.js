@@ -0,0 +1,104 @@
+import { sourceToTimelineTime } from './clipUtils';
+import { getKeyframeValue, buildKeyframeExpression } from './keyframeUtils';
+
+// Per-clip sound settings for clips with audio: a volume, fades at each end and a gain envelope.
+//
+//   volume    gain for the whole clip, 1 leaving it as recorded; can be keyframed
+//   fadeIn    seconds to rise from silence at the clip's start
+//   fadeOut   seconds to fall to silence at the clip's end
+//   envelope  [{ time, gain }] points joined by straight lines, with `time` in source seconds so the
+//             envelope stays with the sound when the clip is trimmed
+//
+// The preview mixer and the export both evaluate the gain from these with the same formula.
+
+export const DEFAULT_AUDIO = {
+  volume: 1,
+  fadeIn: 0,
+  fadeOut: 0,
+  envelope: []
+};
+
+// Loudest gain the volume and envelope can reach
+export const MAX_GAIN = 2;
+
+// Clip types that carry sound
+export const AUDIO_CLIP_TYPES = ['video', 'audio'];
+
+// Check whether a clip's sound keeps its recorded pitch when the clip is sped up or slowed down.
+// Clips keep it unless `preservePitch` is turned off.
+export const isPitchPreserved = (clip) => clip.preservePitch !== false;
+
+// Get a clip's audio settings, filling in defaults for clips saved without them
+export const getClipAudio = (clip) => ({ ...DEFAULT_AUDIO, ...clip.audio });
+
+// Get the envelope points in clip time, seconds from the clip's start, in order
+export const getEnvelopePoints = (clip) => {
+  return getClipAudio(clip).envelope
+    .map(point => ({ time: sourceToTimelineTime(clip, point.time) - clip.start, gain: point.gain }))
+    .sort((a, b) => a.time - b.time);
+};
+
+// Get the envelope gain at a time in clip seconds
+export const getEnvelopeGain = (points, localTime) => {
+  if (points.length === 0) return 1;
+  if (localTime <= points[0].time) return points[0].gain;
+
+  for (let i = 1; i < points.length; i++) {
+    const previous = points[i - 1];
+    const next = points[i];
+    if (localTime < next.time) {
+      return previous.gain + (next.gain - previous.gain) * (localTime - previous.time) / (next.time - previous.time);
+    }
+  }
+  return points[points.length - 1].gain;
+};
+
+// Get a clip's gain at a timeline time. Transitions play a clip just outside its edges, where it
+// keeps the gain it has at the edge.
+export const getClipGain = (clip, time) => {
+  const audio = getClipAudio(clip);
+  const localTime = Math.min(Math.max(time - clip.start, 0), clip.duration);
+
+  const volume = getKeyframeValue(clip, 'volume', clip.start + localTime, audio.volume);
+  let gain = volume * getEnvelopeGain(getEnvelopePoints(clip), localTime);
+  if (audio.fadeIn > 0) gain *= Math.min(localTime / audio.fadeIn, 1);
+  if (audio.fadeOut > 0) gain *= Math.min((clip.duration - localTime) / audio.fadeOut, 1);
+  return gain;
+};
+
+const formatNumber = (value) => Number(value.toFixed(4)).toString();
+
+// Build an ffmpeg expression for a clip's gain, for the volume filter with eval=frame.
+// `offset` is the clip time at the filter's t=0.
+export const buildGainExpression = (clip, offset) => {
+  const audio = getClipAudio(clip);
+  const localTime = `clip(t+${formatNumber(offset)},0,${formatNumber(clip.duration)})`;
+  const factors = [buildKeyframeExpression(clip, 'volume', localTime, audio.volume)];
+
+  // Build the envelope back to front as nested ifs, one segment per point
+  const points = getEnvelopePoints(clip);
+  if (points.length > 0) {
+    let envelope = formatNumber(points[points.length - 1].gain);
+    for (let i = points.length - 1; i > 0; i--) {
+      const previous = points[i - 1];
+      const next = points[i];
+      const span = next.time - previous.time;
+      const segment = span > 0
+        ? `${formatNumber(previous.gain)}+${formatNumber(next.gain - previous.gain)}*(${localTime}-${formatNumber(previous.time)})/${formatNumber(span)}`
+        : formatNumber(next.gain);
+      envelope = `if(lt(${localTime},${formatNumber(next.time)}),${segment},${envelope})`;
+    }
+    envelope = `if(lt(${localTime},${formatNumber(points[0].time)}),${formatNumber(points[0].gain)},${envelope})`;
+    factors.push(`(${envelope})`);
+  }
+
+  if (audio.fadeIn > 0) factors.push(`min(${localTime}/${formatNumber(audio.fadeIn)},1)`);
+  if (audio.fadeOut > 0) factors.push(`min((${formatNumber(clip.duration)}-${localTime})/${formatNumber(audio.fadeOut)},1)`);
+
+  return factors.join('*');
+};
+
+// Check whether a clip plays at its recorded level throughout
+export const isDefaultAudio = (audio) => {
+  return audio.volume === 1 && audio.fadeIn === 0 && audio.fadeOut === 0 && audio.envelope.length === 0;
+};
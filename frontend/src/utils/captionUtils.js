@@ -0,0 +1,154 @@
+import { DEFAULT_TEXT_STYLE, DEFAULT_TEXT_ANIMATION } from './textUtils';
+import { DEFAULT_TRANSFORM } from './transformUtils';
+import { formatVttTime } from './markerUtils';
+
+// Captions: timed text cues on caption tracks.
+//
+// A cue is a clip of type 'caption' holding its words in `text`. Every cue on a track shares the look
+// of the track's caption style preset, `track.captionStyle`. Cues are drawn as text clips in that
+// style, so the preview and a burned-in export use the text drawing code; soft subtitles and sidecar
+// files carry only the timing and the words.
+
+export const CAPTION_STYLES = [
+  {
+    id: 'classic',
+    name: 'Classic',
+    y: 0.38,
+    textStyle: { size: 40, bold: false, background: true, backgroundColor: '#000000', backgroundOpacity: 0.75 }
+  },
+  {
+    id: 'outline',
+    name: 'Outline',
+    y: 0.38,
+    textStyle: { size: 44, bold: true, strokeWidth: 3, strokeColor: '#000000' }
+  },
+  {
+    id: 'social',
+    name: 'Social',
+    y: 0.15,
+    textStyle: { size: 64, bold: true, color: '#FACC15', strokeWidth: 5, strokeColor: '#000000', shadow: true }
+  },
+  {
+    id: 'top',
+    name: 'Top',
+    y: -0.38,
+    textStyle: { size: 40, bold: false, background: true, backgroundColor: '#000000', backgroundOpacity: 0.75 }
+  }
+];
+
+export const DEFAULT_CAPTION_STYLE = CAPTION_STYLES[0].id;
+
+// Length of a new cue in seconds
+export const DEFAULT_CAPTION_DURATION = 2;
+
+// Caption files that can be imported
+export const CAPTION_FILE_EXTENSIONS = ['.srt', '.vtt'];
+
+export const CAPTION_FORMATS = [
+  { id: 'srt', name: 'SubRip (.srt)', mimeType: 'application/x-subrip' },
+  { id: 'vtt', name: 'WebVTT (.vtt)', mimeType: 'text/vtt' }
+];
+
+// Check whether a file holds captions to import rather than media
+export const isCaptionFile = (file) => CAPTION_FILE_EXTENSIONS.some(extension => file.name.toLowerCase().endsWith(extension));
+
+// Get a caption track's style preset
+export const getCaptionStyle = (track) => CAPTION_STYLES.find(style => style.id === track.captionStyle) || CAPTION_STYLES[0];
+
+let captionCount = 0;
+
+// Create a cue clip
+export const createCaptionClip = (start, text, duration = DEFAULT_CAPTION_DURATION) => ({
+  id: `clip-${Date.now()}-caption-${captionCount++}`,
+  type: 'caption',
+  name: 'Caption',
+  text,
+  start,
+  duration
+});
+
+// Get the text clip a cue is drawn as, in its track's style
+export const getCaptionTextClip = (clip, track) => {
+  const style = getCaptionStyle(track);
+  return {
+    ...clip,
+    type: 'text',
+    textStyle: { ...DEFAULT_TEXT_STYLE, ...style.textStyle },
+    textAnimation: { ...DEFAULT_TEXT_ANIMATION },
+    transform: { ...DEFAULT_TRANSFORM, y: style.y },
+    keyframes: {}
+  };
+};
+
+// Get a caption track's cues in order as { start, end, text }
+export const getTrackCues = (track) => {
+  return [...track.clips]
+    .sort((a, b) => a.start - b.start)
+    .map(clip => ({
+      start: clip.start,
+      end: clip.start + clip.duration,
+      // A blank line would end the cue in SRT and WebVTT
+      text: (clip.text || '').replace(/\n\s*\n/g, '\n')
+    }))
+    .filter(cue => cue.text.trim());
+};
+
+// Parse an SRT or WebVTT timestamp, with or without hours, into seconds
+const parseTimestamp = (text) => {
+  const match = /^(?:(\d+):)?(\d{1,2}):(\d{2})[,.](\d{1,3})$/.exec(text.trim());
+  if (!match) return null;
+  const [, hours = '0', minutes, seconds, fraction] = match;
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(fraction.padEnd(3, '0')) / 1000;
+};
+
+// Strip styling tags and decode the entities WebVTT escapes text with
+const cleanCueText = (text) => text
+  .replace(/<[^>]*>/g, '')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&amp;/g, '&');
+
+// Parse an SRT or WebVTT file into cues { start, end, text } in order. Both formats are blocks
+// separated by blank lines, each with a `start --> end` line followed by the text; anything else, such
+// as cue numbers, the WEBVTT header, notes and cue settings, is skipped.
+export const parseCaptions = (source) => {
+  const blocks = source.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n{2,}/);
+  const cues = [];
+
+  blocks.forEach(block => {
+    const lines = block.split('\n');
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1 || /^(NOTE|STYLE|REGION)\b/.test(lines[0])) return;
+
+    const [startText, rest] = lines[timingIndex].split('-->');
+    const start = parseTimestamp(startText);
+    const end = parseTimestamp(rest.trim().split(/\s+/)[0]);
+    const text = cleanCueText(lines.slice(timingIndex + 1).join('\n')).trim();
+    if (start === null || end === null || end <= start || !text) return;
+
+    cues.push({ start, end, text });
+  });
+
+  return cues.sort((a, b) => a.start - b.start);
+};
+
+// Build an SRT file from cues
+export const buildSrt = (cues) => {
+  const formatTime = (seconds) => formatVttTime(seconds).replace('.', ',');
+  return cues.map((cue, index) => (
+    `${index + 1}\n${formatTime(cue.start)} --> ${formatTime(cue.end)}\n${cue.text}\n`
+  )).join('\n');
+};
+
+// Build a WebVTT file from cues
+export const buildVtt = (cues) => {
+  const escape = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const body = cues.map(cue => (
+    `${formatVttTime(cue.start)} --> ${formatVttTime(cue.end)}\n${escape(cue.text)}\n`
+  )).join('\n');
+  return `WEBVTT\n\n${body}`;
+};
+
+// Build a caption file in one of CAPTION_FORMATS
+export const buildCaptionFile = (cues, format) => (format === 'vtt' ? buildVtt(cues) : buildSrt(cues));
@@ -0,0 +1,123 @@
+// Helpers for mapping between timeline time and a clip's source media time.
+//
+// A clip plays the source range [sourceIn, sourceOut) starting at `start` on the
+// timeline. Clips saved before in/out points existed have neither field, so they
+// fall back to playing from the beginning of their media.
+//
+// `speed` scales how fast the range plays, 2 being twice as fast, so a clip lasts
+// the length of its range divided by its speed. A `reverse` clip plays the range
+// backwards, from sourceOut down to sourceIn. Stills and titles have no running
+// time and always play forwards at 1x.
+
+// Frame rate that edit points are aligned to
+export const FRAME_RATE = 30;
+
+// Round a time to the nearest frame boundary
+export const snapToFrame = (time) => Math.round(time * FRAME_RATE) / FRAME_RATE;
+
+// Slowest and fastest a clip can play
+export const MIN_CLIP_SPEED = 0.1;
+export const MAX_CLIP_SPEED = 10;
+
+// Clip types whose content has no running time of its own, so they can be made any length
+const UNTIMED_CLIP_TYPES = ['text', 'image', 'caption'];
+
+// Check whether a clip can be trimmed out in either direction without running out of media
+export const isUntimedClip = (clip) => UNTIMED_CLIP_TYPES.includes(clip.type);
+
+// Get how fast a clip plays its source, 1 being as recorded
+export const getClipSpeed = (clip) => (isUntimedClip(clip) ? 1 : clip.speed ?? 1);
+
+// Check whether a clip plays its source backwards
+export const isClipReversed = (clip) => !isUntimedClip(clip) && !!clip.reverse;
+
+// Get the source in-point of a clip in seconds
+export const getSourceIn = (clip) => clip.sourceIn ?? 0;
+
+// Get the source out-point of a clip in seconds
+export const getSourceOut = (clip) => clip.sourceOut ?? getSourceIn(clip) + clip.duration * getClipSpeed(clip);
+
+// Get the length of the clip's source media, which caps how far it can be trimmed out
+export const getMediaDuration = (clip) => {
+  if (isUntimedClip(clip)) return Infinity;
+  return clip.mediaDuration ?? getSourceOut(clip);
+};
+
+// Get the URL a clip carries itself: a sample media URL, or base64 data in older projects.
+// Uploaded media returns null and is resolved by mediaId through the media store.
+export const getClipSource = (clip) => clip.fileData || clip.src || null;
+
+// Get the end of a clip on the timeline
+export const getClipEnd = (clip) => clip.start + clip.duration;
+
+// Get the end of the last clip across all tracks
+export const getProjectDuration = (tracks) => {
+  return Math.max(...tracks.flatMap(track => track.clips.map(getClipEnd)), 0);
+};
+
+// Get the times where any clip starts or ends, plus the start of the timeline, in order
+export const getEditPoints = (tracks) => {
+  const times = tracks.flatMap(track => track.clips.flatMap(clip => [clip.start, getClipEnd(clip)]));
+  return [...new Set([0, ...times])].sort((a, b) => a - b);
+};
+
+// Check whether a timeline time falls inside a clip
+export const isTimeInClip = (clip, time) => time >= clip.start && time < getClipEnd(clip);
+
+// Convert a timeline time to a source position without stopping at the clip's edges, so
+// transitions can play the media just before and after the clip. May fall outside the media.
+export const timelineToHandleTime = (clip, time) => {
+  const offset = (time - clip.start) * getClipSpeed(clip);
+  return isClipReversed(clip) ? getSourceOut(clip) - offset : getSourceIn(clip) + offset;
+};
+
+// Convert a timeline time to a position in the clip's source media
+export const timelineToSourceTime = (clip, time) => {
+  return timelineToHandleTime(clip, Math.min(Math.max(time, clip.start), getClipEnd(clip)));
+};
+
+// Convert a position in the clip's source media to a timeline time
+export const sourceToTimelineTime = (clip, sourceTime) => {
+  const offset = isClipReversed(clip) ? getSourceOut(clip) - sourceTime : sourceTime - getSourceIn(clip);
+  return clip.start + offset / getClipSpeed(clip);
+};
+
+// Set how fast a clip plays, rescaling its length on the timeline to fit its source range
+export const setClipSpeed = (clip, speed) => {
+  const clamped = Math.min(Math.max(speed, MIN_CLIP_SPEED), MAX_CLIP_SPEED);
+  const range = getSourceOut(clip) - getSourceIn(clip);
+  return {
+    ...clip,
+    speed: clamped,
+    duration: Math.max(snapToFrame(range / clamped), 1 / FRAME_RATE),
+    sourceIn: getSourceIn(clip),
+    sourceOut: getSourceOut(clip)
+  };
+};
+
+// Split a clip at a timeline time into two clips covering adjacent source ranges
+export const splitClipAt = (clip, time, newId) => {
+  const splitSourceTime = timelineToSourceTime(clip, time);
+  // A reversed clip plays the end of its source range first
+  const [firstRange, secondRange] = isClipReversed(clip)
+    ? [[splitSourceTime, getSourceOut(clip)], [getSourceIn(clip), splitSourceTime]]
+    : [[getSourceIn(clip), splitSourceTime], [splitSourceTime, getSourceOut(clip)]];
+
+  const firstHalf = {
+    ...clip,
+    duration: time - clip.start,
+    sourceIn: firstRange[0],
+    sourceOut: firstRange[1]
+  };
+
+  const secondHalf = {
+    ...clip,
+    id: newId,
+    start: time,
+    duration: getClipEnd(clip) - time,
+    sourceIn: secondRange[0],
+    sourceOut: secondRange[1]
+  };
+
+  return [firstHalf, secondHalf];
+};
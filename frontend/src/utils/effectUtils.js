@@ -0,0 +1,135 @@
+// Per-clip colour effects for video and image clips: one preset filter plus four adjustments.
+//
+// Both are expressed as a list of colour operations with the same meaning as the CSS filter
+// functions of the same name. The preview hands them to the canvas as a CSS filter string, and
+// export turns each one into the ffmpeg filter doing the same maths, so the two always agree.
+
+export const FILTER_PRESETS = [
+  { id: 'none', name: 'None', operations: [] },
+  { id: 'grayscale', name: 'Grayscale', operations: [['grayscale', 1]] },
+  { id: 'sepia', name: 'Sepia', operations: [['sepia', 1]] },
+  { id: 'vintage', name: 'Vintage', operations: [['sepia', 0.5], ['contrast', 1.1], ['saturate', 0.8], ['brightness', 1.05]] },
+  { id: 'cool', name: 'Cool', operations: [['hue-rotate', 15], ['saturate', 0.9], ['brightness', 1.05]] },
+  { id: 'warm', name: 'Warm', operations: [['sepia', 0.3], ['saturate', 1.3]] },
+  { id: 'dramatic', name: 'Dramatic', operations: [['contrast', 1.4], ['saturate', 1.2], ['brightness', 0.9]] }
+];
+
+// Adjustment sliders run from -100 to 100 with 0 leaving the picture untouched
+export const ADJUSTMENTS = [
+  { id: 'brightness', name: 'Brightness' },
+  { id: 'contrast', name: 'Contrast' },
+  { id: 'saturation', name: 'Saturation' },
+  { id: 'hue', name: 'Hue' }
+];
+
+export const DEFAULT_EFFECTS = {
+  filter: 'none',
+  // How strongly the filter and adjustments apply, 0 to 1; can be keyframed
+  intensity: 1,
+  adjustments: { brightness: 0, contrast: 0, saturation: 0, hue: 0 }
+};
+
+// Clip types the effects apply to
+export const EFFECT_CLIP_TYPES = ['video', 'image'];
+
+// Get a clip's effects, filling in defaults for clips saved without them
+export const getClipEffects = (clip) => {
+  const effects = clip.effects || {};
+  return {
+    ...DEFAULT_EFFECTS,
+    ...effects,
+    adjustments: { ...DEFAULT_EFFECTS.adjustments, ...effects.adjustments }
+  };
+};
+
+// Check whether effects leave the picture unchanged
+export const isDefaultEffects = (effects) => {
+  return effects.filter === 'none' && effects.intensity === 1 &&
+    ADJUSTMENTS.every(adjustment => effects.adjustments[adjustment.id] === 0);
+};
+
+// Get the colour operations for a clip's effects: the preset first, then the adjustments
+const getOperations = (effects) => {
+  const preset = FILTER_PRESETS.find(p => p.id === effects.filter);
+  const { brightness, contrast, saturation, hue } = effects.adjustments;
+  const operations = [...(preset ? preset.operations : [])];
+
+  if (brightness) operations.push(['brightness', 1 + brightness / 100]);
+  if (contrast) operations.push(['contrast', 1 + contrast / 100]);
+  if (saturation) operations.push(['saturate', 1 + saturation / 100]);
+  // The full slider range turns the hue half way round either way
+  if (hue) operations.push(['hue-rotate', hue * 1.8]);
+
+  return operations;
+};
+
+// Get the CSS filter for effects, for the preview canvas and effect swatches
+export const getCssFilter = (effects) => {
+  const operations = getOperations(effects);
+  if (operations.length === 0) return 'none';
+  return operations
+    .map(([name, amount]) => (name === 'hue-rotate' ? `${name}(${amount}deg)` : `${name}(${amount})`))
+    .join(' ');
+};
+
+// Colour matrices of the CSS filter functions, as defined in the Filter Effects spec
+const LUMA = [0.2126, 0.7152, 0.0722];
+
+const saturateMatrix = (s) => [
+  [LUMA[0] + 0.7874 * s, LUMA[1] - 0.7152 * s, LUMA[2] - 0.0722 * s],
+  [LUMA[0] - 0.2126 * s, LUMA[1] + 0.2848 * s, LUMA[2] - 0.0722 * s],
+  [LUMA[0] - 0.2126 * s, LUMA[1] - 0.7152 * s, LUMA[2] + 0.9278 * s]
+];
+
+const sepiaMatrix = (amount) => {
+  const a = 1 - amount;
+  return [
+    [0.393 + 0.607 * a, 0.769 - 0.769 * a, 0.189 - 0.189 * a],
+    [0.349 - 0.349 * a, 0.686 + 0.314 * a, 0.168 - 0.168 * a],
+    [0.272 - 0.272 * a, 0.534 - 0.534 * a, 0.131 + 0.869 * a]
+  ];
+};
+
+const hueRotateMatrix = (degrees) => {
+  const cos = Math.cos(degrees * Math.PI / 180);
+  const sin = Math.sin(degrees * Math.PI / 180);
+  return [
+    [0.213 + cos * 0.787 - sin * 0.213, 0.715 - cos * 0.715 - sin * 0.715, 0.072 - cos * 0.072 + sin * 0.928],
+    [0.213 - cos * 0.213 + sin * 0.143, 0.715 + cos * 0.285 + sin * 0.140, 0.072 - cos * 0.072 - sin * 0.283],
+    [0.213 - cos * 0.213 - sin * 0.787, 0.715 - cos * 0.715 + sin * 0.715, 0.072 + cos * 0.928 + sin * 0.072]
+  ];
+};
+
+const formatCoefficient = (value) => Number(value.toFixed(4)).toString();
+
+// Apply a 3x3 colour matrix in ffmpeg
+const matrixFilter = (matrix) => {
+  const channels = ['r', 'g', 'b'];
+  const options = matrix.flatMap((row, i) => row.map((value, j) => `${channels[i]}${channels[j]}=${formatCoefficient(value)}`));
+  return `colorchannelmixer=${options.join(':')}`;
+};
+
+// Get the ffmpeg filters equivalent to a clip's effects, in order
+export const getFfmpegEffectFilters = (effects) => {
+  return getOperations(effects).map(([name, amount]) => {
+    switch (name) {
+      case 'grayscale':
+        return matrixFilter(saturateMatrix(1 - amount));
+      case 'saturate':
+        return matrixFilter(saturateMatrix(amount));
+      case 'sepia':
+        return matrixFilter(sepiaMatrix(amount));
+      case 'hue-rotate':
+        return matrixFilter(hueRotateMatrix(amount));
+      case 'brightness':
+        return matrixFilter([[amount, 0, 0], [0, amount, 0], [0, 0, amount]]);
+      case 'contrast': {
+        // Stretch each channel around mid-grey; lutrgb clips the result to the valid range
+        const expression = `(val-128)*${formatCoefficient(amount)}+128`;
+        return `lutrgb=r=${expression}:g=${expression}:b=${expression}`;
+      }
+      default:
+        return null;
+    }
+  }).filter(Boolean);
+};
@@ -0,0 +1,178 @@
+import { getSourceIn, getSourceOut, getClipSpeed, isClipReversed, timelineToHandleTime } from './clipUtils';
+
+// Keyframes animate numeric clip properties over time.
+//
+// `clip.keyframes` maps a property id to a list of { time, value, easing } with `time` in source
+// seconds, like gain envelope points, so keyframes stay with the picture and sound when the clip is
+// trimmed or split. `easing` says how the value travels on to the next keyframe:
+//   linear  at a steady rate
+//   ease    slowly at first and last, as smoothstep
+//   hold    not at all, jumping at the next keyframe
+// Before the first keyframe and after the last the value stays put. A property without keyframes
+// keeps its ordinary, static value.
+//
+// The preview evaluates keyframes with getKeyframeValue and the export with the ffmpeg expression
+// from buildKeyframeExpression; both follow the same formula.
+
+export const EASINGS = [
+  { id: 'linear', name: 'Linear' },
+  { id: 'ease', name: 'Ease' },
+  { id: 'hold', name: 'Hold' }
+];
+
+export const DEFAULT_EASING = 'linear';
+
+// Properties that can be animated, and the clip types that have them
+export const KEYFRAME_PROPERTIES = [
+  { id: 'x', name: 'Position X', clipTypes: ['video', 'image', 'text'] },
+  { id: 'y', name: 'Position Y', clipTypes: ['video', 'image', 'text'] },
+  { id: 'scale', name: 'Scale', clipTypes: ['video', 'image', 'text'] },
+  { id: 'rotation', name: 'Rotation', clipTypes: ['video', 'image', 'text'] },
+  { id: 'opacity', name: 'Opacity', clipTypes: ['video', 'image', 'text'] },
+  { id: 'volume', name: 'Volume', clipTypes: ['video', 'audio'] },
+  { id: 'intensity', name: 'Filter Intensity', clipTypes: ['video', 'image'] }
+];
+
+// Keyframes closer together than half a frame count as the same time
+const KEYFRAME_TOLERANCE = 1 / 60;
+
+// Get a property's keyframes in order, or an empty list if it isn't animated
+export const getKeyframes = (clip, property) => {
+  const keyframes = (clip.keyframes && clip.keyframes[property]) || [];
+  return [...keyframes].sort((a, b) => a.time - b.time);
+};
+
+// Check whether a property is animated
+export const hasKeyframes = (clip, property) => getKeyframes(clip, property).length > 0;
+
+// Get the source times that have a keyframe on any property, in order
+export const getKeyframeTimes = (clip) => {
+  const times = [];
+  Object.values(clip.keyframes || {}).flat().forEach(keyframe => {
+    if (!times.some(time => Math.abs(time - keyframe.time) < KEYFRAME_TOLERANCE)) times.push(keyframe.time);
+  });
+  return times.sort((a, b) => a - b);
+};
+
+// Find a property's keyframe at a source time, or undefined
+export const findKeyframe = (clip, property, time) => {
+  return getKeyframes(clip, property).find(keyframe => Math.abs(keyframe.time - time) < KEYFRAME_TOLERANCE);
+};
+
+// Get the source time a clip is at on the timeline, carrying on past its edges for transitions
+export const getKeyframeTime = (clip, time) => timelineToHandleTime(clip, time);
+
+// Apply an easing to progress through a segment, 0 to 1
+const applyEasing = (easing, progress) => {
+  if (easing === 'hold') return 0;
+  if (easing === 'ease') return progress * progress * (3 - 2 * progress);
+  return progress;
+};
+
+// Evaluate ordered keyframes at a source time
+const evaluateKeyframes = (keyframes, time) => {
+  if (time <= keyframes[0].time) return keyframes[0].value;
+
+  for (let i = 1; i < keyframes.length; i++) {
+    const previous = keyframes[i - 1];
+    const next = keyframes[i];
+    if (time < next.time) {
+      const progress = (time - previous.time) / (next.time - previous.time);
+      return previous.value + (next.value - previous.value) * applyEasing(previous.easing, progress);
+    }
+  }
+  return keyframes[keyframes.length - 1].value;
+};
+
+// Get a property's value at a timeline time: from its keyframes if it has any, otherwise `staticValue`
+export const getKeyframeValue = (clip, property, time, staticValue) => {
+  const keyframes = getKeyframes(clip, property);
+  if (keyframes.length === 0) return staticValue;
+  return evaluateKeyframes(keyframes, getKeyframeTime(clip, time));
+};
+
+// Get the largest value a property reaches, which is where its keyframes or its static value are
+export const getMaxKeyframeValue = (clip, property, staticValue) => {
+  const keyframes = getKeyframes(clip, property);
+  return keyframes.length > 0 ? Math.max(...keyframes.map(keyframe => keyframe.value)) : staticValue;
+};
+
+const formatNumber = (value) => Number(value.toFixed(4)).toString();
+
+// Build an ffmpeg expression for a property's value, or `staticValue` if it has no keyframes.
+// `clipTime` is an expression for the time in clip seconds, such as `t+2` in a filter whose t=0 is
+// two seconds into the clip.
+export const buildKeyframeExpression = (clip, property, clipTime, staticValue) => {
+  const keyframes = getKeyframes(clip, property);
+  if (keyframes.length === 0) return formatNumber(staticValue);
+
+  // The source time, as timelineToHandleTime works it out
+  const speed = formatNumber(getClipSpeed(clip));
+  const time = isClipReversed(clip)
+    ? `(${formatNumber(getSourceOut(clip))}-(${clipTime})*${speed})`
+    : `(${formatNumber(getSourceIn(clip))}+(${clipTime})*${speed})`;
+
+  // Build back to front as nested ifs, one segment per keyframe
+  let expression = formatNumber(keyframes[keyframes.length - 1].value);
+  for (let i = keyframes.length - 1; i > 0; i--) {
+    const previous = keyframes[i - 1];
+    const next = keyframes[i];
+    const span = next.time - previous.time;
+    const progress = `clip((${time}-${formatNumber(previous.time)})/${formatNumber(span)},0,1)`;
+    let eased = progress;
+    if (previous.easing === 'ease') eased = `${progress}*${progress}*(3-2*${progress})`;
+
+    const segment = previous.easing === 'hold' || span <= 0
+      ? formatNumber(previous.value)
+      : `${formatNumber(previous.value)}+${formatNumber(next.value - previous.value)}*${eased}`;
+    expression = `if(lt(${time},${formatNumber(next.time)}),${segment},${expression})`;
+  }
+  return `(${expression})`;
+};
+
+// Get a clip's keyframes with a property set to `value` at a source time, adding a keyframe there if
+// there isn't one
+export const setKeyframe = (clip, property, time, value, easing) => {
+  const keyframes = getKeyframes(clip, property);
+  const existing = findKeyframe(clip, property, time);
+  const keyframe = {
+    time: existing ? existing.time : time,
+    value,
+    easing: easing || (existing ? existing.easing : DEFAULT_EASING)
+  };
+  const updated = [...keyframes.filter(k => k !== existing), keyframe].sort((a, b) => a.time - b.time);
+  return { ...clip.keyframes, [property]: updated };
+};
+
+// Get a clip's keyframes without a property's keyframe at a source time
+export const removeKeyframe = (clip, property, time) => {
+  const existing = findKeyframe(clip, property, time);
+  const updated = getKeyframes(clip, property).filter(keyframe => keyframe !== existing);
+  const { [property]: removed, ...others } = clip.keyframes || {};
+  return updated.length > 0 ? { ...others, [property]: updated } : others;
+};
+
+// Get a clip's keyframes without any on the given properties, which go back to their static values
+export const clearKeyframes = (clip, properties) => {
+  const keyframes = { ...clip.keyframes };
+  properties.forEach(property => delete keyframes[property]);
+  return keyframes;
+};
+
+// Get a clip's keyframes with every keyframe at source time `from` moved to `to`
+export const moveKeyframes = (clip, from, to) => {
+  const moved = {};
+  Object.entries(clip.keyframes || {}).forEach(([property, keyframes]) => {
+    moved[property] = keyframes.map(keyframe => (
+      Math.abs(keyframe.time - from) < KEYFRAME_TOLERANCE ? { ...keyframe, time: to } : keyframe
+    ));
+  });
+  return moved;
+};
+
+// Get a clip's keyframes without any at source time `time`, on every property
+export const removeKeyframesAt = (clip, time) => {
+  return Object.keys(clip.keyframes || {}).reduce((keyframes, property) => (
+    removeKeyframe({ ...clip, keyframes }, property, time)
+  ), clip.keyframes || {});
+};
@@ -0,0 +1,87 @@
+// Markers annotate the timeline.
+//
+// A marker is { id, time, duration, name, color, notes } with times in timeline seconds. A marker
+// with no duration marks a point; one with a duration marks a region from `time` to
+// `time + duration`. Exports turn markers into chapters: a point marker's chapter runs until the next
+// marker or the end of the project, and a region's chapter covers the region.
+
+export const MARKER_COLORS = [
+  { id: 'blue', name: 'Blue', value: '#6366F1' },
+  { id: 'green', name: 'Green', value: '#22C55E' },
+  { id: 'yellow', name: 'Yellow', value: '#EAB308' },
+  { id: 'red', name: 'Red', value: '#EF4444' },
+  { id: 'purple', name: 'Purple', value: '#A855F7' }
+];
+
+export const DEFAULT_MARKER_COLOR = MARKER_COLORS[0].id;
+
+let markerCount = 0;
+
+// Create a point marker, or a region when `duration` is above zero
+export const createMarker = (time, { duration = 0, name, color = DEFAULT_MARKER_COLOR, notes = '' } = {}) => ({
+  id: `marker-${Date.now()}-${markerCount++}`,
+  time,
+  duration,
+  name: name || (duration > 0 ? 'Region' : 'Marker'),
+  color,
+  notes
+});
+
+// Get the CSS colour of a marker
+export const getMarkerColor = (marker) => {
+  const color = MARKER_COLORS.find(c => c.id === marker.color) || MARKER_COLORS[0];
+  return color.value;
+};
+
+export const isRegion = (marker) => marker.duration > 0;
+
+// Get markers in timeline order
+export const sortMarkers = (markers = []) => [...markers].sort((a, b) => a.time - b.time);
+
+// Get the chapters for a project's markers as { start, end, title }, in order and without overlaps.
+// Markers at or past the end of the project are left out.
+export const getChapters = (markers, duration) => {
+  const sorted = sortMarkers(markers).filter(marker => marker.time < duration);
+  return sorted.map((marker, index) => {
+    const next = sorted[index + 1];
+    const nextStart = next ? next.time : duration;
+    const end = isRegion(marker) ? Math.min(marker.time + marker.duration, nextStart) : nextStart;
+    return { start: marker.time, end, title: marker.name };
+  }).filter(chapter => chapter.end > chapter.start);
+};
+
+// Escape the characters ffmetadata gives a meaning to
+const escapeMetadata = (text) => text.replace(/[=;#\\\n]/g, match => `\\${match}`);
+
+// Build an ffmpeg metadata file that adds chapters to an export
+export const buildFfmetadata = (chapters) => {
+  const lines = [';FFMETADATA1'];
+  chapters.forEach(chapter => {
+    lines.push(
+      '[CHAPTER]',
+      'TIMEBASE=1/1000',
+      `START=${Math.round(chapter.start * 1000)}`,
+      `END=${Math.round(chapter.end * 1000)}`,
+      `title=${escapeMetadata(chapter.title)}`
+    );
+  });
+  return `${lines.join('\n')}\n`;
+};
+
+// Format seconds as a WebVTT timestamp, HH:MM:SS.mmm
+export const formatVttTime = (seconds) => {
+  const milliseconds = Math.round(seconds * 1000);
+  const hours = Math.floor(milliseconds / 3600000);
+  const minutes = Math.floor(milliseconds / 60000) % 60;
+  const secs = Math.floor(milliseconds / 1000) % 60;
+  const pad = (value, length = 2) => value.toString().padStart(length, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}.${pad(milliseconds % 1000, 3)}`;
+};
+
+// Build a WebVTT chapters file for players that read chapters from a sidecar
+export const buildWebVttChapters = (chapters) => {
+  const cues = chapters.map((chapter, index) => (
+    `${index + 1}\n${formatVttTime(chapter.start)} --> ${formatVttTime(chapter.end)}\n${chapter.title.replace(/\n/g, ' ')}`
+  ));
+  return `WEBVTT\n\n${cues.join('\n\n')}\n`;
+};
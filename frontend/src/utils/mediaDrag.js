@@ -0,0 +1,27 @@
+// Drag and drop of media library items onto timeline tracks.
+//
+// Browsers only reveal dataTransfer contents on drop, but a track needs the media's
+// type and duration while it is dragged over to show a ghost clip and reject
+// incompatible media. The item being dragged is kept here for that.
+
+// dataTransfer type marking a drag that started in the media library
+export const MEDIA_DRAG_TYPE = 'application/x-editor-media';
+
+let draggedMedia = null;
+
+// Start dragging a media library item
+export const startMediaDrag = (e, item) => {
+  draggedMedia = item;
+  e.dataTransfer.setData(MEDIA_DRAG_TYPE, item.id);
+  e.dataTransfer.effectAllowed = 'copy';
+};
+
+// Finish a media drag, whether or not it was dropped on a track
+export const endMediaDrag = () => {
+  draggedMedia = null;
+};
+
+// Get the media item being dragged, or null if the drag did not come from the media library
+export const getDraggedMedia = (e) => {
+  return e.dataTransfer.types.includes(MEDIA_DRAG_TYPE) ? draggedMedia : null;
+};
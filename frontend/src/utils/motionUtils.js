@@ -0,0 +1,58 @@
+// Pan and zoom ("Ken Burns") motion for still image clips.
+//
+// A clip with motion moves from a start rectangle to an end rectangle of its picture over its
+// length. Rectangles are fractions of the picture after the clip's crop:
+//   x, y           top-left corner
+//   width, height  size; always equal, so the picture keeps its shape and its place in the frame
+// The rectangle in view fills the area the whole picture would fill without motion.
+
+// Clip types that can carry motion
+export const MOTION_CLIP_TYPES = ['image'];
+
+// Closest the motion can zoom in
+export const MAX_MOTION_ZOOM = 4;
+
+// The whole picture
+export const FULL_RECT = { x: 0, y: 0, width: 1, height: 1 };
+
+// Motion added from the effects panel: a slow push in towards the centre
+export const DEFAULT_MOTION = {
+  start: FULL_RECT,
+  end: { x: 0.1, y: 0.1, width: 0.8, height: 0.8 }
+};
+
+// Get a clip's motion, or null if it has none
+export const getClipMotion = (clip) => (MOTION_CLIP_TYPES.includes(clip.type) && clip.motion) || null;
+
+// Build a rectangle from a zoom factor and the position of its centre, both as fractions of the picture,
+// keeping it inside the picture
+export const createMotionRect = (zoom, centerX, centerY) => {
+  const size = 1 / Math.min(Math.max(zoom, 1), MAX_MOTION_ZOOM);
+  const clampCorner = (center) => Math.min(Math.max(center - size / 2, 0), 1 - size);
+  return { x: clampCorner(centerX), y: clampCorner(centerY), width: size, height: size };
+};
+
+// Get the zoom factor and centre of a rectangle, the values the effects panel edits
+export const getMotionRectView = (rect) => ({
+  zoom: 1 / rect.width,
+  centerX: rect.x + rect.width / 2,
+  centerY: rect.y + rect.height / 2
+});
+
+// Get how far through its motion a clip is at timeline time `time`, from 0 to 1
+export const getMotionProgress = (clip, time) => {
+  if (clip.duration <= 0) return 0;
+  return Math.min(Math.max((time - clip.start) / clip.duration, 0), 1);
+};
+
+// Get the rectangle in view at `progress` through the motion
+export const getMotionRect = (motion, progress) => {
+  const lerp = (key) => motion.start[key] + (motion.end[key] - motion.start[key]) * progress;
+  return { x: lerp('x'), y: lerp('y'), width: lerp('width'), height: lerp('height') };
+};
+
+// Get the rectangle of a clip's picture in view at timeline time `time`, or null if it has no motion
+export const getClipMotionRect = (clip, time) => {
+  const motion = getClipMotion(clip);
+  return motion ? getMotionRect(motion, getMotionProgress(clip, time)) : null;
+};
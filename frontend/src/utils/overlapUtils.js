@@ -0,0 +1,88 @@
+import { getClipEnd, splitClipAt } from './clipUtils';
+
+// What happens when a clip is placed over other clips on its track
+export const OVERLAP_MODES = {
+  block: 'block',         // The clip can't overlap; it moves to the nearest free space
+  overwrite: 'overwrite', // Clips underneath are trimmed, split or removed
+  insert: 'insert'        // Clips from the drop point on are pushed later to make room
+};
+
+// Cycle order of the overlap toggle on the track label
+const OVERLAP_MODE_ORDER = [OVERLAP_MODES.block, OVERLAP_MODES.overwrite, OVERLAP_MODES.insert];
+
+// Tolerance for deciding that two clips touch rather than overlap
+const EDGE_EPSILON = 0.001;
+
+// Get a track's overlap mode; tracks saved before the setting existed block
+export const getOverlapMode = (track) => track.overlapMode || OVERLAP_MODES.block;
+
+// Get the overlap mode after the track's current one
+export const getNextOverlapMode = (track) => {
+  const index = OVERLAP_MODE_ORDER.indexOf(getOverlapMode(track));
+  return OVERLAP_MODE_ORDER[(index + 1) % OVERLAP_MODE_ORDER.length];
+};
+
+// Check whether the range [start, end) overlaps a clip
+const overlaps = (clip, start, end) => clip.start < end - EDGE_EPSILON && getClipEnd(clip) > start + EDGE_EPSILON;
+
+// Find the start closest to `start` where a clip of `duration` fits between `clips` without overlapping
+export const findFreeStart = (clips, start, duration) => {
+  const candidates = [start, ...clips.map(getClipEnd), ...clips.map(clip => clip.start - duration)]
+    .filter(candidate => candidate >= 0);
+
+  const free = candidates.filter(candidate => !clips.some(clip => overlaps(clip, candidate, candidate + duration)));
+  return free.reduce((best, candidate) => (
+    Math.abs(candidate - start) < Math.abs(best - start) ? candidate : best
+  ), Math.max(0, ...clips.map(getClipEnd)));
+};
+
+// Cut the range [start, end) out of the clips, trimming, splitting or removing whatever falls inside it
+const clearRange = (clips, start, end, createId) => {
+  return clips.flatMap(clip => {
+    if (!overlaps(clip, start, end)) return [clip];
+
+    const pieces = [];
+    if (clip.start < start) {
+      pieces.push(splitClipAt(clip, start, clip.id)[0]);
+    }
+    if (getClipEnd(clip) > end) {
+      // A clip spanning the whole range keeps its id on the left piece
+      pieces.push(splitClipAt(clip, end, pieces.length > 0 ? createId() : clip.id)[1]);
+    }
+    return pieces;
+  });
+};
+
+// Push clips that start at or after `time` later by `amount`, splitting a clip that spans `time`
+const pushFrom = (clips, time, amount, createId) => {
+  return clips.flatMap(clip => {
+    if (clip.start >= time - EDGE_EPSILON) {
+      return [{ ...clip, start: clip.start + amount }];
+    }
+    if (getClipEnd(clip) > time + EDGE_EPSILON) {
+      const [left, right] = splitClipAt(clip, time, createId());
+      return [left, { ...right, start: right.start + amount }];
+    }
+    return [clip];
+  });
+};
+
+// Settle a clip into its track according to the overlap mode, returning the track's new clip list.
+// `createId` supplies ids for clips that get split in two.
+export const placeClip = (clips, clipId, mode, createId) => {
+  const clip = clips.find(c => c.id === clipId);
+  if (!clip) return clips;
+
+  const others = clips.filter(c => c.id !== clipId);
+  const end = getClipEnd(clip);
+  if (!others.some(other => overlaps(other, clip.start, end))) return clips;
+
+  switch (mode) {
+    case OVERLAP_MODES.overwrite:
+      return [...clearRange(others, clip.start, end, createId), clip];
+    case OVERLAP_MODES.insert:
+      return [...pushFrom(others, clip.start, clip.duration, createId), clip];
+    default:
+      return [...others, { ...clip, start: findFreeStart(others, clip.start, clip.duration) }];
+  }
+};
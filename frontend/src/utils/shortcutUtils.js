@@ -0,0 +1,106 @@
+// Keyboard shortcuts: the actions that can be bound, their default keys and how key presses are
+// matched against them.
+//
+// A key combo is a string of modifiers and a key joined by '+', e.g. 'Mod+Shift+Z'. Mod is Cmd on
+// macOS and Ctrl elsewhere. Letters are upper case; other keys use their KeyboardEvent.key name,
+// with ' ' written as 'Space'.
+
+export const SHORTCUT_ACTIONS = [
+  { id: 'playPause', name: 'Play / pause', group: 'Playback' },
+  { id: 'shuttleReverse', name: 'Play backwards (press again to speed up)', group: 'Playback' },
+  { id: 'shuttleStop', name: 'Stop', group: 'Playback' },
+  { id: 'shuttleForward', name: 'Play forwards (press again to speed up)', group: 'Playback' },
+  { id: 'stepBack', name: 'Back one frame', group: 'Navigation' },
+  { id: 'stepForward', name: 'Forward one frame', group: 'Navigation' },
+  { id: 'stepBackSecond', name: 'Back one second', group: 'Navigation' },
+  { id: 'stepForwardSecond', name: 'Forward one second', group: 'Navigation' },
+  { id: 'previousEdit', name: 'Previous edit point', group: 'Navigation' },
+  { id: 'nextEdit', name: 'Next edit point', group: 'Navigation' },
+  { id: 'goToStart', name: 'Go to start', group: 'Navigation' },
+  { id: 'goToEnd', name: 'Go to end', group: 'Navigation' },
+  { id: 'markIn', name: 'Mark in', group: 'Marks' },
+  { id: 'markOut', name: 'Mark out', group: 'Marks' },
+  { id: 'clearMarks', name: 'Clear in and out', group: 'Marks' },
+  { id: 'addMarker', name: 'Add marker at playhead', group: 'Marks' },
+  { id: 'addRegion', name: 'Add region from in to out', group: 'Marks' },
+  { id: 'split', name: 'Split at playhead', group: 'Editing' },
+  { id: 'freezeFrame', name: 'Freeze frame at playhead', group: 'Editing' },
+  { id: 'delete', name: 'Delete selected clip', group: 'Editing' },
+  { id: 'undo', name: 'Undo', group: 'Editing' },
+  { id: 'redo', name: 'Redo', group: 'Editing' },
+  { id: 'showShortcuts', name: 'Show keyboard shortcuts', group: 'Help' }
+];
+
+export const DEFAULT_KEYMAP = {
+  playPause: ['Space'],
+  shuttleReverse: ['J'],
+  shuttleStop: ['K'],
+  shuttleForward: ['L'],
+  stepBack: ['ArrowLeft'],
+  stepForward: ['ArrowRight'],
+  stepBackSecond: ['Shift+ArrowLeft'],
+  stepForwardSecond: ['Shift+ArrowRight'],
+  previousEdit: ['ArrowUp'],
+  nextEdit: ['ArrowDown'],
+  goToStart: ['Home'],
+  goToEnd: ['End'],
+  markIn: ['I'],
+  markOut: ['O'],
+  clearMarks: ['Alt+X'],
+  addMarker: ['M'],
+  addRegion: ['Shift+M'],
+  split: ['S'],
+  freezeFrame: ['Shift+F'],
+  delete: ['Delete', 'Backspace'],
+  undo: ['Mod+Z'],
+  redo: ['Mod+Shift+Z', 'Mod+Y'],
+  showShortcuts: ['?']
+};
+
+// Keys that only modify others and can't be bound on their own
+const MODIFIER_KEYS = ['Control', 'Meta', 'Alt', 'Shift'];
+
+const isMac = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform);
+
+// Get the combo for a keydown event, or null for a lone modifier
+export const getKeyCombo = (event) => {
+  if (MODIFIER_KEYS.includes(event.key)) return null;
+
+  let key = event.key === ' ' ? 'Space' : event.key;
+  const isLetter = key.length === 1 && /[a-z]/i.test(key);
+  if (isLetter) key = key.toUpperCase();
+
+  const modifiers = [];
+  if (isMac ? event.metaKey : event.ctrlKey) modifiers.push('Mod');
+  if (event.altKey) modifiers.push('Alt');
+  // Shift is already part of symbols like '?', so it only counts for letters and named keys
+  if (event.shiftKey && (isLetter || key.length > 1)) modifiers.push('Shift');
+
+  return [...modifiers, key].join('+');
+};
+
+// Get the full keymap: the defaults with the user's overrides applied
+export const getKeymap = (overrides = {}) => ({ ...DEFAULT_KEYMAP, ...overrides });
+
+// Find the action bound to a combo, or null
+export const findShortcutAction = (keymap, combo) => {
+  return Object.keys(keymap).find(action => keymap[action].includes(combo)) || null;
+};
+
+const KEY_LABELS = {
+  Mod: isMac ? '⌘' : 'Ctrl',
+  Alt: isMac ? '⌥' : 'Alt',
+  Shift: isMac ? '⇧' : 'Shift',
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  Backspace: '⌫',
+  Delete: 'Del'
+};
+
+// Format a combo for display, e.g. 'Ctrl+Shift+Z' or '⌘⇧Z'
+export const formatKeyCombo = (combo) => {
+  const parts = combo.split('+').map(part => KEY_LABELS[part] || part);
+  return parts.join(isMac ? '' : '+');
+};
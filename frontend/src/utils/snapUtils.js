@@ -0,0 +1,52 @@
+import { getClipEnd } from './clipUtils';
+
+// How close an edge has to come to a snap point, in screen pixels
+export const SNAP_DISTANCE_PX = 8;
+
+// What a snap point belongs to, shown on the snap indicator
+export const SNAP_KINDS = {
+  playhead: 'playhead',
+  clip: 'clip',
+  marker: 'marker',
+  second: 'second'
+};
+
+// Collect the times edges can snap to: the playhead, markers, both ends of regions and the edges of
+// every other clip
+export const getSnapPoints = (tracks, { currentTime, markers = [], excludeClipId = null }) => {
+  const points = [{ time: currentTime, kind: SNAP_KINDS.playhead }];
+
+  markers.forEach(marker => {
+    points.push({ time: marker.time, kind: SNAP_KINDS.marker });
+    if (marker.duration > 0) points.push({ time: marker.time + marker.duration, kind: SNAP_KINDS.marker });
+  });
+
+  tracks.forEach(track => {
+    track.clips.forEach(clip => {
+      if (clip.id === excludeClipId) return;
+      points.push({ time: clip.start, kind: SNAP_KINDS.clip });
+      points.push({ time: getClipEnd(clip), kind: SNAP_KINDS.clip });
+    });
+  });
+
+  return points;
+};
+
+// Find the snap point closest to any of the given edge times, within `threshold` seconds.
+// Whole seconds count as snap points too. Returns { time, kind, offset } where offset moves the edge onto the point.
+export const findSnap = (edges, points, threshold) => {
+  let best = null;
+
+  edges.forEach(edge => {
+    const candidates = [...points, { time: Math.round(edge), kind: SNAP_KINDS.second }];
+
+    candidates.forEach(point => {
+      const distance = Math.abs(point.time - edge);
+      if (distance <= threshold && (!best || distance < best.distance)) {
+        best = { time: point.time, kind: point.kind, offset: point.time - edge, distance };
+      }
+    });
+  });
+
+  return best;
+};
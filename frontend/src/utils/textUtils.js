@@ -0,0 +1,116 @@
+import { FRAME_RATE } from './clipUtils';
+import { getClipTransformAt } from './transformUtils';
+
+// Text clips: the words in `text`, their look in `textStyle` and how they come and go in `textAnimation`.
+// Text is placed with the clip transform like any other visual layer.
+
+// Fonts offered for text clips
+export const TEXT_FONTS = ['Inter', 'Arial', 'Helvetica', 'Times New Roman', 'Georgia', 'Courier New'];
+
+// Sizes are in pixels on a 720-line frame and scale with the output
+export const TEXT_REFERENCE_HEIGHT = 720;
+
+export const DEFAULT_TEXT_STYLE = {
+  font: 'Inter',
+  size: 60,
+  color: '#ffffff',
+  bold: true,
+  italic: false,
+  underline: false,
+  align: 'center',
+  strokeWidth: 0,
+  strokeColor: '#000000',
+  shadow: false,
+  background: false,
+  backgroundColor: '#000000',
+  backgroundOpacity: 0.6
+};
+
+export const TEXT_ANIMATIONS = [
+  { id: 'none', name: 'None' },
+  { id: 'fade', name: 'Fade' },
+  { id: 'slide', name: 'Slide' },
+  { id: 'typewriter', name: 'Typewriter' }
+];
+
+export const DEFAULT_TEXT_ANIMATION = {
+  in: 'none',
+  out: 'none',
+  duration: 0.5
+};
+
+// Length of a new text clip in seconds
+export const DEFAULT_TEXT_DURATION = 5;
+
+// How far a sliding title travels, as a fraction of frame height
+const SLIDE_DISTANCE = 0.1;
+
+// Get a text clip's style, filling in defaults for clips saved without one
+export const getClipTextStyle = (clip) => ({ ...DEFAULT_TEXT_STYLE, ...clip.textStyle });
+
+// Get a text clip's animation, filling in defaults for clips saved without one
+export const getClipTextAnimation = (clip) => ({ ...DEFAULT_TEXT_ANIMATION, ...clip.textAnimation });
+
+// Get the words a text clip shows
+export const getClipText = (clip) => clip.text ?? clip.name;
+
+// Work out how a text clip's animation leaves it at a timeline time:
+// { alpha, offsetY } with offsetY a fraction of frame height, and how many characters have been typed
+// (null for all of them)
+export const getTextAnimationState = (clip, time) => {
+  const animation = getClipTextAnimation(clip);
+  // Each animation gets at most half the clip
+  const duration = Math.min(animation.duration, clip.duration / 2);
+  const elapsed = time - clip.start;
+  const state = { alpha: 1, offsetY: 0, visibleChars: null };
+  if (duration <= 0) return state;
+
+  const apply = (type, progress, direction) => {
+    if (progress >= 1) return;
+    switch (type) {
+      case 'fade':
+        state.alpha *= progress;
+        break;
+      case 'slide':
+        // Rise into place on the way in and carry on rising on the way out
+        state.alpha *= progress;
+        state.offsetY += SLIDE_DISTANCE * (1 - progress) * direction;
+        break;
+      case 'typewriter':
+        state.visibleChars = Math.floor(getClipText(clip).length * progress);
+        break;
+      default:
+    }
+  };
+
+  apply(animation.in, Math.max(elapsed / duration, 0), 1);
+  apply(animation.out, Math.max((clip.duration - elapsed) / duration, 0), -1);
+  return state;
+};
+
+// Check whether two transforms place text identically
+const isSameTransform = (a, b) => {
+  return a.x === b.x && a.y === b.y && a.scale === b.scale && a.rotation === b.rotation && a.opacity === b.opacity;
+};
+
+// Split a text clip into runs of identical frames at the given frame rate, for rendering each
+// distinct look once. Returns [{ state, duration }] covering the whole clip, each state holding
+// the keyframed transform as well as the animation.
+export const getTextFrameRuns = (clip, fps = FRAME_RATE) => {
+  const frameCount = Math.max(1, Math.round(clip.duration * fps));
+  const runs = [];
+
+  for (let frame = 0; frame < frameCount; frame++) {
+    const time = clip.start + frame / fps;
+    const state = { ...getTextAnimationState(clip, time), transform: getClipTransformAt(clip, time) };
+    const last = runs[runs.length - 1];
+    if (last && last.state.alpha === state.alpha && last.state.offsetY === state.offsetY &&
+        last.state.visibleChars === state.visibleChars && isSameTransform(last.state.transform, state.transform)) {
+      last.frames += 1;
+    } else {
+      runs.push({ state, frames: 1 });
+    }
+  }
+
+  return runs.map(({ state, frames }) => ({ state, duration: frames / fps }));
+};
@@ -0,0 +1,89 @@
+// Helpers for the track list and the per-track mute, solo, lock and hide toggles.
+//
+// Tracks are listed top to bottom. Where video tracks overlap, the higher track is
+// drawn over the lower one. Tracks saved before the toggles existed have none of
+// the flags set, which reads as audible, visible and unlocked.
+
+// Track types, in the order their add buttons appear
+export const TRACK_TYPES = ['video', 'audio', 'text', 'caption'];
+
+// Track types whose clips can carry sound
+const AUDIO_TRACK_TYPES = ['video', 'audio'];
+
+// Track types whose clips draw into the frame
+const VISUAL_TRACK_TYPES = ['video', 'text', 'caption'];
+
+// Track type each kind of media is placed on; images are stills on video tracks
+const MEDIA_TRACK_TYPES = {
+  video: 'video',
+  image: 'video',
+  audio: 'audio',
+  text: 'text',
+  caption: 'caption'
+};
+
+// Get the track type a kind of media is placed on
+export const getTrackTypeForMedia = (type) => MEDIA_TRACK_TYPES[type] || type;
+
+// Create an empty track of the given type, numbered after the existing tracks of that type
+export const createTrack = (type, tracks) => {
+  const number = tracks.filter(track => track.type === type).length + 1;
+  return {
+    id: `${type}-track-${Date.now()}`,
+    type,
+    name: `${type.charAt(0).toUpperCase()}${type.slice(1)} ${number}`,
+    clips: [],
+    muted: false,
+    solo: false,
+    locked: false,
+    hidden: false
+  };
+};
+
+// Get the label shown for a track, numbering unnamed tracks by their position among tracks of the same type
+export const getTrackName = (track, tracks) => {
+  if (track.name) return track.name;
+  const number = tracks.filter(t => t.type === track.type).indexOf(track) + 1;
+  return `${track.type.charAt(0).toUpperCase()}${track.type.slice(1)} ${number}`;
+};
+
+// Check whether any track is soloed, in which case only soloed tracks are heard
+const hasSoloTrack = (tracks) => tracks.some(track => track.solo && AUDIO_TRACK_TYPES.includes(track.type));
+
+// Check whether a track's clips should be heard
+export const isTrackAudible = (track, tracks) => {
+  if (!AUDIO_TRACK_TYPES.includes(track.type) || track.muted) return false;
+  return !hasSoloTrack(tracks) || !!track.solo;
+};
+
+// Check whether a track's clips should be drawn
+export const isTrackVisible = (track) => VISUAL_TRACK_TYPES.includes(track.type) && !track.hidden;
+
+// Check whether a track can carry sound, and so shows mute and solo toggles
+export const hasTrackAudio = (track) => AUDIO_TRACK_TYPES.includes(track.type);
+
+// Check whether a track draws into the frame, and so shows a hide toggle
+export const hasTrackPicture = (track) => VISUAL_TRACK_TYPES.includes(track.type);
+
+// Find the track holding a clip
+export const findClipTrack = (tracks, clipId) => {
+  return tracks.find(track => track.clips.some(clip => clip.id === clipId)) || null;
+};
+
+// Check whether the clip sits on a locked track
+export const isClipLocked = (tracks, clipId) => {
+  const track = findClipTrack(tracks, clipId);
+  return !!track && !!track.locked;
+};
+
+// Check whether clips of a media type can be placed on a track
+export const canDropOnTrack = (track, type) => !!track && track.type === getTrackTypeForMedia(type) && !track.locked;
+
+// Move the track at `fromIndex` so it ends up at `toIndex`
+export const moveTrack = (tracks, fromIndex, toIndex) => {
+  if (fromIndex === toIndex) return tracks;
+  const updated = [...tracks];
+  const [moved] = updated.splice(fromIndex, 1);
+  updated.splice(toIndex, 0, moved);
+  return updated;
+};
@@ -0,0 +1,112 @@
+import { getKeyframeValue, getKeyframeTime, hasKeyframes, setKeyframe } from './keyframeUtils';
+
+// Per-clip transform for visual layers (video, image and text clips).
+//
+// Values are relative to the output frame so the preview canvas and every export
+// resolution place a layer identically:
+//   x, y      offset of the layer centre from the frame centre, as a fraction of frame width/height
+//   scale     1 fits the cropped source inside the frame
+//   rotation  clockwise, in degrees
+//   opacity   0 to 1
+//   crop      fraction of the source cut off each side before scaling
+// All but crop can be keyframed; see keyframeUtils.
+
+export const DEFAULT_TRANSFORM = {
+  x: 0,
+  y: 0,
+  scale: 1,
+  rotation: 0,
+  opacity: 1,
+  crop: { top: 0, right: 0, bottom: 0, left: 0 }
+};
+
+// Largest fraction a pair of opposite crop edges may remove together
+const MAX_CROP = 0.95;
+
+// Get a clip's transform, filling in defaults for clips saved without one
+export const getClipTransform = (clip) => {
+  const transform = clip.transform || {};
+  return {
+    ...DEFAULT_TRANSFORM,
+    ...transform,
+    crop: { ...DEFAULT_TRANSFORM.crop, ...transform.crop }
+  };
+};
+
+// Transform properties that keyframes can animate
+export const ANIMATED_TRANSFORM_PROPERTIES = ['x', 'y', 'scale', 'rotation', 'opacity'];
+
+// Get a clip's transform at a timeline time, with any keyframed properties at their animated values
+export const getClipTransformAt = (clip, time) => {
+  const transform = getClipTransform(clip);
+  ANIMATED_TRANSFORM_PROPERTIES.forEach(property => {
+    transform[property] = getKeyframeValue(clip, property, time, transform[property]);
+  });
+  return transform;
+};
+
+// Get the clip changes that set transform properties at a timeline time: keyframed properties get a
+// keyframe there and the rest change for the whole clip
+export const getTransformChanges = (clip, time, values) => {
+  const transform = getClipTransform(clip);
+  let keyframes = clip.keyframes;
+  Object.entries(values).forEach(([property, value]) => {
+    if (hasKeyframes(clip, property)) {
+      keyframes = setKeyframe({ ...clip, keyframes }, property, getKeyframeTime(clip, time), value);
+    } else {
+      transform[property] = value;
+    }
+  });
+  return keyframes === clip.keyframes ? { transform } : { transform, keyframes };
+};
+
+// Check whether any of a clip's transform properties are keyframed
+export const isTransformAnimated = (clip) => ANIMATED_TRANSFORM_PROPERTIES.some(property => hasKeyframes(clip, property));
+
+// Check whether a transform leaves the layer exactly as the default full-frame fit
+export const isDefaultTransform = (transform) => {
+  const { crop } = transform;
+  return transform.x === 0 && transform.y === 0 && transform.scale === 1 &&
+    transform.rotation === 0 && transform.opacity === 1 &&
+    crop.top === 0 && crop.right === 0 && crop.bottom === 0 && crop.left === 0;
+};
+
+// Keep crop edges from meeting or crossing
+export const clampCrop = (crop) => {
+  const clampPair = (a, b) => {
+    const total = a + b;
+    return total > MAX_CROP ? [a * MAX_CROP / total, b * MAX_CROP / total] : [a, b];
+  };
+  const [left, right] = clampPair(crop.left, crop.right);
+  const [top, bottom] = clampPair(crop.top, crop.bottom);
+  return { top, right, bottom, left };
+};
+
+// Work out where a layer lands in a frame.
+// Returns the source rectangle after cropping, the drawn size before rotation and the centre point.
+// A `motionRect` (see motionUtils) narrows the source to that part of the cropped picture, drawn
+// at the same size.
+export const getLayerGeometry = (sourceWidth, sourceHeight, frameWidth, frameHeight, transform, motionRect = null) => {
+  const crop = clampCrop(transform.crop);
+  const cropX = sourceWidth * crop.left;
+  const cropY = sourceHeight * crop.top;
+  const cropWidth = sourceWidth * (1 - crop.left - crop.right);
+  const cropHeight = sourceHeight * (1 - crop.top - crop.bottom);
+
+  // Fit the cropped source inside the frame, then apply the clip's scale
+  const fit = Math.min(frameWidth / cropWidth, frameHeight / cropHeight) * transform.scale;
+  const view = motionRect || { x: 0, y: 0, width: 1, height: 1 };
+
+  return {
+    cropX: cropX + cropWidth * view.x,
+    cropY: cropY + cropHeight * view.y,
+    cropWidth: cropWidth * view.width,
+    cropHeight: cropHeight * view.height,
+    width: cropWidth * fit,
+    height: cropHeight * fit,
+    centerX: frameWidth * (0.5 + transform.x),
+    centerY: frameHeight * (0.5 + transform.y),
+    rotation: transform.rotation * Math.PI / 180,
+    opacity: transform.opacity
+  };
+};
@@ -0,0 +1,107 @@
+import { getClipEnd } from './clipUtils';
+
+// Transitions between two clips that sit next to each other on a track.
+//
+// A track keeps its transitions as { id, fromClipId, toClipId, type, duration }. The transition
+// is centred on the cut: for `duration` seconds the outgoing clip runs on past its end and the
+// incoming clip starts early, and the two are blended. A transition only applies while its
+// clips still touch, so moving a clip away suspends it rather than losing it.
+
+// `xfade` is the ffmpeg xfade transition the export uses
+export const TRANSITION_TYPES = [
+  { id: 'fade', name: 'Fade', xfade: 'fadeblack' },
+  { id: 'wipe', name: 'Wipe', xfade: 'wipeleft' },
+  { id: 'slide', name: 'Slide', xfade: 'slideleft' },
+  { id: 'zoom', name: 'Zoom', xfade: 'zoomin' },
+  { id: 'dissolve', name: 'Dissolve', xfade: 'fade' }
+];
+
+export const DEFAULT_TRANSITION_DURATION = 1;
+export const MIN_TRANSITION_DURATION = 0.1;
+
+// Track types that support transitions
+export const TRANSITION_TRACK_TYPES = ['video'];
+
+// Tolerance for deciding that two clips touch
+const EDGE_EPSILON = 0.001;
+
+export const getTransitionType = (id) => TRANSITION_TYPES.find(type => type.id === id) || null;
+
+// Find the clip that starts where `clip` ends on the same track
+export const getNextAdjacentClip = (track, clip) => {
+  return track.clips.find(other => other.id !== clip.id && Math.abs(other.start - getClipEnd(clip)) < EDGE_EPSILON) || null;
+};
+
+// Longest transition two clips allow. Each clip gives up at most half its length to one side,
+// so a clip's incoming and outgoing transitions never overlap.
+export const getMaxTransitionDuration = (from, to) => Math.min(from.duration, to.duration);
+
+// Get the transitions on a track that currently apply, resolved against the clips:
+// { id, type, duration, from, to, start, end } where start and end bound the blend on the timeline
+export const getTrackTransitions = (track) => {
+  if (!TRANSITION_TRACK_TYPES.includes(track.type)) return [];
+
+  return (track.transitions || []).flatMap(transition => {
+    const from = track.clips.find(clip => clip.id === transition.fromClipId);
+    const to = from && getNextAdjacentClip(track, from);
+    if (!to || to.id !== transition.toClipId) return [];
+
+    const duration = Math.min(transition.duration, getMaxTransitionDuration(from, to));
+    const cut = getClipEnd(from);
+    return [{
+      id: transition.id,
+      type: transition.type,
+      duration,
+      from,
+      to,
+      start: cut - duration / 2,
+      end: cut + duration / 2
+    }];
+  });
+};
+
+// Find the transition running on a track at a timeline time
+export const getTransitionAt = (track, time) => {
+  return getTrackTransitions(track).find(transition => time >= transition.start && time < transition.end) || null;
+};
+
+// Get the transitions into and out of a clip, or null for either side without one
+export const getClipTransitions = (track, clipId) => {
+  const transitions = getTrackTransitions(track);
+  return {
+    in: transitions.find(transition => transition.to.id === clipId) || null,
+    out: transitions.find(transition => transition.from.id === clipId) || null
+  };
+};
+
+// How far through a transition a timeline time is, from 0 to 1
+export const getTransitionProgress = (transition, time) => {
+  return Math.min(Math.max((time - transition.start) / transition.duration, 0), 1);
+};
+
+// Set the transition out of a clip into the clip after it, or remove it when `changes` is null.
+// Transitions whose clips no longer touch are dropped at the same time. Returns the updated track.
+export const setClipTransition = (track, fromClipId, changes) => {
+  const activeIds = new Set(getTrackTransitions(track).map(transition => transition.id));
+  const transitions = (track.transitions || []).filter(transition => (
+    activeIds.has(transition.id) && transition.fromClipId !== fromClipId
+  ));
+
+  const from = track.clips.find(clip => clip.id === fromClipId);
+  const to = from && getNextAdjacentClip(track, from);
+  const existing = (track.transitions || []).find(transition => transition.fromClipId === fromClipId);
+
+  if (changes && to) {
+    transitions.push({
+      id: existing ? existing.id : `transition-${Date.now()}`,
+      fromClipId,
+      toClipId: to.id,
+      type: 'dissolve',
+      duration: DEFAULT_TRANSITION_DURATION,
+      ...(existing && existing.toClipId === to.id ? existing : {}),
+      ...changes
+    });
+  }
+
+  return { ...track, transitions };
+};
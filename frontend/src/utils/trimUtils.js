@@ -0,0 +1,188 @@
+import {
+  FRAME_RATE,
+  snapToFrame,
+  getSourceIn,
+  getSourceOut,
+  getMediaDuration,
+  getClipEnd,
+  getClipSpeed,
+  isClipReversed,
+  isUntimedClip
+} from './clipUtils';
+
+// Shortest clip a trim can leave behind
+export const MIN_CLIP_DURATION = 1 / FRAME_RATE;
+
+// Edit modes for dragging a clip edge
+export const TRIM_MODES = {
+  trim: 'trim',     // Move one edge, leaving neighbouring clips in place
+  ripple: 'ripple', // Move one edge and shift every later clip on the track
+  roll: 'roll'      // Move the cut between two adjacent clips
+};
+
+// Tolerance for deciding that two clips touch
+const EDGE_EPSILON = 0.001;
+
+// Pick the edit mode from the modifier keys held when the drag starts
+export const getTrimModeFromEvent = (e) => {
+  if (e.altKey) return TRIM_MODES.roll;
+  if (e.shiftKey) return TRIM_MODES.ripple;
+  return TRIM_MODES.trim;
+};
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// Find the clip that touches the given edge of a clip
+export const findAdjacentClip = (clips, clip, edge) => {
+  return clips.find(other => {
+    if (other.id === clip.id) return false;
+    return edge === 'left'
+      ? Math.abs(getClipEnd(other) - clip.start) < EDGE_EPSILON
+      : Math.abs(other.start - getClipEnd(clip)) < EDGE_EPSILON;
+  }) || null;
+};
+
+// Move a clip's start and end on the timeline by `startDelta` and `endDelta` seconds, moving its
+// source range by as much media as plays in that time. A reversed clip plays its range backwards,
+// so its start on the timeline is its source out-point.
+const moveEdges = (clip, startDelta, endDelta) => {
+  const speed = getClipSpeed(clip);
+  const [inDelta, outDelta] = isClipReversed(clip) ? [-endDelta, -startDelta] : [startDelta, endDelta];
+  return {
+    ...clip,
+    duration: clip.duration - startDelta + endDelta,
+    sourceIn: getSourceIn(clip) + inDelta * speed,
+    sourceOut: getSourceOut(clip) + outDelta * speed
+  };
+};
+
+// Move a clip's in-point by delta seconds, keeping its timeline position unless `keepStart`
+const moveInPoint = (clip, delta, keepStart = false) => ({
+  ...moveEdges(clip, delta, 0),
+  start: keepStart ? clip.start : clip.start + delta
+});
+
+// Move a clip's out-point by delta seconds
+const moveOutPoint = (clip, delta) => moveEdges(clip, 0, delta);
+
+// Get how many timeline seconds of media are left before a clip's start and after its end
+const getMediaRoom = (clip) => {
+  if (isUntimedClip(clip)) return { before: Infinity, after: Infinity };
+  const speed = getClipSpeed(clip);
+  const unusedIn = getSourceIn(clip) / speed;
+  const unusedOut = (getMediaDuration(clip) - getSourceOut(clip)) / speed;
+  return isClipReversed(clip) ? { before: unusedOut, after: unusedIn } : { before: unusedIn, after: unusedOut };
+};
+
+// Range a clip's in-point can move without running out of media or duration
+const getInPointRange = (clip) => ({
+  min: -getMediaRoom(clip).before,
+  max: clip.duration - MIN_CLIP_DURATION
+});
+
+// Range a clip's out-point can move without running out of media or duration
+const getOutPointRange = (clip) => ({
+  min: MIN_CLIP_DURATION - clip.duration,
+  max: getMediaRoom(clip).after
+});
+
+// Apply a plain trim, which may not push the clip over its neighbours
+const applyTrim = (clips, clip, edge, delta) => {
+  const others = clips.filter(other => other.id !== clip.id);
+  let trimmed;
+
+  if (edge === 'left') {
+    const range = getInPointRange(clip);
+    const previousEnd = Math.max(0, ...others.map(getClipEnd).filter(end => end <= clip.start + EDGE_EPSILON));
+    const d = clamp(delta, Math.max(range.min, previousEnd - clip.start), range.max);
+    trimmed = moveInPoint(clip, d);
+  } else {
+    const range = getOutPointRange(clip);
+    const nextStarts = others.map(other => other.start).filter(start => start >= getClipEnd(clip) - EDGE_EPSILON);
+    const nextStart = nextStarts.length > 0 ? Math.min(...nextStarts) : Infinity;
+    const d = clamp(delta, range.min, Math.min(range.max, nextStart - getClipEnd(clip)));
+    trimmed = moveOutPoint(clip, d);
+  }
+
+  return clips.map(other => (other.id === clip.id ? trimmed : other));
+};
+
+// Apply a ripple trim: the clip keeps its start and every later clip shifts to close or open the gap
+const applyRipple = (clips, clip, edge, delta) => {
+  const originalEnd = getClipEnd(clip);
+  let trimmed;
+  let shift;
+
+  if (edge === 'left') {
+    const range = getInPointRange(clip);
+    const d = clamp(delta, range.min, range.max);
+    trimmed = moveInPoint(clip, d, true);
+    shift = -d;
+  } else {
+    const range = getOutPointRange(clip);
+    const d = clamp(delta, range.min, range.max);
+    trimmed = moveOutPoint(clip, d);
+    shift = d;
+  }
+
+  return clips.map(other => {
+    if (other.id === clip.id) return trimmed;
+    if (other.start >= originalEnd - EDGE_EPSILON) {
+      return { ...other, start: other.start + shift };
+    }
+    return other;
+  });
+};
+
+// Apply a roll edit: the cut between the clip and its neighbour moves, total length stays the same
+const applyRoll = (clips, clip, edge, delta) => {
+  const neighbor = findAdjacentClip(clips, clip, edge);
+  if (!neighbor) return applyTrim(clips, clip, edge, delta);
+
+  // Work on the cut as outgoing (left) and incoming (right) clip
+  const [outgoing, incoming] = edge === 'left' ? [neighbor, clip] : [clip, neighbor];
+  const outRange = getOutPointRange(outgoing);
+  const inRange = getInPointRange(incoming);
+  const d = clamp(delta, Math.max(outRange.min, inRange.min), Math.min(outRange.max, inRange.max));
+
+  const updated = {
+    [outgoing.id]: moveOutPoint(outgoing, d),
+    [incoming.id]: moveInPoint(incoming, d)
+  };
+
+  return clips.map(other => updated[other.id] || other);
+};
+
+// Apply a trim edit to the clips of one track.
+// `clips` is the track as it was when the drag started and `delta` the total drag distance in seconds.
+export const applyTrimEdit = (clips, clipId, edge, delta, mode = TRIM_MODES.trim) => {
+  const clip = clips.find(c => c.id === clipId);
+  if (!clip) return clips;
+
+  const frameDelta = snapToFrame(delta);
+
+  switch (mode) {
+    case TRIM_MODES.ripple:
+      return applyRipple(clips, clip, edge, frameDelta);
+    case TRIM_MODES.roll:
+      return applyRoll(clips, clip, edge, frameDelta);
+    default:
+      return applyTrim(clips, clip, edge, frameDelta);
+  }
+};
+
+// Replace a clip with `updated`, which starts in the same place but has a new length, moving every
+// later clip on the track to follow its end
+export const rippleClipLength = (clips, updated) => {
+  const clip = clips.find(c => c.id === updated.id);
+  if (!clip) return clips;
+
+  const shift = updated.duration - clip.duration;
+  return clips.map(other => {
+    if (other.id === clip.id) return updated;
+    if (other.start >= getClipEnd(clip) - EDGE_EPSILON) {
+      return { ...other, start: other.start + shift };
+    }
+    return other;
+  });
+};
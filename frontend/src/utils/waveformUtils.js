@@ -0,0 +1,54 @@
+// Waveform peaks: the loudest sample in each short slice of a media asset's sound, enough to draw
+// its shape at any zoom without keeping the decoded audio around.
+//
+// A waveform is { peaks, peaksPerSecond, duration } with `peaks` a Float32Array of levels from 0 to 1.
+
+// Slices per second of source audio, fine enough to stay sharp at the closest timeline zoom
+export const PEAKS_PER_SECOND = 100;
+
+// Reduce decoded audio to one peak per slice, taking the loudest channel
+export const computePeaks = (audioBuffer, peaksPerSecond = PEAKS_PER_SECOND) => {
+  const samplesPerPeak = audioBuffer.sampleRate / peaksPerSecond;
+  const peaks = new Float32Array(Math.ceil(audioBuffer.length / samplesPerPeak));
+
+  for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+    const samples = audioBuffer.getChannelData(channel);
+    for (let i = 0; i < peaks.length; i++) {
+      const end = Math.min(Math.round((i + 1) * samplesPerPeak), samples.length);
+      let peak = peaks[i];
+      for (let s = Math.round(i * samplesPerPeak); s < end; s++) {
+        const level = Math.abs(samples[s]);
+        if (level > peak) peak = level;
+      }
+      peaks[i] = Math.min(peak, 1);
+    }
+  }
+
+  return { peaks, peaksPerSecond, duration: audioBuffer.duration };
+};
+
+// Draw a waveform mirrored about the middle of the canvas, one bar per pixel column, starting at
+// `sourceStart` seconds and covering `secondsPerPixel` per column; negative for sound played backwards
+export const drawWaveform = (ctx, waveform, sourceStart, secondsPerPixel, color) => {
+  const { width, height } = ctx.canvas;
+  const { peaks, peaksPerSecond } = waveform;
+  const middle = height / 2;
+
+  ctx.clearRect(0, 0, width, height);
+  ctx.fillStyle = color;
+
+  for (let x = 0; x < width; x++) {
+    const edges = [sourceStart + x * secondsPerPixel, sourceStart + (x + 1) * secondsPerPixel];
+    const from = Math.floor(Math.min(...edges) * peaksPerSecond);
+    const to = Math.max(from + 1, Math.floor(Math.max(...edges) * peaksPerSecond));
+    if (to <= 0 || from >= peaks.length) continue;
+
+    let peak = 0;
+    for (let i = Math.max(from, 0); i < Math.min(to, peaks.length); i++) {
+      if (peaks[i] > peak) peak = peaks[i];
+    }
+    // Keep silence visible as a hairline
+    const barHeight = Math.max(peak * height, 1);
+    ctx.fillRect(x, middle - barHeight / 2, 1, barHeight);
+  }
+};
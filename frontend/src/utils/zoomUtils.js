@@ -0,0 +1,20 @@
+// Timeline zoom. A zoom of 1 shows BASE_PIXELS_PER_SECOND pixels for each second of the timeline.
+
+export const BASE_PIXELS_PER_SECOND = 100;
+
+// From about an hour across a wide screen to a hundred pixels per frame
+export const MIN_ZOOM = 0.01;
+export const MAX_ZOOM = 30;
+
+// Factor the zoom in and out buttons change the zoom by
+export const ZOOM_STEP = 1.5;
+
+export const clampZoom = (zoom) => Math.min(Math.max(zoom, MIN_ZOOM), MAX_ZOOM);
+
+export const getPixelsPerSecond = (zoom) => BASE_PIXELS_PER_SECOND * zoom;
+
+// Get the zoom that fits `length` seconds into `width` pixels
+export const getZoomForRange = (length, width) => {
+  if (length <= 0 || width <= 0) return 1;
+  return clampZoom(width / (length * BASE_PIXELS_PER_SECOND));
+};
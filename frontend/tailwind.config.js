@@ -27,6 +27,7 @@ module.exports = {
         'editor-clip': '#3B82F6',
         'editor-clip-audio': '#8B5CF6',
         'editor-clip-text': '#F59E0B',
+        'editor-clip-caption': '#14B8A6',
       },
       fontFamily: {
         'sans': ['"Inter"', 'ui-sans-serif', 'system-ui', '-apple-system', 'BlinkMacSystemFont', '"Segoe UI"', 'Roboto', '"Helvetica Neue"', 'Arial', 'sans-serif'],